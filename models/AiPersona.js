@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A named AI opponent: who it is at the table and how it plays (README 7.3).
+const aiPersonaSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true }, // Used as the seat's username
+  avatarUrl: { type: String, default: 'https://i.pravatar.cc/150' },
+  difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
+  aggression: { type: Number, min: 0, max: 1 }, // Unset keeps the difficulty tier's default
+  riskTolerance: { type: Number, min: 0, max: 1 },
+  stakes: { type: [Number], default: [] }, // Stakes this persona sits at; empty means any
+  active: { type: Boolean, default: true },
+  tableTalk: {
+    greeting: { type: [String], default: [] },
+    win: { type: [String], default: [] },
+    loss: { type: [String], default: [] }
+  },
+  stats: {
+    handsPlayed: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    reemWins: { type: Number, default: 0 },
+    drops: { type: Number, default: 0 },
+    dropsCaught: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Seeded on first use so a fresh database still has personas at every stake
+const DEFAULT_PERSONAS = [
+  {
+    name: 'Lil Deuce',
+    difficulty: 'easy',
+    aggression: 0.2,
+    riskTolerance: 0.3,
+    stakes: [1, 5],
+    tableTalk: {
+      greeting: ["Go easy on me, I'm still learning!", 'Is it my turn yet?'],
+      win: ['Wait, I won? Beginner\'s luck!'],
+      loss: ['Good game! I\'ll get you next time.']
+    }
+  },
+  {
+    name: 'Auntie Spread',
+    difficulty: 'medium',
+    aggression: 0.4,
+    riskTolerance: 0.3,
+    stakes: [5, 10, 20],
+    tableTalk: {
+      greeting: ['Pull up a chair, baby.', 'Cards are hot tonight.'],
+      win: ['Auntie still got it!'],
+      loss: ['Mm-hmm. Enjoy it while it lasts.']
+    }
+  },
+  {
+    name: 'Tonk Professor',
+    difficulty: 'medium',
+    aggression: 0,
+    riskTolerance: 0.25,
+    stakes: [],
+    tableTalk: {
+      greeting: ['Class is in session.'],
+      win: ['As the numbers predicted.'],
+      loss: ['An instructive hand.']
+    }
+  },
+  {
+    name: 'Reem Queen',
+    difficulty: 'hard',
+    aggression: 0.6,
+    riskTolerance: 0.2,
+    stakes: [20, 50, 100],
+    tableTalk: {
+      greeting: ['Hope you brought more chips.', 'Let\'s make this quick.'],
+      win: ['Reem Queen collects.'],
+      loss: ['Enjoy that. It won\'t happen twice.']
+    }
+  },
+  {
+    name: 'Cold Deck Carl',
+    difficulty: 'hard',
+    aggression: 0.3,
+    riskTolerance: 0.15,
+    stakes: [50, 100],
+    tableTalk: {
+      greeting: ['...'],
+      win: ['Expected.'],
+      loss: ['Variance.']
+    }
+  }
+];
+
+const AiPersona = mongoose.model('AiPersona', aiPersonaSchema);
+
+module.exports = { AiPersona, DEFAULT_PERSONAS };
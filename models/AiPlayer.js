@@ -1,127 +1,166 @@
-const { findBestSpread, findBestHit, calculatePoints, isValidHit } = require('./gameLogic');
-
-const runAiTurn = (gameState) => {
-  return new Promise(resolve => {
-    // Add a delay for realism (e.g., 1 to 3 seconds)
-    const delay = Math.floor(Math.random() * 2000) + 1000;
-    setTimeout(() => {
-      const newState = { ...gameState };
-      const playerIndex = newState.currentTurn;
-      const player = newState.players[playerIndex];
-
-      if (player.isHuman || newState.gameOver) {
-        console.log(`🤖 AI Turn: Early return - isHuman: ${player.isHuman}, gameOver: ${newState.gameOver}`);
-        resolve(newState);
-        return;
-      }
+const { TURN_PHASES, calculatePoints, recordHandAction } = require('./gameLogic');
+const { processGameAction, getAllowedActions, currentPhase } = require('./gameEngine');
+const { getAiStrategy } = require('./aiStrategies');
+
+// A turn is at most draw, two spreads, a hit and a discard; the cap only guards against a stuck strategy.
+const MAX_AI_STEPS = 10;
+// Pause between the steps of an AI turn so clients can animate each one
+const AI_STEP_DELAY_MS = 600;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// AI seats, and human seats the autopilot is playing while their owner is disconnected
+const isAiControlled = (player) => !!player && (!player.isHuman || !!player.autopilot);
+
+/**
+ * Decide the next move for the seat on turn as an { action, payload } descriptor, exactly
+ * what a human client would send. Works for any seat, so hints can reuse it.
+ * @param {Object} state - Current game state
+ * @param {Object} options - { difficulty, aiParams, rng }
+ */
+const planMove = (state, options = {}) => {
+  const playerIndex = state.currentTurn;
+  const strategy = getAiStrategy(options.difficulty);
+  const view = {
+    state,
+    playerIndex,
+    hand: state.playerHands[playerIndex],
+    params: { ...strategy.params, ...options.aiParams }, // Persona tuning over the tier defaults
+    rng: options.rng || Math.random
+  };
+  const allowed = getAllowedActions(state, playerIndex);
+  const wantsDrop = () => allowed.includes('DROP') && strategy.drop(view);
+  const discard = () => ({ action: 'DISCARD', payload: { cardIndex: strategy.discard(view) } });
+
+  if (allowed.includes('DECLARE_SPECIAL_WIN') && strategy.declare(view)) {
+    return { action: 'DECLARE_SPECIAL_WIN', payload: {} };
+  }
+
+  switch (currentPhase(state)) {
+    case TURN_PHASES.DRAW: {
+      const source = strategy.draw(view);
+      const useDiscard = source === 'DRAW_DISCARD' && state.discardPile.length > 0;
+      return { action: useDiscard ? 'DRAW_DISCARD' : 'DRAW_CARD', payload: {} };
+    }
+    case TURN_PHASES.ACTION: {
+      const cards = strategy.spread(view);
+      if (cards) return { action: 'SPREAD', payload: { cards } };
+      // A strategy may weigh dropping before it plays its hits
+      if (strategy.params.dropBeforeHit && wantsDrop()) return { action: 'DROP', payload: {} };
+      const hit = strategy.hit(view);
+      if (hit) return { action: 'HIT', payload: hit };
+      if (wantsDrop()) return { action: 'DROP', payload: {} };
+      return discard();
+    }
+    default:
+      return discard();
+  }
+};
 
-      const hand = newState.playerHands[playerIndex];
-      const spreads = newState.playerSpreads[playerIndex] || [];
-
-      console.log(`🤖 AI Turn: Player ${player.username} (index ${playerIndex}), gameOver: ${newState.gameOver}, hand size: ${hand.length}, deck size: ${newState.deck.length}, discard pile size: ${newState.discardPile.length}`);
-      console.log(`🤖 AI Turn: Hand before draw: ${hand.map(c => `${c.rank}${c.suit[0]}`).join(', ')}`);
-
-      // Draw
-      const topDiscard = newState.discardPile.length > 0 ? newState.discardPile[newState.discardPile.length - 1] : null;
-      const canUseDiscard = topDiscard && isValidHit(topDiscard, spreads.length > 0 ? spreads[0] : []);
-      
-      if (canUseDiscard) {
-        const card = newState.discardPile.pop();
-        hand.push(card);
-        console.log(`🤖 AI Turn: Drew from discard pile: ${card.rank} of ${card.suit}. Hand size: ${hand.length}`);
-      } else if (newState.deck.length > 0) {
-        const card = newState.deck.pop();
-        hand.push(card);
-        console.log(`🤖 AI Turn: Drew from deck: ${card.rank} of ${card.suit}. Hand size: ${hand.length}`);
-      } else {
-        console.log(`🤖 AI Turn: No cards to draw from deck or discard pile.`);
-      }
-      newState.hasDrawnCard = true;
-      console.log(`🤖 AI Turn: Hand after draw: ${hand.map(c => `${c.rank}${c.suit[0]}`).join(', ')}`);
-
-
-      // Spread
-      const bestSpread = findBestSpread(hand);
-      if (bestSpread) {
-        spreads.push(bestSpread);
-        bestSpread.forEach(card => {
-          const i = hand.findIndex(c => c.rank === card.rank && c.suit === card.suit);
-          if (i !== -1) hand.splice(i, 1);
-        });
-        console.log(`🤖 AI Turn: Performed spread: ${bestSpread.map(c => `${c.rank}${c.suit[0]}`).join(', ')}. Hand size: ${hand.length}`);
-
-        if (spreads.length >= 2) {
-          console.log(`🏆 AI REEM WIN: Player ${player.username} achieved REEM with ${spreads.length} spreads`);
-          newState.gameOver = true;
-          newState.winners = [playerIndex];
-          newState.winType = 'REEM';
-          console.log(`🏆 AI REEM WIN: Setting gameOver = true, winners = [${playerIndex}], winType = REEM`);
-          resolve(newState);
-          return;
-        }
-      } else {
-        console.log(`🤖 AI Turn: No valid spread found.`);
-      }
+/**
+ * The AI's next move. The seat's difficulty (or options.difficulty) picks the strategy;
+ * a human seat on autopilot always plays the conservative autopilot strategy.
+ * Returns null when it is not an AI-controlled move.
+ */
+const chooseAiAction = (state, options = {}) => {
+  const player = state.players[state.currentTurn];
+  if (!isAiControlled(player) || state.gameOver) return null;
+  if (player.isHuman) return planMove(state, { rng: options.rng, difficulty: 'autopilot' });
+  return planMove(state, { ...options, difficulty: options.difficulty || player.difficulty, aiParams: player.aiParams });
+};
 
-      // Hit
-      const hitInfo = findBestHit(hand, newState.playerSpreads);
-      if (hitInfo) {
-        const { cardIndex, targetIndex, spreadIndex } = hitInfo;
-        const card = hand.splice(cardIndex, 1)[0];
-        newState.playerSpreads[targetIndex][spreadIndex].push(card);
-        console.log(`🤖 AI Turn: Performed hit with ${card.rank} of ${card.suit} on player ${targetIndex}'s spread ${spreadIndex}. Hand size: ${hand.length}`);
-      } else {
-        console.log(`🤖 AI Turn: No valid hit found.`);
+/**
+ * Choose one AI move and play it through processGameAction. A move the engine rejects
+ * falls back to the always-legal draw or discard of the current phase.
+ * @returns {?{ playerIndex, action, payload, autopilot, state, events }} null if nothing could be played
+ */
+const takeAiStep = (state, options = {}) => {
+  const choice = chooseAiAction(state, options);
+  if (!choice) return null;
+
+  const playerIndex = state.currentTurn;
+  const autopilot = !!state.players[playerIndex].isHuman;
+  const fallback = currentPhase(state) === TURN_PHASES.DRAW
+    ? { action: 'DRAW_CARD', payload: {} }
+    : { action: 'DISCARD', payload: { cardIndex: 0 } };
+
+  for (const [attempt, { action, payload }] of [choice, fallback].entries()) {
+    const result = processGameAction(state, action, payload, options);
+    if (result.ok) {
+      if (action === 'DROP') {
+        const score = calculatePoints(state.playerHands[playerIndex], state.playerSpreads[playerIndex] || []);
+        console.log(`🏆 AI DROP: Player ${state.players[playerIndex].username} dropped with score ${score} (${result.state.winType})`);
       }
+      // The hand's event log tells autopilot moves apart, and notes a strategy move the engine refused
+      const nextState = recordHandAction(result.state, {
+        source: autopilot ? 'autopilot' : 'ai',
+        playerIndex,
+        action,
+        payload,
+        events: result.events,
+        ...(attempt > 0 && { rejected: choice.action })
+      });
+      return { playerIndex, action, payload, autopilot, state: nextState, events: result.events };
+    }
+    console.log(`🤖 AI Turn: ${action} rejected - ${result.error.code}: ${result.error.reason}`);
+  }
+  return null;
+};
 
-      // Drop
-      const score = calculatePoints(hand, spreads);
-      console.log(`🤖 AI Turn: Hand score before discard/drop check: ${score}`);
-      if (score <= 5) {
-        const allScores = newState.playerHands.map((h, i) =>
-          calculatePoints(h, newState.playerSpreads[i] || [])
-        );
-        const minScore = Math.min(...allScores);
-        const winners = allScores.map((s, i) => s === minScore ? i : null).filter(i => i !== null);
-
-        console.log(`🏆 AI DROP WIN: Player ${player.username} dropping with score ${score}, minScore: ${minScore}`);
-        newState.gameOver = true;
-        newState.winners = winners;
-        newState.winType = score > minScore ? 'DROP_CAUGHT' : 'DROP_WIN';
-        newState.dropped = playerIndex;
-        newState.roundScores = allScores;
-        console.log(`🏆 AI DROP WIN: Setting gameOver = true, winners = [${winners.join(',')}], winType = ${newState.winType}`);
-        resolve(newState);
-        return;
-      }
+// The step handed the turn on, started a tie-break round or ended the hand
+const endsTurn = (step) => step.events.some(e => ['TURN_ADVANCED', 'TIE_BREAK_STARTED', 'GAME_OVER'].includes(e.type));
+
+const logTurnStart = (state) => {
+  const playerIndex = state.currentTurn;
+  const player = state.players[playerIndex];
+  if (!isAiControlled(player) || state.gameOver) {
+    console.log(`🤖 AI Turn: Early return - isHuman: ${player?.isHuman}, gameOver: ${state.gameOver}`);
+    return false;
+  }
+  const tier = player.isHuman ? 'autopilot' : player.difficulty || 'medium';
+  console.log(`🤖 AI Turn: Player ${player.username} (index ${playerIndex}, ${tier}), hand size: ${state.playerHands[playerIndex].length}, deck size: ${state.deck.length}, discard pile size: ${state.discardPile.length}`);
+  return true;
+};
 
-      // Discard
-      const worstIndex = hand.reduce((maxIdx, c, i, arr) => {
-          const values = { '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, J: 10, Q: 10, K: 10, ace: 1 };
-          const currentValue = values[c.rank] || 0;
-          const maxCurrentValue = values[arr[maxIdx].rank] || 0;
-          return currentValue > maxCurrentValue ? i : maxIdx;
-      }, 0);
-
-      const discard = hand.splice(worstIndex, 1)[0];
-      newState.discardPile.push(discard);
-      newState.hasDrawnCard = false;
-      newState.currentTurn = (playerIndex + 1) % newState.players.length;
-
-      console.log(`🤖 AI Turn Complete: Player ${player.username} discarded ${discard.rank} of ${discard.suit}, next turn: ${newState.currentTurn}, hand size: ${hand.length}`);
-      
-      // Check if AI has 0 cards after discard (regular win)
-      if (hand.length === 0) {
-        console.log(`🏆 AI REGULAR WIN: Player ${player.username} has 0 cards after discard`);
-        newState.gameOver = true;
-        newState.winners = [playerIndex];
-        newState.winType = 'REGULAR_WIN';
-        console.log(`🏆 AI REGULAR WIN: Setting gameOver = true, winners = [${playerIndex}], winType = REGULAR_WIN`);
-      }
+const logTurnEnd = (state, username) => {
+  console.log(`🤖 AI Turn Complete: Player ${username}, next turn: ${state.currentTurn}, gameOver: ${state.gameOver}, winType: ${state.winType}`);
+};
 
-      resolve(newState);
-    }, delay);
-  });
+/**
+ * Play the AI's turn after a short "thinking" delay, pausing between steps.
+ * @param {Object} gameState - State with an AI seat on turn
+ * @param {Object} options - { difficulty, rng, shuffleSeed, stepDelay, instant, onStep(step) } where
+ *   onStep is awaited after every step so callers can broadcast it as its own event, and
+ *   instant skips every delay (headless simulation)
+ * @returns {Promise<Object>} State after the AI's turn
+ */
+const runAiTurn = async (gameState, options = {}) => {
+  const { onStep, instant = false } = options;
+  const stepDelay = instant ? 0 : options.stepDelay ?? AI_STEP_DELAY_MS;
+
+  // Add a delay for realism (e.g., 1 to 3 seconds)
+  if (!instant) await wait(Math.floor(Math.random() * 2000) + 1000);
+  if (!logTurnStart(gameState)) return gameState;
+  const { username } = gameState.players[gameState.currentTurn];
+
+  let state = gameState;
+  for (let i = 0; i < MAX_AI_STEPS; i++) {
+    const step = takeAiStep(state, options);
+    if (!step) break;
+    state = step.state;
+    if (onStep) await onStep(step);
+    if (endsTurn(step)) break;
+    if (stepDelay > 0) await wait(stepDelay);
+  }
+
+  logTurnEnd(state, username);
+  return state;
 };
 
-module.exports = { runAiTurn };
+/**
+ * Play the AI's whole turn at once: runAiTurn without its delays
+ * @returns {Promise<Object>} State after the AI's turn
+ */
+const playAiTurn = (gameState, options = {}) => runAiTurn(gameState, { ...options, instant: true });
+
+module.exports = { runAiTurn, playAiTurn, planMove, chooseAiAction, takeAiStep, isAiControlled };
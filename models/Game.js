@@ -2,8 +2,10 @@ const mongoose = require('mongoose');
 
 const gameSchema = new mongoose.Schema({
    tableId: { type: mongoose.Schema.Types.ObjectId, ref: 'Table', required: true },
+   handNumber: { type: Number },
+   settlementKey: { type: String, unique: true, sparse: true }, // `${tableId}:${handNumber}`, settles a hand once
    players: [{
-     playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+     playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset for AI seats
      username: { type: String, required: true },
      isHuman: { type: Boolean, default: true },
      position: { type: Number, required: true },
@@ -24,16 +26,40 @@ const gameSchema = new mongoose.Schema({
      username: { type: String },
      winType: {
        type: String,
-       enum: ['regular', 'reem', 'immediate_50', 'special_milestone', 'stock_empty', 'drop_win']
+       enum: ['regular', 'reem', 'immediate_50', 'special_milestone', 'stock_empty', 'drop_win', 'drop_caught', 'forfeit']
      },
      payout: { type: Number }
    }],
    roundScores: [{
+     round: { type: Number, default: 0 }, // 0 = main hand, 1+ = tie-break rounds
      playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
      username: { type: String },
      score: { type: Number },
      hand: [{ rank: String, suit: String }]
    }],
+   decidingRound: { type: Number, default: 0 }, // Round whose result settled the pot
+   rake: { type: Number, default: 0 }, // House cut taken from the pot
+   mode: { type: String, enum: ['staked', 'practice', 'quick_play'], default: 'staked' }, // Practice hands moved play money only, Quick Play hands none
+   hinted: { type: Boolean, default: false }, // A player took coach-mode hints; leave out of leaderboards
+   ratings: [{ // Quick Play only: rating of each human seat before and after the hand
+     username: { type: String },
+     before: { type: Number },
+     after: { type: Number }
+   }],
+   fairness: { // Commit-reveal shuffle proof, see GET /games/:id/fairness
+     algorithm: { type: String },
+     seedHash: { type: String }, // Published at game_started
+     seed: { type: String }, // Revealed at game_over
+     deals: [{ round: Number, seats: [Number] }]
+   },
+   ledger: [{ // Chips moved per seat by settlement, as broadcast in game_over
+     username: { type: String },
+     isHuman: { type: Boolean },
+     stake: { type: Number },
+     payout: { type: Number },
+     penalty: { type: Number },
+     net: { type: Number }
+   }],
    transactions: [{
      playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
      type: { type: String, enum: ['stake', 'payout', 'penalty'], required: true },
@@ -54,12 +80,13 @@ const gameSchema = new mongoose.Schema({
    gameConfig: {
      maxPlayers: { type: Number, default: 4 },
      minPlayers: { type: Number, default: 2 },
-     timeLimit: { type: Number, default: 300000 }, // 5 minutes in ms
+     timeLimit: { type: Number, default: 300000 }, // Turn clock in ms, from the hand's turnTimer
      allowSpectators: { type: Boolean, default: true }
    },
    milestones: [{
      type: { type: String, enum: ['triple_stake', 'double_stake'], required: true },
      playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+     username: { type: String },
      score: { type: Number, required: true },
      handSize: { type: Number, required: true },
      timestamp: { type: Date, default: Date.now }
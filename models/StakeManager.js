@@ -1,16 +1,9 @@
-const calculateStakeWinnings = (winType, stake, playerCount) => {
-    switch(winType) {
-        case 'REEM':
-            return stake * 2 * (playerCount - 1); // Double stake from each player
-        case 'DROP_WIN':
-            return stake * (playerCount - 1);
-        case 'DROP_CAUGHT':
-            return -stake * (playerCount - 1); // Player pays others
-        case 'REGULAR_WIN':
-            return stake * (playerCount - 1);
-        case 'TIE':
-            return stake; // Split pot between tied players
-        default:
-            return 0;
-    }
+const { DEFAULT_PAYOUT_SCHEDULE, calculatePayout } = require('../utils/payoutSchedule');
+
+// Net chips a single winner gains for a hand; multipliers come from the payout schedule
+const calculateStakeWinnings = (winType, stake, playerCount, schedule = DEFAULT_PAYOUT_SCHEDULE, winnerCount = 1) => {
+    const { payoutPerWinner } = calculatePayout(schedule, winType, stake, playerCount, winnerCount);
+    return payoutPerWinner - stake;
 };
+
+module.exports = { calculateStakeWinnings };
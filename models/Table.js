@@ -20,8 +20,22 @@ const tableSchema = new mongoose.Schema({
     lastActive: Date,
     status: {
       type: String,
-      enum: ['active', 'disconnected', 'left'],
+      enum: ['active', 'disconnected', 'left', 'sitting_out'],
       default: 'active'
+    },
+    sitOutHands: { type: Number, default: 0 }, // Timeout penalty: further hands to sit out
+    persona: { // AI seats only: snapshot of the AiPersona playing it
+      personaId: { type: mongoose.Schema.Types.ObjectId, ref: 'AiPersona' },
+      name: String,
+      avatarUrl: String,
+      difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+      aggression: Number,
+      riskTolerance: Number,
+      tableTalk: {
+        greeting: [String],
+        win: [String],
+        loss: [String]
+      }
     }
   }],
   stake: {
@@ -58,12 +72,54 @@ const tableSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  stateRevision: { // Bumped by every save that writes gameState, see saveIfCurrent
+    type: Number,
+    default: 0
+  },
   lastStateUpdate: Date,
   readyPlayers: { // Modified this field
     type: [String], // Explicitly define as array of Strings
     default: []     // ✅ Add default empty array
   },
-  lastGameEndedAt: Date // Ensure this field exists if used elsewhere
+  lastGameEndedAt: Date, // Ensure this field exists if used elsewhere
+  handNumber: { // Hands dealt at this table; part of the settlement idempotency key
+    type: Number,
+    default: 0
+  },
+  shuffleSeed: { // Secret seed of the current hand, revealed at game_over; only its hash is published
+    type: String,
+    select: false
+  },
+  payoutSchedule: { // Overrides on top of the stake tier, see utils/payoutSchedule.js
+    multipliers: { type: Map, of: Number }, // Stakes per loser, e.g. { REEM: 4 } for a double-REEM promotion
+    defaultMultiplier: Number,
+    rakePercent: { type: Number, min: 0, max: 100 },
+    minimumPot: { type: Number, min: 0 }
+  },
+  aiDifficulty: { // Strategy for AI seats; unset falls back to the stake tier (STAKE_TIER_AI_DIFFICULTY)
+    type: String,
+    enum: ['easy', 'medium', 'hard']
+  },
+  turnTimer: { // Overrides the stake tier's turn clock, see STAKE_TIER_TURN_TIMERS in gameLogic.js
+    turnSeconds: { type: Number, min: 5 },
+    timeBankSeconds: { type: Number, min: 0 },
+    maxTimeouts: { type: Number, min: 1 },
+    sitOutHands: { type: Number, min: 0 }
+  },
+  mode: { // Practice tables are for learning: play money against AI, hints allowed. Quick Play tables
+    // wager nothing and move a separate rating instead, see utils/quickPlayService.js
+    type: String,
+    enum: ['staked', 'practice', 'quick_play'],
+    default: 'staked'
+  },
+  owner: String, // Practice tables only: the one human who may sit there
+  rules: { // House rule overrides, see DEFAULT_RULES in gameLogic.js
+    invalidDeclarationOutcome: {
+      type: String,
+      enum: ['reject', 'drop']
+    },
+    hintsPerHand: { type: Number, min: 0 }
+  }
 });
 
 // First, define the preset tables configuration - exactly 2 tables per stake level as per spec
@@ -79,9 +135,38 @@ const PRESET_TABLES = [
   { name: "$50 Table A", stake: 50 },
   { name: "$50 Table B", stake: 50 },
   { name: "$100 Table A", stake: 100 },
-  { name: "$100 Table B", stake: 100 }
+  { name: "$100 Table B", stake: 100 },
+  { name: "Quick Play A", stake: 0, mode: 'quick_play' },
+  { name: "Quick Play B", stake: 0, mode: 'quick_play' }
 ];
 
+tableSchema.pre('save', function (next) {
+  if (!this.isNew && this.isModified('gameState')) {
+    this.stateRevision = (this.stateRevision || 0) + 1;
+  }
+  next();
+});
+
+// Save a table whose gameState was worked out across an await (an AI turn, the turn clock),
+// unless another write to the hand landed after it was loaded. Resolves false, writing
+// nothing, when the table moved on; the caller drops its stale copy.
+tableSchema.methods.saveIfCurrent = async function () {
+  const revision = this.stateRevision;
+  // Tables last saved before revisions existed have none stored
+  this.$where = { stateRevision: revision || { $in: [0, null] } };
+  try {
+    await this.save();
+    return true;
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError) {
+      this.stateRevision = revision; // Undo the pre-save bump, so a retry on this copy is refused too
+      return false;
+    }
+    throw error;
+  } finally {
+    this.$where = undefined;
+  }
+};
 
 const Table = mongoose.model('Table', tableSchema);
 
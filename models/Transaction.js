@@ -41,7 +41,7 @@ const transactionSchema = new mongoose.Schema({
   },
   winType: {
     type: String,
-    enum: ['regular', 'reem', 'immediate_50', 'special_milestone', 'stock_empty', 'drop_win', 'drop_penalty']
+    enum: ['regular', 'reem', 'immediate_50', 'special_milestone', 'stock_empty', 'drop_win', 'drop_caught', 'forfeit', 'drop_penalty']
   },
   stake: {
     type: Number
@@ -16,6 +16,19 @@ const userSchema = new mongoose.Schema({
       reemWins: { type: Number, default: 0 },
       totalEarnings: { type: Number, default: 0 }
   },
+  practiceChips: { type: Number, default: 10000 }, // Play-money wallet for practice tables, never mixed with chips
+  practiceStats: {
+      gamesPlayed: { type: Number, default: 0 },
+      wins: { type: Number, default: 0 },
+      reemWins: { type: Number, default: 0 },
+      totalEarnings: { type: Number, default: 0 }
+  },
+  quickPlay: { // Quick Play rating (ELO-style), kept apart from chips and stats
+      rating: { type: Number, default: 1200 },
+      peakRating: { type: Number, default: 1200 },
+      gamesPlayed: { type: Number, default: 0 },
+      wins: { type: Number, default: 0 }
+  },
   gameHistory: [{
     date: { type: Date, default: Date.now },
     stake: { type: Number, default: 0 },
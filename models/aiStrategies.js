@@ -0,0 +1,150 @@
+const {
+  calculatePoints,
+  isValidSpread,
+  isValidHit,
+  findBestSpread,
+  findBestHit,
+  getCombinations
+} = require('./gameLogic');
+const { qualifiesForSpecialWin } = require('./gameEngine');
+const { evaluateDrop, evaluateDraw } = require('./handEvaluator');
+
+/**
+ * Pluggable AI strategies, one per difficulty tier (README 7.3). A strategy is a set
+ * of decisions runAiTurn asks for at each step of the turn; every answer is still
+ * played through processGameAction, so no tier can break the rules.
+ *
+ * Parameters:
+ * - aggression: expected points the AI will give up to take the known discard over the stock
+ * - riskTolerance: highest estimated chance of being caught that the AI accepts on a drop
+ * - mistakeRate: chance of a deliberately sub-optimal hit or discard
+ * - dropThreshold: hand score at or below which the easy tier drops, ignoring opponents
+ * - dropBeforeHit: weigh dropping on the hand as it stands before playing any hits
+ *
+ * The autopilot tier plays a disconnected human's seat: it makes no deliberate mistakes and
+ * takes no chances with the player's chips, only dropping when it is almost never caught.
+ */
+
+const CARD_VALUES = { '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, J: 10, Q: 10, K: 10, ace: 1 };
+const RANK_ORDER = ['ace', '2', '3', '4', '5', '6', '7', 'J', 'Q', 'K'];
+
+const cardValue = (card) => CARD_VALUES[card.rank] || 0;
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+const topOf = (pile) => (pile.length > 0 ? pile[pile.length - 1] : null);
+const highestValueIndex = (hand) => hand.reduce((maxIdx, c, i, arr) => (cardValue(c) > cardValue(arr[maxIdx]) ? i : maxIdx), 0);
+
+// How many other cards in the hand a card could still form a spread with.
+const synergy = (card, hand) => hand.filter(other => {
+  if (sameCard(other, card)) return false;
+  if (other.rank === card.rank) return true;
+  const gap = Math.abs(RANK_ORDER.indexOf(other.rank) - RANK_ORDER.indexOf(card.rank));
+  return other.suit === card.suit && gap <= 2;
+}).length;
+
+const canHitAnySpread = (card, playerSpreads) => (playerSpreads || []).some(spreads => (spreads || []).some(spread => isValidHit(card, spread)));
+
+const greedy = {
+  draw: ({ state, playerIndex }) => {
+    const ownSpreads = state.playerSpreads[playerIndex] || [];
+    const topDiscard = topOf(state.discardPile);
+    return topDiscard && ownSpreads.length > 0 && isValidHit(topDiscard, ownSpreads[0]) ? 'DRAW_DISCARD' : 'DRAW_CARD';
+  },
+  spread: ({ hand }) => findBestSpread(hand),
+  hit: ({ state, hand }) => findBestHit(hand, state.playerSpreads),
+  drop: ({ state, playerIndex, hand, params }) => calculatePoints(hand, state.playerSpreads[playerIndex] || []) <= params.dropThreshold,
+  // A qualifying triple-stake declaration wins on the spot
+  declare: ({ state, playerIndex, hand }) => qualifiesForSpecialWin(calculatePoints(hand, state.playerSpreads[playerIndex] || [])),
+  discard: ({ hand }) => highestValueIndex(hand)
+};
+
+// Drop when sampled opponent hands rarely beat ours
+const dropOnEstimate = ({ state, playerIndex, params, rng }) =>
+  evaluateDrop(state, playerIndex, { rng }).caughtProbability <= params.riskTolerance;
+
+// A qualifying hand always declares. Where the table plays an invalid declaration as a drop,
+// one that does not qualify is declared on the same estimate as a drop
+const declareOnEstimate = ({ state, playerIndex, params, rng }) => {
+  const { score, caughtProbability } = evaluateDrop(state, playerIndex, { rng });
+  if (qualifiesForSpecialWin(score)) return true;
+  return state.rules?.invalidDeclarationOutcome === 'drop'
+    && !(state.players[playerIndex].hitPenaltyRounds > 0)
+    && caughtProbability <= params.riskTolerance;
+};
+
+const medium = {
+  ...greedy,
+  drop: dropOnEstimate,
+  declare: declareOnEstimate
+};
+
+const easy = {
+  ...greedy,
+  hit: (view) => (view.rng() < view.params.mistakeRate ? null : greedy.hit(view)),
+  discard: (view) => (view.rng() < view.params.mistakeRate
+    ? Math.floor(view.rng() * view.hand.length)
+    : greedy.discard(view))
+};
+
+const hard = {
+  ...medium,
+
+  // Take the discard when it leaves a better expected hand than a stock card
+  draw: ({ state, playerIndex, params }) => {
+    const { discard, stock } = evaluateDraw(state, playerIndex);
+    if (discard === null) return 'DRAW_CARD';
+    return stock === null || discard <= stock + params.aggression ? 'DRAW_DISCARD' : 'DRAW_CARD';
+  },
+
+  // Lay down the spread that sheds the most points, unless one leaves a second spread for a Reem
+  spread: ({ hand }) => {
+    let best = null;
+    for (let size = 3; size <= hand.length; size++) {
+      getCombinations(hand, size).filter(isValidSpread).forEach(cards => {
+        const rest = hand.filter(c => !cards.some(s => sameCard(s, c)));
+        const reem = findBestSpread(rest) ? 1 : 0;
+        const points = cards.reduce((sum, c) => sum + cardValue(c), 0);
+        if (!best || reem > best.reem || (reem === best.reem && points > best.points)) best = { cards, points, reem };
+      });
+    }
+    return best ? best.cards : null;
+  },
+
+  // Shed the highest card, preferring opponents' spreads since a hit blocks the target from dropping
+  hit: ({ state, playerIndex, hand }) => {
+    const hits = [];
+    hand.forEach((card, cardIndex) => {
+      state.playerSpreads.forEach((spreads, targetIndex) => {
+        (spreads || []).forEach((spread, spreadIndex) => {
+          if (isValidHit(card, spread)) hits.push({ cardIndex, targetIndex, spreadIndex, value: cardValue(card) });
+        });
+      });
+    });
+    hits.sort((a, b) => (a.targetIndex === playerIndex) - (b.targetIndex === playerIndex) || b.value - a.value);
+    if (hits.length === 0) return null;
+    const { cardIndex, targetIndex, spreadIndex } = hits[0];
+    return { cardIndex, targetIndex, spreadIndex };
+  },
+
+  // Throw the card that costs most to keep: high value, few partners, and not one the next player can hit with
+  discard: ({ state, hand, params }) => {
+    const cost = (card) => cardValue(card)
+      - synergy(card, hand) * 3
+      - (canHitAnySpread(card, state.playerSpreads) ? 10 * (1 - params.riskTolerance) : 0);
+    return hand.reduce((bestIdx, c, i, arr) => (cost(c) > cost(arr[bestIdx]) ? i : bestIdx), 0);
+  }
+};
+
+const AI_STRATEGIES = {
+  easy: { params: { aggression: 0.3, riskTolerance: 0.2, mistakeRate: 0.35, dropThreshold: 3 }, ...easy },
+  medium: { params: { aggression: 0, riskTolerance: 0.3, mistakeRate: 0 }, ...medium },
+  hard: { params: { aggression: 0.5, riskTolerance: 0.2, mistakeRate: 0, dropBeforeHit: true }, ...hard },
+  autopilot: { params: { aggression: 0, riskTolerance: 0.05, mistakeRate: 0 }, ...medium }
+};
+
+const getAiStrategy = (difficulty) => AI_STRATEGIES[difficulty] || AI_STRATEGIES.medium;
+
+module.exports = {
+  CARD_VALUES,
+  AI_STRATEGIES,
+  getAiStrategy
+};
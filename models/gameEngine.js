@@ -0,0 +1,416 @@
+const { TURN_PHASES, calculatePoints, isValidSpread, isValidHit, startTieBreakRound, roundRng } = require('./gameLogic');
+
+/**
+ * Authoritative rules engine.
+ *
+ * processGameAction never mutates its input and never logs: it clones the state,
+ * applies the action and returns { ok, state, events, error }. A rejected action
+ * returns the original state untouched with error = { code, reason }.
+ */
+
+const ENGINE_ERRORS = {
+  NO_GAME_STATE: 'NO_GAME_STATE',
+  GAME_OVER: 'GAME_OVER',
+  INVALID_TURN: 'INVALID_TURN',
+  ILLEGAL_PHASE_ACTION: 'ILLEGAL_PHASE_ACTION',
+  DECK_EMPTY: 'DECK_EMPTY',
+  DISCARD_PILE_EMPTY: 'DISCARD_PILE_EMPTY',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_CARD_INDEX: 'INVALID_CARD_INDEX',
+  CARDS_NOT_IN_HAND: 'CARDS_NOT_IN_HAND',
+  INVALID_SPREAD: 'INVALID_SPREAD',
+  INVALID_HIT_TARGET: 'INVALID_HIT_TARGET',
+  INVALID_HIT: 'INVALID_HIT',
+  HIT_PENALTY_ACTIVE: 'HIT_PENALTY_ACTIVE',
+  SPECIAL_WIN_NOT_ELIGIBLE: 'SPECIAL_WIN_NOT_ELIGIBLE',
+  SPECIAL_WIN_NOT_FIRST_TURN: 'SPECIAL_WIN_NOT_FIRST_TURN',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION'
+};
+
+// Legal actions per turn phase and the phase each one leads to. Spreads and hits
+// keep the action phase open, so a player may hit as often as their cards allow
+// before discarding; the discard hands the next seat its draw phase. DROP and
+// DECLARE_SPECIAL_WIN end the hand and have no next phase.
+const PHASE_TRANSITIONS = {
+  [TURN_PHASES.DRAW]: {
+    DRAW_CARD: TURN_PHASES.ACTION,
+    DRAW_DISCARD: TURN_PHASES.ACTION,
+    DROP: null,
+    DECLARE_SPECIAL_WIN: null
+  },
+  [TURN_PHASES.ACTION]: {
+    SPREAD: TURN_PHASES.ACTION,
+    HIT: TURN_PHASES.ACTION,
+    DROP: null,
+    DECLARE_SPECIAL_WIN: null,
+    DISCARD: TURN_PHASES.DRAW
+  }
+};
+
+// After this many tie-break rounds a tie stands and the pot is split.
+const MAX_TIE_BREAK_ROUNDS = 3;
+
+const engineError = (code, reason) => ({ code, reason });
+
+// States saved before turnPhase existed only carry hasDrawnCard.
+const currentPhase = (state) =>
+  state.turnPhase || (state.hasDrawnCard ? TURN_PHASES.ACTION : TURN_PHASES.DRAW);
+
+// Triple-stake milestone (README 11.7.1): 11 points or fewer in hand, and so also 41 or less.
+// Only ever offered on the player's first turn (see isFirstTurn).
+const qualifiesForSpecialWin = (score) => score <= 11;
+
+const isFirstTurn = (state, playerIndex) => !(state.players[playerIndex]?.turnsTaken > 0);
+
+const cardLabel = (card) => `${card.rank} of ${card.suit}`;
+
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+
+// Seats still playing the hand: everyone, or only the tied seats during a tie-break.
+const activeSeats = (state) => (state.tieBreak ? state.tieBreak.players : state.players.map((_, i) => i));
+
+// Seats sitting out a tie-break score null so they can never win it.
+const scoresFor = (state) => {
+  const seats = activeSeats(state);
+  return state.playerHands.map((hand, index) =>
+    seats.includes(index) ? calculatePoints(hand, state.playerSpreads[index] || []) : null
+  );
+};
+
+const lowestScorers = (scores) => {
+  const min = Math.min(...scores.filter(score => score !== null));
+  return { min, winners: scores.map((score, i) => (score === min ? i : null)).filter(i => i !== null) };
+};
+
+const endGame = (state, ctx, { winType, winners, roundScores = scoresFor(state), ...extra }) => {
+  state.gameOver = true;
+  state.winners = winners;
+  state.winType = winType;
+  state.roundScores = roundScores;
+  state.decidingRound = state.tieBreak ? state.tieBreak.round : 0;
+  Object.assign(state, extra);
+  ctx.events.push({ type: 'GAME_OVER', winType, winners, roundScores });
+};
+
+// Finishing a turn serves one round of any hit penalty the player is under.
+const servePenaltyRound = (state, ctx, playerIndex) => {
+  const player = state.players[playerIndex];
+  if (!(player.hitPenaltyRounds > 0)) return;
+
+  player.hitPenaltyRounds -= 1;
+  ctx.events.push({ type: 'HIT_PENALTY_UPDATED', playerIndex, hitPenaltyRounds: player.hitPenaltyRounds });
+};
+
+const advanceTurn = (state, ctx) => {
+  const from = state.currentTurn;
+  state.players[from].turnsTaken = (state.players[from].turnsTaken || 0) + 1;
+  servePenaltyRound(state, ctx, from);
+  const seats = activeSeats(state);
+  state.currentTurn = seats[(seats.indexOf(from) + 1) % seats.length];
+  state.turnPhase = TURN_PHASES.DRAW;
+  state.hasDrawnCard = false;
+  state.spreadsThisTurn = 0;
+  ctx.events.push({ type: 'TURN_ADVANCED', from, to: state.currentTurn });
+};
+
+// Drops and stock-outs go to the lowest score. A tie re-deals the tied seats for
+// another round with the pot carried over, until MAX_TIE_BREAK_ROUNDS is reached.
+const settleOnLowestScore = (state, ctx, { winType, roundScores, ...extra }) => {
+  const { winners } = lowestScorers(roundScores);
+  const round = state.tieBreak ? state.tieBreak.round : 0;
+
+  if (winners.length > 1 && round < MAX_TIE_BREAK_ROUNDS) {
+    // Without an explicit rng the tie-break deal comes from the hand's committed seed
+    const rng = ctx.rng || (ctx.shuffleSeed ? roundRng(ctx.shuffleSeed, round + 1) : Math.random);
+    startTieBreakRound(state, winners, { winType, roundScores, ...extra }, rng);
+    ctx.events.push({ type: 'TIE_BREAK_STARTED', round: state.tieBreak.round, players: winners, roundScores });
+    if (state.gameOver) {
+      ctx.events.push({ type: 'GAME_OVER', winType: state.winType, winners: state.winners, roundScores: state.roundScores });
+    }
+    return;
+  }
+
+  endGame(state, ctx, { winType, winners, roundScores, ...extra });
+};
+
+// A player who lays down their last card through a spread or hit has gone out.
+const checkWentOut = (state, ctx) => {
+  const player = ctx.playerIndex;
+  if (!state.gameOver && state.playerHands[player].length === 0) {
+    endGame(state, ctx, { winType: 'REGULAR_WIN', winners: [player] });
+  }
+};
+
+const drawFrom = (pile, source) => (state, payload, ctx) => {
+  const cards = state[pile];
+  if (!Array.isArray(cards) || cards.length === 0) {
+    return source === 'stock'
+      ? engineError(ENGINE_ERRORS.DECK_EMPTY, 'The stock pile is empty')
+      : engineError(ENGINE_ERRORS.DISCARD_PILE_EMPTY, 'The discard pile is empty');
+  }
+
+  const card = cards.pop();
+  state.playerHands[ctx.playerIndex].push(card);
+  ctx.events.push({ type: 'CARD_DRAWN', playerIndex: ctx.playerIndex, source, card });
+  return null;
+};
+
+const actionHandlers = {
+  DRAW_CARD: drawFrom('deck', 'stock'),
+
+  DRAW_DISCARD: drawFrom('discardPile', 'discard'),
+
+  DISCARD: (state, payload, ctx) => {
+    const hand = state.playerHands[ctx.playerIndex];
+    const { cardIndex } = payload;
+    if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= hand.length) {
+      return engineError(ENGINE_ERRORS.INVALID_CARD_INDEX, `No card at index ${cardIndex} in your hand`);
+    }
+
+    const [discarded] = hand.splice(cardIndex, 1);
+    state.discardPile.push(discarded);
+    ctx.events.push({ type: 'CARD_DISCARDED', playerIndex: ctx.playerIndex, card: discarded });
+
+    if (hand.length === 0) {
+      endGame(state, ctx, { winType: 'REGULAR_WIN', winners: [ctx.playerIndex] });
+      return null;
+    }
+
+    if (state.deck.length === 0) {
+      settleOnLowestScore(state, ctx, { winType: 'STOCK_EMPTY', roundScores: scoresFor(state) });
+      return null;
+    }
+
+    advanceTurn(state, ctx);
+    return null;
+  },
+
+  SPREAD: (state, payload, ctx) => {
+    const { cards } = payload;
+    if (!Array.isArray(cards)) {
+      return engineError(ENGINE_ERRORS.INVALID_PAYLOAD, 'Spread requires an array of cards');
+    }
+    if (!isValidSpread(cards)) {
+      return engineError(ENGINE_ERRORS.INVALID_SPREAD, 'Cards do not form a valid spread');
+    }
+
+    const hand = state.playerHands[ctx.playerIndex];
+    const remaining = [...hand];
+    for (const card of cards) {
+      const idx = remaining.findIndex(c => sameCard(c, card));
+      if (idx === -1) {
+        return engineError(ENGINE_ERRORS.CARDS_NOT_IN_HAND, `${cardLabel(card)} is not in your hand`);
+      }
+      remaining.splice(idx, 1);
+    }
+
+    state.playerHands[ctx.playerIndex] = remaining;
+    state.playerSpreads[ctx.playerIndex].push(cards.map(c => ({ rank: c.rank, suit: c.suit })));
+    ctx.events.push({ type: 'SPREAD_FORMED', playerIndex: ctx.playerIndex, cards });
+
+    // Reem: two spreads laid down in the same turn
+    state.spreadsThisTurn = (state.spreadsThisTurn || 0) + 1;
+    if (state.spreadsThisTurn === 2) {
+      endGame(state, ctx, { winType: 'REEM', winners: [ctx.playerIndex] });
+      return null;
+    }
+
+    checkWentOut(state, ctx);
+    return null;
+  },
+
+  HIT: (state, payload, ctx) => {
+    const { cardIndex, targetIndex, spreadIndex } = payload;
+    if (cardIndex === undefined || targetIndex === undefined || spreadIndex === undefined) {
+      return engineError(ENGINE_ERRORS.INVALID_PAYLOAD, 'Hit requires cardIndex, targetIndex and spreadIndex');
+    }
+
+    const hand = state.playerHands[ctx.playerIndex];
+    const card = hand[cardIndex];
+    if (!card) {
+      return engineError(ENGINE_ERRORS.INVALID_CARD_INDEX, `No card at index ${cardIndex} in your hand`);
+    }
+
+    const targetSpread = state.playerSpreads[targetIndex]?.[spreadIndex];
+    if (!targetSpread || targetSpread.length < 3) {
+      return engineError(ENGINE_ERRORS.INVALID_HIT_TARGET, `No spread at ${targetIndex}/${spreadIndex}`);
+    }
+    if (!isValidHit(card, targetSpread)) {
+      return engineError(ENGINE_ERRORS.INVALID_HIT, `${cardLabel(card)} does not fit that spread`);
+    }
+
+    hand.splice(cardIndex, 1);
+    targetSpread.push(card);
+
+    // First hit blocks dropping for 2 rounds, every later hit stacks 1 more
+    const targetPlayer = state.players[targetIndex];
+    targetPlayer.hitCount = (targetPlayer.hitCount || 0) + 1;
+    targetPlayer.hitPenaltyRounds = (targetPlayer.hitPenaltyRounds || 0) + (targetPlayer.hitCount === 1 ? 2 : 1);
+
+    ctx.events.push({ type: 'SPREAD_HIT', playerIndex: ctx.playerIndex, targetIndex, spreadIndex, card });
+    ctx.events.push({ type: 'HIT_PENALTY_UPDATED', playerIndex: targetIndex, hitPenaltyRounds: targetPlayer.hitPenaltyRounds });
+
+    checkWentOut(state, ctx);
+    return null;
+  },
+
+  DROP: (state, payload, ctx) => {
+    const dropper = state.players[ctx.playerIndex];
+    if (dropper.hitPenaltyRounds > 0) {
+      const rounds = dropper.hitPenaltyRounds;
+      return engineError(ENGINE_ERRORS.HIT_PENALTY_ACTIVE, `You were hit and cannot drop for ${rounds} more round${rounds === 1 ? '' : 's'}`);
+    }
+
+    const roundScores = scoresFor(state);
+    const { min } = lowestScorers(roundScores);
+    ctx.events.push({ type: 'PLAYER_DROPPED', playerIndex: ctx.playerIndex, score: roundScores[ctx.playerIndex] });
+    settleOnLowestScore(state, ctx, {
+      winType: roundScores[ctx.playerIndex] > min ? 'DROP_CAUGHT' : 'DROP_WIN',
+      roundScores,
+      dropped: ctx.playerIndex
+    });
+    return null;
+  },
+
+  DECLARE_SPECIAL_WIN: (state, payload, ctx) => {
+    const hand = state.playerHands[ctx.playerIndex];
+    const score = calculatePoints(hand, state.playerSpreads[ctx.playerIndex]);
+
+    let error = null;
+    if (!isFirstTurn(state, ctx.playerIndex)) {
+      error = engineError(ENGINE_ERRORS.SPECIAL_WIN_NOT_FIRST_TURN, 'The triple-stake milestone can only be declared on your first turn');
+    } else if (!qualifiesForSpecialWin(score)) {
+      error = engineError(ENGINE_ERRORS.SPECIAL_WIN_NOT_ELIGIBLE, `A score of ${score} does not qualify for a special win`);
+    }
+
+    if (error) {
+      if (state.rules?.invalidDeclarationOutcome !== 'drop') {
+        return error;
+      }
+      // Table plays invalid declarations as a drop: the hand is scored and the declarer is usually caught
+      ctx.events.push({ type: 'INVALID_DECLARATION', playerIndex: ctx.playerIndex, score, reason: error.code });
+      return actionHandlers.DROP(state, payload, ctx);
+    }
+
+    state.milestones = [
+      ...(state.milestones || []),
+      { type: 'triple_stake', playerIndex: ctx.playerIndex, score, handSize: hand.length }
+    ];
+    ctx.events.push({ type: 'MILESTONE_REACHED', milestone: 'triple_stake', playerIndex: ctx.playerIndex, score });
+    endGame(state, ctx, { winType: 'SPECIAL_WIN', winners: [ctx.playerIndex] });
+    return null;
+  }
+};
+
+/**
+ * Apply one player action to a game state.
+ * @param {Object} state - Current game state (left untouched)
+ * @param {string} action - Action type (DRAW_CARD, SPREAD, HIT, ...)
+ * @param {Object} payload - Action payload
+ * @param {Object} options - { rng, shuffleSeed } random source for tie-break deals; the hand's seed keeps them replayable
+ * @returns {{ ok: boolean, state: Object, events: Array, error: ?{ code: string, reason: string } }}
+ */
+const processGameAction = (state, action, payload = {}, options = {}) => {
+  const reject = (code, reason) => ({ ok: false, state, events: [], error: engineError(code, reason) });
+
+  if (!state || !Array.isArray(state.players) || !Array.isArray(state.playerHands)) {
+    return reject(ENGINE_ERRORS.NO_GAME_STATE, 'No game in progress');
+  }
+  if (state.gameOver) {
+    return reject(ENGINE_ERRORS.GAME_OVER, 'The game is already over');
+  }
+  if (!state.players[state.currentTurn] || !state.playerHands[state.currentTurn]) {
+    return reject(ENGINE_ERRORS.INVALID_TURN, `Invalid current turn ${state.currentTurn}`);
+  }
+
+  const handler = actionHandlers[action];
+  if (!handler) {
+    return reject(ENGINE_ERRORS.UNKNOWN_ACTION, `Unknown action ${action}`);
+  }
+
+  const phase = currentPhase(state);
+  const transitions = PHASE_TRANSITIONS[phase] || {};
+  if (!(action in transitions)) {
+    return reject(ENGINE_ERRORS.ILLEGAL_PHASE_ACTION, `${action} is not allowed during the ${phase} phase`);
+  }
+
+  const next = structuredClone(state);
+  if (!Array.isArray(next.playerSpreads)) {
+    next.playerSpreads = [];
+  }
+  next.players.forEach((_, i) => {
+    next.playerSpreads[i] = next.playerSpreads[i] || [];
+  });
+  next.deck = next.deck || [];
+  next.discardPile = next.discardPile || [];
+
+  const ctx = {
+    playerIndex: state.currentTurn,
+    rng: options.rng,
+    shuffleSeed: options.shuffleSeed,
+    events: []
+  };
+
+  const error = handler(next, payload || {}, ctx);
+  if (error) {
+    return { ok: false, state, events: [], error };
+  }
+
+  // DISCARD has already handed the turn over in the DRAW phase, and a hand-ending
+  // action that did not end the game has started a tie-break round instead.
+  if (!next.gameOver && action !== 'DISCARD' && transitions[action]) {
+    next.turnPhase = transitions[action];
+    next.hasDrawnCard = next.turnPhase !== TURN_PHASES.DRAW;
+    if (next.turnPhase !== phase) {
+      ctx.events.push({ type: 'PHASE_CHANGED', playerIndex: ctx.playerIndex, from: phase, to: next.turnPhase });
+    }
+  }
+
+  return { ok: true, state: next, events: ctx.events, error: null };
+};
+
+const isActionAvailable = (state, playerIndex, action) => {
+  const hand = state.playerHands[playerIndex] || [];
+  switch (action) {
+    case 'DRAW_CARD':
+      return (state.deck || []).length > 0;
+    case 'DRAW_DISCARD':
+      return (state.discardPile || []).length > 0;
+    case 'SPREAD':
+      return hand.length >= 3;
+    case 'HIT':
+      return hand.length > 0 && (state.playerSpreads || []).some(spreads => spreads && spreads.length > 0);
+    case 'DISCARD':
+      return hand.length > 0;
+    case 'DROP':
+      return !(state.players[playerIndex]?.hitPenaltyRounds > 0);
+    case 'DECLARE_SPECIAL_WIN':
+      return isFirstTurn(state, playerIndex);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Actions the given player may attempt right now, for greying out client controls.
+ * Empty when it is not that player's turn or the hand is over.
+ */
+const getAllowedActions = (state, playerIndex) => {
+  if (!state || state.gameOver || !Array.isArray(state.players) || state.currentTurn !== playerIndex) {
+    return [];
+  }
+  const transitions = PHASE_TRANSITIONS[currentPhase(state)] || {};
+  return Object.keys(transitions).filter(action => isActionAvailable(state, playerIndex, action));
+};
+
+module.exports = {
+  ENGINE_ERRORS,
+  PHASE_TRANSITIONS,
+  currentPhase,
+  getAllowedActions,
+  settleOnLowestScore,
+  MAX_TIE_BREAK_ROUNDS,
+  qualifiesForSpecialWin,
+  isFirstTurn,
+  processGameAction
+};
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { resolvePayoutSchedule } = require('../utils/payoutSchedule');
 
 const createDeck = () => {
   const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
@@ -10,30 +11,136 @@ const createDeck = () => {
       deck.push({ rank, suit });
     }
   }
-  console.log(`🃏 createDeck: Created deck with ${deck.length} cards (expected: 40)`);
-  console.log(`🃏 createDeck: Ranks: ${ranks.join(', ')}`);
-  console.log(`🃏 createDeck: Suits: ${suits.join(', ')}`);
-
-  // Verify deck composition
-  const rankCounts = {};
-  const suitCounts = {};
-  deck.forEach(card => {
-    rankCounts[card.rank] = (rankCounts[card.rank] || 0) + 1;
-    suitCounts[card.suit] = (suitCounts[card.suit] || 0) + 1;
-  });
-  console.log(`🃏 createDeck: Rank distribution:`, rankCounts);
-  console.log(`🃏 createDeck: Suit distribution:`, suitCounts);
-
   return deck;
 };
 
 // Create initial deck constant
 const initialDeck = createDeck();
 
-const shuffleDeck = (deck) => {
+// Draw -> action, where the discard closes the action phase and ends the turn
+// (README 11.4.1's discard phase); see PHASE_TRANSITIONS in gameEngine.js
+const TURN_PHASES = {
+  DRAW: 'DRAW',
+  ACTION: 'ACTION'
+};
+
+// House rules a table can override through Table.rules
+const DEFAULT_RULES = {
+  // Outcome of a triple-stake declaration that does not qualify:
+  // 'reject' refuses the action, 'drop' treats it as a drop and scores the hand
+  invalidDeclarationOutcome: 'reject',
+  // Coach-mode hints each player may ask for per hand, where the table offers hints
+  hintsPerHand: 3
+};
+
+// AI difficulty per stake tier when the table does not set Table.aiDifficulty; see models/aiStrategies.js
+const STAKE_TIER_AI_DIFFICULTY = {
+  1: 'easy',
+  5: 'easy',
+  10: 'medium',
+  20: 'medium',
+  50: 'hard',
+  100: 'hard'
+};
+
+const resolveAiDifficulty = (table) => table.aiDifficulty || STAKE_TIER_AI_DIFFICULTY[table.stake] || 'medium';
+
+// Turn clock, see utils/turnTimerService.js:
+// - turnSeconds: time for each turn before the time bank starts running
+// - timeBankSeconds: extra time a player can draw on over the whole hand
+// - maxTimeouts: expired turns in one hand before the player is penalised
+// - sitOutHands: hands the penalised player then sits out
+const DEFAULT_TURN_TIMER = { turnSeconds: 30, timeBankSeconds: 60, maxTimeouts: 2, sitOutHands: 1 };
+
+// Higher stakes play faster and are less forgiving; Table.turnTimer overrides these
+const STAKE_TIER_TURN_TIMERS = {
+  1: { turnSeconds: 45, timeBankSeconds: 90, maxTimeouts: 3 },
+  5: { turnSeconds: 45, timeBankSeconds: 90, maxTimeouts: 3 },
+  10: { turnSeconds: 30 },
+  20: { turnSeconds: 30 },
+  50: { turnSeconds: 25, timeBankSeconds: 45 },
+  100: { turnSeconds: 20, timeBankSeconds: 45, maxTimeouts: 1 }
+};
+
+const resolveTurnTimer = (table) => {
+  const overrides = table.turnTimer ? JSON.parse(JSON.stringify(table.turnTimer)) : {};
+  return { ...DEFAULT_TURN_TIMER, ...STAKE_TIER_TURN_TIMERS[table.stake], ...overrides };
+};
+
+// Seats serving a timeout penalty are not dealt in; each deal counts down one hand of it.
+// Call before taking stakes for a new hand. Nobody sits out if that would leave under two seats.
+const applySitOuts = (table) => {
+  table.players.forEach(player => {
+    if (player.status !== 'sitting_out') return;
+    if (player.sitOutHands > 0) {
+      player.sitOutHands -= 1;
+    } else {
+      player.status = 'active';
+      console.log(`⏰ ${player.username} has served their sit-out and is dealt back in`);
+    }
+  });
+
+  if (table.players.filter(p => p.status !== 'sitting_out').length < 2) {
+    table.players.forEach(player => {
+      if (player.status !== 'sitting_out') return;
+      player.status = 'active';
+      player.sitOutHands = 0;
+    });
+  }
+};
+
+// How an AI seat plays: its persona's difficulty and tuning when it has one, else the table's tier.
+const aiSeatProfile = (table, player) => {
+  const persona = player.persona?.personaId ? JSON.parse(JSON.stringify(player.persona)) : null;
+  if (!persona) return { difficulty: resolveAiDifficulty(table) };
+
+  const aiParams = {};
+  if (typeof persona.aggression === 'number') aiParams.aggression = persona.aggression;
+  if (typeof persona.riskTolerance === 'number') aiParams.riskTolerance = persona.riskTolerance;
+  return {
+    difficulty: persona.difficulty || resolveAiDifficulty(table),
+    aiParams,
+    persona: { personaId: persona.personaId, name: persona.name, avatarUrl: persona.avatarUrl, tableTalk: persona.tableTalk }
+  };
+};
+
+const resolveRules = (table) => Object.keys(DEFAULT_RULES).reduce((rules, key) => {
+  rules[key] = table.rules?.[key] ?? DEFAULT_RULES[key];
+  return rules;
+}, {});
+
+// Deterministic [0, 1) generator: sha256(seed:counter) blocks read as 32-bit words.
+// The same seed always yields the same sequence, so a deal can be replayed.
+const createSeededRng = (seed) => {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+  return () => {
+    if (offset + 4 > block.length) {
+      block = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value / 0x100000000;
+  };
+};
+
+// Commit-reveal fairness: each hand is shuffled from a secret CSPRNG seed whose sha256 is
+// published at game_started; the seed itself is revealed at game_over.
+const SHUFFLE_ALGORITHM = 'sha256-counter/fisher-yates';
+
+const generateShuffleSeed = () => crypto.randomBytes(32).toString('hex');
+
+const hashShuffleSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+// Round 0 is the opening deal; tie-break rounds shuffle from a seed derived per round.
+const roundRng = (seed, round = 0) => createSeededRng(round > 0 ? `${seed}:tie-break:${round}` : seed);
+
+const shuffleDeck = (deck, rng = Math.random) => {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -147,13 +254,11 @@ const getCombinations = (arr, size) => {
 const isValidHit = (card, spread) => {
   // A hit must be on an existing spread of at least 3 cards
   if (!Array.isArray(spread) || spread.length < 3) {
-      console.log('isValidHit (backend): Spread is not array or too short', spread);
       return false;
   }
 
   // The card being hit with must be a valid card object
   if (!card || typeof card.rank !== 'string' || typeof card.suit !== 'string') {
-      console.log('isValidHit (backend): Invalid card object', card);
       return false;
   }
 
@@ -169,10 +274,8 @@ const isValidHit = (card, spread) => {
   if (isSameRankSpread) {
       // If it's a same-rank spread, the hit card must match the rank
       if (card.rank === spread[0].rank) {
-          console.log('isValidHit (backend): Valid hit on same-rank spread');
           return true;
       } else {
-          console.log('isValidHit (backend): Invalid rank for same-rank hit');
           return false;
       }
   }
@@ -183,7 +286,6 @@ const isValidHit = (card, spread) => {
   if (isSuitedSequenceSpread) {
       // If it's a suited sequence spread, the hit card must match the suit
       if (card.suit !== spread[0].suit) {
-          console.log('isValidHit (backend): Invalid suit for suited sequence hit');
           return false;
       }
 
@@ -204,18 +306,15 @@ const isValidHit = (card, spread) => {
       }
 
       if (isSequence) {
-           console.log('isValidHit (backend): Valid hit on suited sequence (standard)');
            return true;
       }
 
       // If it's a suited sequence but doesn't form a valid standard or Ace-low sequence
-      console.log('isValidHit (backend): Invalid rank sequence for suited sequence hit', allRankIndices);
       return false;
 
   }
 
   // If it's neither a same-rank nor a suited sequence spread, it's not a valid target
-  console.log('isValidHit (backend): Spread is neither same-rank nor suited sequence');
   return false;
 
 };
@@ -239,41 +338,90 @@ const findBestHit = (hand, playerSpreads) => {
   return null;
 };
 
-const initializeGameState = (table) => {
+// Shuffle a fresh deck and deal only to the given seats; every other seat gets an empty hand.
+const dealSeats = (playerCount, seats, rng) => {
+  const deck = shuffleDeck([...initialDeck], rng);
+  const dealt = dealHands(deck, seats.length);
+  const hands = Array.from({ length: playerCount }, () => []);
+  seats.forEach((seat, i) => {
+    hands[seat] = dealt[i];
+  });
+  return { deck, hands };
+};
+
+/**
+ * Reproduce a deal from its seed, for fairness verification.
+ * @param {string} seed - Revealed shuffle seed of the hand
+ * @param {number} playerCount - Seats at the table
+ * @param {number[]} seats - Seats that were dealt in this round
+ * @param {number} round - 0 for the opening deal, 1+ for tie-break rounds
+ * @returns {{ deck: Array, hands: Array }} Stock left after the deal and each seat's hand
+ */
+const replayDeal = (seed, playerCount, seats, round = 0) => dealSeats(playerCount, seats, roundRng(seed, round));
+
+const initializeGameState = (table, options = {}) => {
   console.log(`🎮 initializeGameState: Creating completely fresh game state for table ${table._id}`);
   console.log(`🎮 initializeGameState: Previous gameState was:`, table.gameState ? 'exists' : 'null');
   
-  const deck = shuffleDeck([...initialDeck]);
-  const hands = dealHands(deck, table.players.length);
+  const shuffleSeed = options.shuffleSeed || generateShuffleSeed();
+  const seated = table.players.filter(p => p.status !== 'sitting_out');
+  const seats = seated.map((_, i) => i);
+  const { deck, hands } = dealSeats(seated.length, seats, options.rng || roundRng(shuffleSeed, 0));
+  table.handNumber = (table.handNumber || 0) + 1;
+  table.shuffleSeed = shuffleSeed; // Kept off the game state, which is broadcast
+  table.stateVersion = (table.stateVersion || 0) + 1; // A new deal; clients behind it need a snapshot
 
-  console.log('🎮 initializeGameState: Players:', table.players.map(p => ({ username: p.username, isHuman: p.isHuman })));
+  console.log('🎮 initializeGameState: Players:', seated.map(p => ({ username: p.username, isHuman: p.isHuman })));
 
   // ✅ Create completely new game state object
   table.gameState = {
     // ✅ Ensure players array preserves exact usernames
-    players: table.players.map(p => ({
+    players: seated.map(p => ({
       username: p.username, // Preserve exact username
       chips: p.chips,
       isHuman: p.isHuman,
       socketId: p.socketId,
       joinedAt: p.joinedAt,
       status: p.status,
-      position: p.position
+      position: p.position,
+      turnsTaken: 0,
+      hitCount: 0,
+      hitPenaltyRounds: 0, // Rounds left before this player may drop again
+      timeouts: 0, // Turns the clock ran out on this hand
+      // A human still disconnected when the hand is dealt starts on autopilot
+      ...(p.isHuman ? { autopilot: p.status === 'disconnected' } : aiSeatProfile(table, p))
     })),
     deck,
     playerHands: hands,
-    playerSpreads: Array.from({ length: table.players.length }, () => []),
+    playerSpreads: Array.from({ length: seated.length }, () => []),
     discardPile: [],
     currentTurn: 0,
+    turnPhase: TURN_PHASES.DRAW,
     hasDrawnCard: false,
+    spreadsThisTurn: 0, // Two in one turn is a Reem
     gameOver: false,
     gameStarted: true, // Mark game as started
     winners: [],
     winType: null,
     timestamp: Date.now(),
     stake: table.stake,
-    pot: table.stake * table.players.length,
+    mode: table.mode || 'staked', // Practice hands settle in play money, see utils/practiceService.js
+    pot: table.stake * seated.length,
+    handNumber: table.handNumber,
+    stateVersion: table.stateVersion, // Bumped by every accepted action, see gameSync.recordStateDelta
     roundScores: [],
+    tieBreak: null, // { round, players, history } while tied seats replay the hand
+    decidingRound: 0,
+    milestones: [],
+    hints: [], // Coach-mode hints given this hand, see utils/hintService.js
+    rules: resolveRules(table),
+    payoutSchedule: resolvePayoutSchedule(table), // Fixed for the hand even if the table's schedule changes
+    turnTimer: resolveTurnTimer(table),
+    fairness: {
+      algorithm: SHUFFLE_ALGORITHM,
+      seedHash: hashShuffleSeed(shuffleSeed),
+      deals: [{ round: 0, seats }] // Who was dealt in each round, to replay the shuffles
+    },
     isInitialized: true,
     isLoading: false
   };
@@ -290,284 +438,82 @@ const initializeGameState = (table) => {
     table.gameState.winners = [playerWith50];
     table.gameState.winType = 'IMMEDIATE_50_WIN';
     table.gameState.roundScores = initialScores;
+    table.gameState.milestones.push({
+      type: 'double_stake',
+      playerIndex: playerWith50,
+      score: 50,
+      handSize: table.gameState.playerHands[playerWith50].length
+    });
     console.log(`🟢 END GAME TRIGGERED: IMMEDIATE_50_WIN`);
   }
 
+  // The event log opens with the deal minus the cards, which a replay re-deals from the seed
+  const { deck: stock, playerHands, ...dealt } = handSnapshot(table.gameState);
+  table.gameState = appendHandEvent(table.gameState, {
+    type: 'deal',
+    timestamp: table.gameState.timestamp,
+    tableName: table.name,
+    seats,
+    state: dealt,
+    fingerprint: handFingerprint(table.gameState)
+  });
+
   console.log('🎮 initializeGameState: Game state initialized with players:', table.gameState.players.map(p => ({ username: p.username, isHuman: p.isHuman })));
   console.log('🎮 initializeGameState: Player hands dealt:', table.gameState.playerHands.map((hand, i) => ({ player: table.gameState.players[i].username, cardCount: hand.length })));
   console.log(`🎮 initializeGameState: Fresh state created - gameOver: ${table.gameState.gameOver}, gameStarted: ${table.gameState.gameStarted}, timestamp: ${table.gameState.timestamp}`);
 };
 
-const processGameAction = (state, action, payload) => {
-   const newState = { ...state };
-   const currentTurn = newState.currentTurn;
-   const playerHand = newState.playerHands?.[currentTurn] || [];
-
-   console.log(`⚙️ processGameAction: Processing ${action} for player ${newState.players[currentTurn]?.username || 'unknown'} (turn ${currentTurn})`);
-   console.log(`⚙️ processGameAction: Before action - gameOver: ${newState.gameOver}, hand size: ${playerHand.length}`);
-
-   // ✅ Critical turn validation - ensure game isn't over and player exists
-   if (newState.gameOver) {
-     console.log(`⚙️ processGameAction: Game is already over - rejecting action ${action}`);
-     return newState;
-   }
-
-   if (!newState.players || !newState.players[currentTurn]) {
-     console.log(`⚙️ processGameAction: Invalid current turn ${currentTurn} - players array issue`);
-     return newState;
-   }
-
-   // ✅ Ensure playerSpreads is always properly initialized
-   if (!newState.playerSpreads || !Array.isArray(newState.playerSpreads)) {
-     console.log(`⚙️ processGameAction: Initializing playerSpreads array`);
-     newState.playerSpreads = Array.from({ length: newState.players.length }, () => []);
-   }
-
-  switch (action) {
-    case 'DRAW_CARD':
-      console.log(`🎯 DRAW_CARD: Before action - hasDrawnCard: ${newState.hasDrawnCard}, deck length: ${newState.deck?.length || 0}`);
-      if (!newState.hasDrawnCard && newState.deck?.length > 0) {
-        const card = newState.deck.pop();
-        newState.playerHands[currentTurn].push(card);
-        newState.hasDrawnCard = true;
-        console.log(`🎯 DRAW_CARD: After action - hasDrawnCard: ${newState.hasDrawnCard}, drew card: ${card.rank} of ${card.suit}`);
-      } else {
-        console.log(`🎯 DRAW_CARD: Action blocked - hasDrawnCard: ${newState.hasDrawnCard}, deck length: ${newState.deck?.length || 0}`);
-      }
-      break;
-
-    case 'DRAW_DISCARD':
-      console.log(`🎯 DRAW_DISCARD: Before action - hasDrawnCard: ${newState.hasDrawnCard}, discard pile length: ${newState.discardPile?.length || 0}`);
-      if (!newState.hasDrawnCard && newState.discardPile?.length > 0) {
-        const card = newState.discardPile.pop();
-        newState.playerHands[currentTurn].push(card);
-        newState.hasDrawnCard = true;
-        console.log(`🎯 DRAW_DISCARD: After action - hasDrawnCard: ${newState.hasDrawnCard}, drew card: ${card.rank} of ${card.suit}`);
-      } else {
-        console.log(`🎯 DRAW_DISCARD: Action blocked - hasDrawnCard: ${newState.hasDrawnCard}, discard pile length: ${newState.discardPile?.length || 0}`);
-      }
-      break;
-
-      case 'DISCARD':
-        console.log(`🎯 DISCARD: Before action - hasDrawnCard: ${newState.hasDrawnCard}, cardIndex: ${payload.cardIndex}`);
-        console.log(`🎯 DISCARD: Player hand length: ${newState.playerHands[currentTurn]?.length || 0}`);
-        console.log(`🎯 DISCARD: Current turn player: ${newState.players[currentTurn]?.username || 'unknown'}`);
-
-        // ✅ REEMTEAM VARIANT: Allow discard from initial hand (no hasDrawnCard requirement)
-        if (payload.cardIndex === undefined || newState.playerHands[currentTurn]?.length === 0) {
-          console.log(`🎯 DISCARD: Action blocked - cardIndex: ${payload.cardIndex}, hand length: ${newState.playerHands[currentTurn]?.length || 0}`);
-          console.log(`🎯 DISCARD: BLOCKED - Invalid card index or no cards to discard`);
-          break;
-        }
-
-        const discarded = newState.playerHands[currentTurn].splice(payload.cardIndex, 1)[0];
-        newState.discardPile.push(discarded);
-        newState.hasDrawnCard = false;
-
-        console.log(`🎯 DISCARD: After action - hasDrawnCard: ${newState.hasDrawnCard}, discarded: ${discarded.rank} of ${discarded.suit}`);
-        console.log(`🎯 DISCARD: Player hand after discard: ${newState.playerHands[currentTurn]?.length || 0} cards`);
-        console.log(`🎯 DISCARD: Discard pile size: ${newState.discardPile.length}`);
-
-        // ✅ Check STOCK_EMPTY win condition after discard completes turn
-        if (newState.deck.length === 0 && !newState.gameOver) {
-          const finalScores = newState.playerHands.map((hand, index) =>
-            calculatePoints(hand, newState.playerSpreads[index] || [])
-          );
-          const minScore = Math.min(...finalScores);
-          const winners = finalScores
-            .map((score, index) => ({ score, index }))
-            .filter(({ score }) => score === minScore)
-            .map(({ index }) => index);
-
-          console.log(`🏆 STOCK_EMPTY WIN: Deck empty after discard, winners: [${winners.join(',')}], scores: [${finalScores.join(',')}]`);
-          newState.gameOver = true;
-          newState.winners = winners;
-          newState.winType = 'STOCK_EMPTY';
-          newState.roundScores = finalScores;
-          console.log(`🟢 END GAME TRIGGERED: STOCK_EMPTY`);
-        } else {
-          // Advance turn only if game didn't end on STOCK_EMPTY
-          newState.currentTurn = (currentTurn + 1) % newState.players.length;
-        }
-
-        // ✅ Preserve playerSpreads — nothing else needed here
-
-        // Check regular win condition (empty hand)
-        if (newState.playerHands[currentTurn].length === 0 && !newState.gameOver) {
-          console.log(`🏆 REGULAR WIN: Player ${newState.players[currentTurn].username} has 0 cards after discard`);
-          newState.gameOver = true;
-          newState.winners = [currentTurn];
-          newState.winType = 'REGULAR_WIN';
-          console.log(`🟢 END GAME TRIGGERED: REGULAR_WIN`);
-        }
-        break;
-
-
-      case 'SPREAD':
-        console.log(`⚙️ SPREAD: Processing spread for player ${newState.players[currentTurn].username}`);
-        console.log(`⚙️ SPREAD: Payload cards:`, payload.cards);
-        console.log(`⚙️ SPREAD: Current playerSpreads:`, newState.playerSpreads);
-        
-        if (!Array.isArray(payload.cards)) {
-          console.log(`⚙️ SPREAD: Invalid payload - not array`);
-          break;
-        }
-        
-        const isValid = isValidSpread(payload.cards);
-        console.log(`⚙️ SPREAD: Spread validity:`, isValid);
-        
-        if (!isValid) {
-          console.log(`⚙️ SPREAD: Invalid spread, breaking`);
-          break;
-        }
-
-        // Ensure playerSpreads array exists and is properly initialized
-        if (!newState.playerSpreads) {
-          console.log(`⚙️ SPREAD: Initializing playerSpreads array`);
-          newState.playerSpreads = Array.from({ length: newState.players.length }, () => []);
-        }
-
-        const spreadClone = newState.playerSpreads[currentTurn]?.slice() || [];
-        spreadClone.push([...payload.cards]); // Deep clone the cards
-        console.log(`⚙️ SPREAD: Updated spreads for player ${currentTurn}:`, spreadClone);
-
-        // Replace entire spread array for immutability
-        newState.playerSpreads = newState.playerSpreads.map((spreads, i) =>
-          i === currentTurn ? spreadClone : spreads
-        );
-
-        console.log(`⚙️ SPREAD: Hand before removing cards:`, newState.playerHands[currentTurn]);
-        payload.cards.forEach(card => {
-          const idx = newState.playerHands[currentTurn].findIndex(
-            c => c.rank === card.rank && c.suit === card.suit
-          );
-          if (idx !== -1) {
-            console.log(`⚙️ SPREAD: Removing card at index ${idx}:`, card);
-            newState.playerHands[currentTurn].splice(idx, 1);
-          }
-        });
-        console.log(`⚙️ SPREAD: Hand after removing cards:`, newState.playerHands[currentTurn]);
-
-        const spreadCount = newState.playerSpreads[currentTurn].length;
-        console.log(`⚙️ SPREAD: Player ${currentTurn} now has ${spreadCount} spreads`);
-        
-        if (spreadCount === 2) {
-          console.log(`🏆 REEM WIN: Player ${newState.players[currentTurn].username} achieved REEM with ${spreadCount} spreads`);
-          newState.gameOver = true;
-          newState.winners = [currentTurn];
-          newState.winType = 'REEM';
-          console.log(`🟢 END GAME TRIGGERED: REEM`);
-        }
-        
-        console.log(`⚙️ SPREAD: Final playerSpreads state:`, newState.playerSpreads);
-        break;
-
-    case 'HIT':
-      console.log(`HIT: Processing hit from player ${currentTurn} (${newState.players[currentTurn].username})`);
-
-      // ✅ Validate it's the player's turn
-      if (newState.hasDrawnCard === false) {
-        console.log(`HIT: Invalid - player must draw a card before hitting`);
-        break;
-      }
-
-      const { cardIndex, targetIndex, spreadIndex } = payload;
-      if (cardIndex === undefined || targetIndex === undefined || spreadIndex === undefined) {
-        console.log(`HIT: Invalid payload - missing required indices`);
-        break;
-      }
-
-      const cardToHit = newState.playerHands[currentTurn]?.[cardIndex];
-      if (!cardToHit) {
-        console.log(`HIT: Invalid card index ${cardIndex}`);
-        break;
-      }
-
-      const targetSpread = newState.playerSpreads?.[targetIndex]?.[spreadIndex];
-      if (!targetSpread || targetSpread.length < 3) {
-        console.log(`HIT: Invalid target spread at ${targetIndex}, ${spreadIndex}`);
-        break;
-      }
-
-      if (isValidHit(cardToHit, targetSpread)) {
-          newState.playerHands[currentTurn].splice(cardIndex, 1);
-          newState.playerSpreads[targetIndex][spreadIndex].push(cardToHit);
-
-          // Apply penalty
-          const targetPlayer = newState.players[targetIndex];
-          if (!targetPlayer.hitCount) {
-              targetPlayer.hitCount = 0;
-          }
-          targetPlayer.hitCount++;
-          targetPlayer.hitPenaltyRounds = (targetPlayer.hitCount === 1) ? 2 : 1;
-
-          console.log(`HIT: Valid hit - ${cardToHit.rank}${cardToHit.suit} added to ${newState.players[targetIndex].username}'s spread`);
-
-          console.log(`🎯 HIT: After action - hasDrawnCard reset to: ${newState.hasDrawnCard}, turn advanced to: ${newState.currentTurn}`);
-          newState.hasDrawnCard = false;
-          newState.currentTurn = (currentTurn + 1) % newState.players.length;
-      } else {
-          console.log(`HIT: Invalid hit attempt - advancing turn anyway`);
-          newState.currentTurn = (currentTurn + 1) % newState.players.length;
-      }
-      break;
-
-
-      case 'DROP':
-          const dropperPlayer = newState.players[currentTurn];
-          if (dropperPlayer.hitPenaltyRounds > 0) {
-              // Player cannot drop, maybe send an event to notify the client
-              break;
-          }
-          // Calculate scores excluding spread cards
-          const scores = newState.playerHands.map((hand, index) =>
-            calculatePoints(hand, newState.playerSpreads[index] || [])
-          );
-          const min = Math.min(...scores);
-          const dropper = scores[currentTurn];
-          const winners = scores.map((score, i) => (score === min ? i : null)).filter(i => i !== null);
-          newState.gameOver = true;
-          newState.winners = winners;
-          newState.winType = dropper > min ? 'DROP_CAUGHT' : 'DROP_WIN';
-          newState.dropped = currentTurn;
-          newState.roundScores = scores; // Store final scores
-          console.log(`🟢 END GAME TRIGGERED: DROP (${newState.winType})`);
-          break;
-
-      case 'DECLARE_SPECIAL_WIN':
-          console.log(`🏆 DECLARE_SPECIAL_WIN: Player ${newState.players[currentTurn].username} attempting special win`);
-          const currentPlayerScore = calculatePoints(playerHand, newState.playerSpreads[currentTurn] || []);
-          
-          // Check for 41 points or less than 11 points (i.e., 10 or less)
-          if (currentPlayerScore === 41 || currentPlayerScore <= 10) {
-              console.log(`🏆 SPECIAL WIN: Player ${newState.players[currentTurn].username} declared special win with score ${currentPlayerScore}`);
-              newState.gameOver = true;
-              newState.winners = [currentTurn];
-              newState.winType = 'SPECIAL_WIN';
-              newState.roundScores = newState.playerHands.map((hand, index) =>
-                calculatePoints(hand, newState.playerSpreads[index] || [])
-              );
-              console.log(`🟢 END GAME TRIGGERED: SPECIAL_WIN`);
-          } else {
-              console.log(`🚫 DECLARE_SPECIAL_WIN: Invalid score for special win: ${currentPlayerScore}`);
-              // Optionally, could add a penalty or just ignore the action
-          }
-          break;
-
-      default:
-        console.warn(`Unhandled game action: ${action}`);
-        break;
-    }
-
-
-  console.log(`⚙️ processGameAction: After ${action} - gameOver: ${newState.gameOver}, winType: ${newState.winType}, winners: [${newState.winners?.join(',') || ''}]`);
-
-  // After any action that might end the game, check for AI departure conditions
-  if (newState.gameOver) {
-    handleAiDeparture(newState);
+/**
+ * Start a tie-break round on an existing game state (mutates it).
+ * Only the tied seats are re-dealt from a fresh deck and take turns; the pot is
+ * left untouched so it carries over to whoever wins the tie-break.
+ * @param {Object} gameState - State whose hand just ended in a tie
+ * @param {number[]} tiedSeats - Player indices that replay
+ * @param {Object} outcome - { winType, roundScores, ... } of the tied round, kept in history
+ * @param {Function} rng - Random source for the shuffle
+ */
+const startTieBreakRound = (gameState, tiedSeats, outcome, rng = Math.random) => {
+  const previous = gameState.tieBreak || { round: 0, history: [] };
+  const { deck, hands } = dealSeats(gameState.players.length, tiedSeats, rng);
+
+  if (gameState.fairness) {
+    gameState.fairness.deals = [...(gameState.fairness.deals || []), { round: previous.round + 1, seats: [...tiedSeats] }];
   }
+  gameState.tieBreak = {
+    round: previous.round + 1,
+    players: [...tiedSeats],
+    history: [...previous.history, { round: previous.round, tiedPlayers: [...tiedSeats], ...outcome }]
+  };
+  gameState.deck = deck;
+  gameState.playerHands = hands;
+  gameState.playerSpreads = Array.from({ length: gameState.players.length }, () => []);
+  gameState.discardPile = [];
+  gameState.currentTurn = tiedSeats[0];
+  gameState.turnPhase = TURN_PHASES.DRAW;
+  gameState.hasDrawnCard = false;
+  gameState.spreadsThisTurn = 0;
+  gameState.winners = [];
+  gameState.winType = null;
+  gameState.roundScores = [];
+  gameState.players.forEach(player => {
+    player.hitCount = 0;
+    player.hitPenaltyRounds = 0;
+    player.turnsTaken = 0;
+  });
 
-  return newState;
+  // A dealt 50 settles the tie-break on the spot, same as on the opening deal
+  const seatWith50 = tiedSeats.find(seat => calculatePoints(hands[seat]) === 50);
+  if (seatWith50 !== undefined) {
+    gameState.gameOver = true;
+    gameState.winners = [seatWith50];
+    gameState.winType = 'IMMEDIATE_50_WIN';
+    gameState.roundScores = hands.map((hand, seat) => (tiedSeats.includes(seat) ? calculatePoints(hand) : null));
+    gameState.decidingRound = gameState.tieBreak.round;
+    gameState.milestones = [
+      ...(gameState.milestones || []),
+      { type: 'double_stake', playerIndex: seatWith50, score: 50, handSize: hands[seatWith50].length }
+    ];
+  }
 };
 
 const handleAiDeparture = (gameState, action, aiPlayer) => {
@@ -635,13 +581,114 @@ const handleAiDeparture = (gameState, action, aiPlayer) => {
 
 
 
-const calculateStateHash = (state) => {
-  const normalized = JSON.stringify(state, Object.keys(state).sort());
-  return crypto.createHash('sha256').update(normalized).digest('hex');
+/**
+ * Canonical JSON of a value: object keys sorted at every depth and undefined fields left
+ * out, so equal states serialise (and hash) the same whatever order their fields were set in.
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string}
+ */
+const canonicalSerialize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalSerialize(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') return canonicalSerialize(value.toJSON());
+    const fields = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${canonicalSerialize(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// SHA-256 of the canonical serialisation; clients hash their copy the same way to verify it
+const calculateStateHash = (state) =>
+  crypto.createHash('sha256').update(canonicalSerialize(state)).digest('hex');
+
+/**
+ * Fingerprint of the cards, turn and outcome of a state. The hand's event log stores one
+ * per step so a replay can check it reproduces the hand exactly.
+ */
+const handFingerprint = (state) => crypto.createHash('sha256').update(JSON.stringify([
+  state.deck,
+  state.playerHands,
+  state.playerSpreads,
+  state.discardPile,
+  state.currentTurn,
+  state.turnPhase,
+  state.gameOver,
+  state.winners,
+  state.winType
+])).digest('hex');
+
+// A state as the event log keeps it: without the log itself or the players' socket IDs
+const handSnapshot = (state) => {
+  const { eventLog, ...snapshot } = state;
+  return { ...snapshot, players: snapshot.players.map(({ socketId, ...player }) => player) };
+};
+
+/**
+ * Append an entry to the hand's event log, written to Game.logs when the hand is settled
+ * (utils/gameRecorder.js) and replayed by GET /games/:id/replay.
+ * @param {Object} gameState - Current game state
+ * @param {Object} event - { type, ... }
+ * @returns {Object} New state; a new object so Mongoose sees the Mixed path change
+ */
+const appendHandEvent = (gameState, event) => {
+  const eventLog = gameState.eventLog || [];
+  return {
+    ...gameState,
+    // A copy, so the engine's in-place updates to the live state never reach the log
+    eventLog: [...eventLog, { seq: eventLog.length, timestamp: Date.now(), ...structuredClone(event) }]
+  };
+};
+
+/**
+ * Log an action the engine accepted, with the fingerprint of the state it produced
+ * @param {Object} state - State after the action
+ * @param {Object} entry - { source: player|ai|autopilot|timeout, playerIndex, action, payload, events, ... }
+ */
+const recordHandAction = (state, { playerIndex, ...entry }) => appendHandEvent(state, {
+  type: 'action',
+  playerIndex,
+  username: state.players[playerIndex]?.username,
+  ...entry,
+  fingerprint: handFingerprint(state)
+});
+
+// What a forfeit sets on the state, as played and as replayed from its log entry
+const applyForfeit = (state, { currentTurn, winners, winType, message }) => ({
+  ...state,
+  currentTurn,
+  gameOver: true,
+  winners,
+  winType,
+  message
+});
+
+/**
+ * End a hand outside play, after a player left and too few remain to go on. It is logged
+ * as a 'forfeit' entry carrying everything it sets, which GET /games/:id/replay applies.
+ * @param {Object} state - Current game state
+ * @param {Object} forfeit - { username (who left), winners, winType: FORFEIT_WIN|ABANDONED, message }
+ * @returns {Object} The ended state with the entry appended
+ */
+const forfeitHand = (state, { username, winners, winType, message }) => {
+  const forfeit = { currentTurn: state.currentTurn, winners, winType, message };
+  const ended = applyForfeit(state, forfeit);
+  return appendHandEvent(ended, { type: 'forfeit', username, ...forfeit, fingerprint: handFingerprint(ended) });
 };
 
 
 module.exports = {
+  TURN_PHASES,
+  DEFAULT_RULES,
+  STAKE_TIER_AI_DIFFICULTY,
+  resolveAiDifficulty,
+  DEFAULT_TURN_TIMER,
+  STAKE_TIER_TURN_TIMERS,
+  resolveTurnTimer,
+  applySitOuts,
   createDeck,
   shuffleDeck,
   dealHands,
@@ -649,9 +696,23 @@ module.exports = {
   isValidSpread,
   isValidHit, // Export the corrected function
   initializeGameState,
-  processGameAction,
+  startTieBreakRound,
+  handleAiDeparture,
+  canonicalSerialize,
   calculateStateHash,
+  handFingerprint,
+  handSnapshot,
+  appendHandEvent,
+  recordHandAction,
+  applyForfeit,
+  forfeitHand,
+  createSeededRng,
+  SHUFFLE_ALGORITHM,
+  generateShuffleSeed,
+  hashShuffleSeed,
+  roundRng,
+  replayDeal,
   findBestSpread,
   findBestHit,
-
+  getCombinations,
 };
@@ -1,19 +1,254 @@
+const { getAllowedActions, currentPhase } = require('./gameEngine');
+const { getLegalMoves } = require('./legalMoves');
+const { Table } = require('./Table');
+const { calculateStateHash, appendHandEvent } = require('./gameLogic');
+const turnTimerService = require('../utils/turnTimerService');
+const stateDeltaService = require('../utils/stateDeltaService');
+
+// Stand-in for a card the viewer may not see, as in the transition spectator states
+const HIDDEN_CARD = { rank: 'hidden', suit: 'hidden' };
+
+// What one viewer may see of a hand: their own cards, a card count for everyone else, the top
+// discard and the number of cards left in the stock. Hands are shown to all once the hand is
+// over; the stock order, the hand's event log and server-only seat fields (socket ids, AI tuning)
+// never leave the server. viewerIndex is -1 for spectators.
+const projectState = (gameState, viewerIndex) => {
+    const { deck, playerHands = [], discardPile = [], hints = [], eventLog, players = [], ...rest } = gameState;
+    const topDiscard = discardPile.length > 0 ? discardPile[discardPile.length - 1] : null;
+
+    return {
+        ...rest,
+        players: players.map(({ socketId, aiParams, ...seat }) => seat),
+        playerHands: playerHands.map((hand, index) =>
+            (gameState.gameOver || index === viewerIndex ? hand : hand.map(() => HIDDEN_CARD))),
+        handCounts: playerHands.map(hand => hand.length),
+        discardPile: topDiscard ? [topDiscard] : [],
+        topDiscard,
+        discardCount: discardPile.length,
+        deck: [],
+        deckCount: (deck || []).length,
+        hints: hints.filter(hint => hint.playerIndex === viewerIndex), // Coach hints are private
+        viewerIndex,
+        spectatorMode: viewerIndex === -1
+    };
+};
+
+// A player's personal view of the game state; anyone not seated in the hand gets the spectator view
+const getPlayerView = (gameState, username) => {
+    if (!gameState || !Array.isArray(gameState.players)) return gameState;
+    const viewerIndex = username ? gameState.players.findIndex(p => p.isHuman && p.username === username) : -1;
+    return projectState(gameState, viewerIndex);
+};
+
+const getSpectatorView = (gameState) => getPlayerView(gameState, null);
+
+// Seat of the human whose socketId this is (kept current on join and reconnect), else -1
+const seatOfSocket = (gameState, socketId) =>
+    (gameState?.players || []).findIndex(p => p.isHuman && p.socketId === socketId);
+
+// View for a socket: its player's view, or the spectator view
+const getSocketView = (gameState, socketId) => {
+    const viewerIndex = seatOfSocket(gameState, socketId);
+    return getPlayerView(gameState, viewerIndex === -1 ? null : gameState.players[viewerIndex].username);
+};
+
+// Engine events as one viewer may see them: a card drawn from the stock is only shown to the drawer
+const getEventsView = (events = [], viewerIndex) => events.map(event =>
+    (event.type === 'CARD_DRAWN' && event.source === 'stock' && event.playerIndex !== viewerIndex
+        ? { ...event, card: HIDDEN_CARD }
+        : event));
+
+const withoutSocket = ({ socketId, ...seat }) => seat;
+
+// A table's seats, spectators and ready list as table_players_update sends them, without socket ids
+const getTablePlayersView = (table) => {
+    const toObject = (entry) => (typeof entry?.toObject === 'function' ? entry.toObject() : entry);
+    return {
+        players: (table.players || []).map(p => withoutSocket(toObject(p))),
+        spectators: (table.spectators || []).map(s => withoutSocket(toObject(s))),
+        readyPlayers: table.readyPlayers || []
+    };
+};
+
+// A table document as a client may see it, with its game state projected for the viewer
+const getTableView = (table, username = null) => {
+    const data = typeof table.toObject === 'function' ? table.toObject() : { ...table };
+    delete data.shuffleSeed;
+    return {
+        ...data,
+        players: (data.players || []).map(withoutSocket),
+        spectators: (data.spectators || []).map(withoutSocket),
+        gameState: getPlayerView(data.gameState, username)
+    };
+};
+
+// Sockets in the table's room with the seat each one plays. Without a room registry
+// (a bare emitter) the room is addressed as a whole, as a spectator.
+const roomViewers = (io, tableId, gameState) => {
+    const room = io.sockets?.adapter?.rooms?.get(tableId.toString());
+    if (!room) return [{ target: tableId.toString(), viewerIndex: -1 }];
+    return [...room].map(socketId => ({ target: socketId, viewerIndex: seatOfSocket(gameState, socketId) }));
+};
+
+// Send a game state to everyone in the table's room, each socket getting its own view.
+// wrap builds the payload around the view, for events that carry more than the state.
+const emitGameState = (io, tableId, event, gameState, wrap = view => view) => {
+    if (!io || !gameState) return;
+    roomViewers(io, tableId, gameState).forEach(({ target, viewerIndex }) => {
+        io.to(target).emit(event, wrap(projectState(gameState, viewerIndex)));
+    });
+};
+
+// Hash of one viewer's view, as that client computes it over its own copy of the state
+const getViewHash = (gameState, viewerIndex) => calculateStateHash(projectState(gameState, viewerIndex));
+
+/**
+ * Check a client's hash of its view of the hand against the server's
+ * @param {Object} gameState - Current game state
+ * @param {number} viewerIndex - The client's seat, -1 for a spectator
+ * @param {string} clientHash - calculateStateHash of the client's copy of its view
+ * @returns {{ valid: boolean, stateHash: string, stateVersion: number, viewerIndex: number }}
+ */
+const validateGameState = (gameState, viewerIndex, clientHash) => {
+    const stateHash = getViewHash(gameState, viewerIndex);
+    return { valid: clientHash === stateHash, stateHash, stateVersion: gameState.stateVersion, viewerIndex };
+};
+
+/**
+ * A client's view drifted from the server's: send the socket (when there is one) a corrective
+ * snapshot and log a reconciliation event on the hand. The event is pushed on its own rather
+ * than saving the table, so a check racing a move can never write back a stale state.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} table - Table document
+ * @param {Object} mismatch - { socketId, viewerIndex, clientHash, clientVersion, via: socket|rest }
+ * @returns {Promise<Object>} The corrected view
+ */
+const reconcileView = async (io, table, { socketId, viewerIndex, clientHash, clientVersion, via }) => {
+    const { gameState } = table;
+    const view = projectState(gameState, viewerIndex);
+    const stateHash = calculateStateHash(view);
+
+    if (io && socketId) {
+        io.to(socketId).emit('state_reconciled', {
+            tableId: table._id.toString(),
+            serverState: view,
+            stateHash,
+            stateVersion: gameState.stateVersion,
+            timestamp: Date.now()
+        });
+    }
+
+    const entry = appendHandEvent(gameState, {
+        type: 'reconciliation',
+        playerIndex: viewerIndex,
+        username: gameState.players[viewerIndex]?.username || null,
+        clientHash,
+        serverHash: stateHash,
+        clientVersion,
+        stateVersion: gameState.stateVersion,
+        via
+    }).eventLog.at(-1);
+    // Only onto the log as loaded; if the hand moved on meanwhile the event is dropped, not misplaced.
+    // The revision bump stops a save from a copy loaded earlier writing the log back without it.
+    await Table.updateOne(
+        { _id: table._id, 'gameState.eventLog': { $size: entry.seq } },
+        {
+            $push: { 'gameState.eventLog': entry },
+            $inc: { stateRevision: 1 } // See Table.saveIfCurrent
+        }
+    );
+    console.log(`🔄 Reconciled ${gameState.players[viewerIndex]?.username || 'a spectator'}'s view at table ${table._id} (client version ${clientVersion ?? '?'}, server ${gameState.stateVersion})`);
+    return view;
+};
+
+// Top-level fields of the spectator view an action changed; the same for every client
+const getPublicDelta = (previous, next) => {
+    const before = getSpectatorView(previous);
+    const after = getSpectatorView(next);
+    return Object.keys(after).reduce((delta, key) => {
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) delta[key] = after[key];
+        return delta;
+    }, {});
+};
+
+// Hands to send with a delta, by seat; each one is only ever sent to its owner. Every hand
+// goes out when the public placeholders changed, as applying those overwrites the owner's hand.
+const getHandChanges = (previous, next, publicDelta) => (next.playerHands || []).reduce((hands, hand, index) => {
+    if (publicDelta.playerHands || JSON.stringify(previous.playerHands?.[index]) !== JSON.stringify(hand)) hands[index] = hand;
+    return hands;
+}, {});
+
+// Coach hints to send with a delta, by seat, as projectState filters them for each seat's owner
+const getHintChanges = (previous, next) => (next.players || []).reduce((changes, player, index) => {
+    const before = (previous.hints || []).filter(hint => hint.playerIndex === index);
+    const after = (next.hints || []).filter(hint => hint.playerIndex === index);
+    if (JSON.stringify(before) !== JSON.stringify(after)) changes[index] = after;
+    return changes;
+}, {});
+
+// A recorded delta as one viewer receives it: the public part plus their own hand and hints if they changed
+const getDeltaView = (entry, viewerIndex) => {
+    const privateDelta = {
+        ...(entry.hands[viewerIndex] ? { hand: entry.hands[viewerIndex] } : {}),
+        ...(entry.hints?.[viewerIndex] ? { hints: entry.hints[viewerIndex] } : {})
+    };
+    return {
+        version: entry.version,
+        action: entry.action,
+        actor: entry.actor,
+        publicDelta: entry.publicDelta,
+        ...(Object.keys(privateDelta).length > 0 ? { privateDelta } : {}),
+        timestamp: entry.timestamp
+    };
+};
+
+/**
+ * Bump Table.stateVersion for every change clients see (an accepted action, a hint, an autopilot handover) and keep its delta in a short ring buffer,
+ * so reconnecting clients can catch up through request_state_sync. Sets next.stateVersion
+ * too; the caller saves the table.
+ * @param {Object} table - Table document the action was played on
+ * @param {Object} previous - State before the action
+ * @param {Object} next - State after the action
+ * @param {Object} meta - { action, actor } where actor is the username of the seat that acted
+ * @returns {Object} The recorded delta
+ */
+const recordStateDelta = (table, previous, next, { action, actor }) => {
+    const version = (table.stateVersion || 0) + 1;
+    table.stateVersion = version;
+    next.stateVersion = version;
+
+    const publicDelta = getPublicDelta(previous, next);
+    const entry = {
+        version,
+        action,
+        actor,
+        publicDelta,
+        hands: getHandChanges(previous, next, publicDelta),
+        hints: getHintChanges(previous, next),
+        timestamp: Date.now()
+    };
+    stateDeltaService.record(table._id, entry);
+    return entry;
+};
+
+// Send each socket in the room a recorded delta as a compact state_delta, instead of the whole state
+const emitStateDelta = (io, tableId, entry, gameState) => {
+    if (!io || !entry) return;
+    roomViewers(io, tableId, gameState).forEach(({ target, viewerIndex }) => {
+        io.to(target).emit('state_delta', {
+            tableId: tableId.toString(),
+            ...getDeltaView(entry, viewerIndex),
+            stateHash: getViewHash(gameState, viewerIndex) // The client's view once the delta is applied
+        });
+    });
+};
+
 const GameSync = {
     broadcastGameState: (wsServer, table) => {
-        const gameState = {
-            type: 'GAME_UPDATE',
-            table: {
-                ...table,
-                playerHands: table.playerHands ? table.playerHands.map((hand, idx) =>
-                    idx === table.currentTurn ? hand : hand.length
-                ) : []
-            }
-        };
-
         wsServer.clients.forEach(client => {
             if (client.readyState === WebSocket.OPEN) {
-                const playerView = GameSync.getPlayerView(gameState, client.userId);
-                client.send(JSON.stringify(playerView));
+                const playerView = GameSync.getPlayerView(table, client.userId);
+                client.send(JSON.stringify({ type: 'GAME_UPDATE', table: playerView }));
             }
         });
     },
@@ -29,13 +264,7 @@ const GameSync = {
         return GameSync.removePlayer(table, playerId);
     },
 
-    getPlayerView: (gameState, userId) => {
-        // Return a view of the game state specific to the player
-        // Hide other players' full hands, etc.
-        const view = { ...gameState };
-        // Implementation depends on game rules
-        return view;
-    },
+    getPlayerView: (gameState, username) => getPlayerView(gameState, username),
 
     saveGameState: async (table) => {
         // Save current game state to database
@@ -64,7 +293,7 @@ const GameSync = {
     synchronizeState: (io, tableId, table) => {
         // Broadcast full state synchronization to all clients in the room
         io.to(tableId).emit('state_sync', {
-            table,
+            table: getTableView(table),
             timestamp: Date.now(),
             version: table.stateVersion || 0
         });
@@ -73,20 +302,161 @@ const GameSync = {
 
 // Export individual functions for use in other modules
 const broadcastGameState = (io, table) => {
-    const gameState = {
+    emitGameState(io, table._id, 'game_update', table.gameState, view => ({
         type: 'GAME_UPDATE',
-        table: {
-            ...table.toObject(),
-            playerHands: table.playerHands ? table.playerHands.map((hand, idx) =>
-                idx === table.currentTurn ? hand : hand.length
-            ) : []
-        },
+        table: { ...getTableView(table), gameState: view },
         timestamp: Date.now()
-    };
-
-    io.to(table.tableId).emit('game_update', gameState);
+    }));
 };
 
 const synchronizeGameState = (io, tableId, table) => {
     GameSync.synchronizeState(io, tableId, table);
 };
+
+// Send every seated player the actions they may take in the current turn phase.
+// Players who are not on turn get an empty list so their controls can be disabled.
+// The player on turn also gets the full legal_moves list for the new state.
+const emitAllowedActions = (io, tableId, gameState) => {
+    if (!io || !gameState || !Array.isArray(gameState.players)) return;
+
+    const turnPhase = gameState.gameOver ? null : currentPhase(gameState);
+    gameState.players.forEach((player, index) => {
+        if (!player.isHuman || !player.socketId) return;
+        io.to(player.socketId).emit('allowed_actions', {
+            tableId,
+            currentTurn: gameState.currentTurn,
+            turnPhase,
+            actions: getAllowedActions(gameState, index),
+            hitPenaltyRounds: player.hitPenaltyRounds || 0
+        });
+        if (index === gameState.currentTurn && !gameState.gameOver) {
+            io.to(player.socketId).emit('legal_moves', {
+                tableId,
+                currentTurn: gameState.currentTurn,
+                turnPhase,
+                moves: getLegalMoves(gameState, index)
+            });
+        }
+    });
+};
+
+// Announce whose turn it is, followed by allowed_actions and legal_moves.
+const emitTurnStart = (io, tableId, gameState, message) => {
+    if (!io || !gameState || gameState.gameOver) return;
+
+    const player = gameState.players[gameState.currentTurn];
+    if (!player) return;
+
+    const turnInfo = {
+        playerUsername: player.username,
+        currentTurn: gameState.currentTurn,
+        isPlayerTurn: true,
+        turnPhase: currentPhase(gameState),
+        message: message || `${player.username}, it's your turn!`
+    };
+
+    emitGameState(io, tableId, 'turn_start', gameState, view => ({ ...turnInfo, gameState: view, timestamp: Date.now() }));
+    // Specific Unity event for turn management
+    io.to(tableId).emit('unity_turn_start', turnInfo);
+    emitAllowedActions(io, tableId, gameState);
+    // Every turn_start starts the seat's turn clock
+    turnTimerService.start(io, tableId, gameState);
+};
+
+// One validated AI move as its own event, so spectators can animate the turn step by step,
+// followed by its state_delta. The delta is recorded first so both carry the step's new version.
+const emitAiStep = (io, table, previous, step) => {
+    if (!io || !step) return;
+    const tableId = table._id.toString();
+    const entry = recordStateDelta(table, previous, step.state, {
+        action: step.action,
+        actor: step.state.players[step.playerIndex]?.username
+    });
+
+    emitGameState(io, tableId, 'ai_action', step.state, view => ({
+        tableId,
+        playerIndex: step.playerIndex,
+        username: step.state.players[step.playerIndex]?.username,
+        action: step.action,
+        payload: step.payload,
+        autopilot: !!step.autopilot, // Played for a disconnected human
+        events: getEventsView(step.events, view.viewerIndex),
+        stateVersion: entry.version,
+        timestamp: Date.now()
+    }));
+    emitStateDelta(io, tableId, entry, step.state);
+};
+
+// onStep handler for runAiTurn on a table: emits every step, keeping the state between steps
+const createAiStepEmitter = (io, table) => {
+    let previous = table.gameState;
+    return (step) => {
+        emitAiStep(io, table, previous, step);
+        previous = step.state;
+    };
+};
+
+// A line of table talk from an AI persona (trigger: greeting, win or loss), if it has one.
+const emitTableTalk = (io, tableId, player, trigger) => {
+    const lines = player?.persona?.tableTalk?.[trigger] || [];
+    if (!io || lines.length === 0) return;
+
+    io.to(tableId).emit('table_talk', {
+        tableId,
+        username: player.username,
+        avatarUrl: player.persona.avatarUrl,
+        trigger,
+        text: lines[Math.floor(Math.random() * lines.length)],
+        timestamp: Date.now()
+    });
+};
+
+// Final result of a hand together with the settlement ledger (chips moved per seat).
+const emitGameOver = (io, tableId, gameState, settlement = {}) => {
+    turnTimerService.clearTable(tableId);
+    stateDeltaService.clearTable(tableId); // Clients behind the final state resync from a snapshot
+    io.to(tableId).emit('game_over', {
+        gameId: settlement.gameId,
+        winners: gameState.winners,
+        scores: gameState.roundScores,
+        winType: gameState.winType,
+        decidingRound: gameState.decidingRound || 0,
+        tieBreakRounds: gameState.tieBreak ? gameState.tieBreak.history : [],
+        ledger: settlement.ledger || [],
+        rake: settlement.rake || 0,
+        fairness: settlement.fairness || null, // Reveals the shuffle seed committed at game_started
+        ratings: settlement.ratings || [], // Quick Play only: { username, before, after }
+        settled: !!settlement.success
+    });
+    gameState.players.forEach((player, index) => {
+        if (!player.isHuman) {
+            emitTableTalk(io, tableId, player, (gameState.winners || []).includes(index) ? 'win' : 'loss');
+        }
+    });
+};
+
+module.exports = {
+    GameSync,
+    getPlayerView,
+    getSpectatorView,
+    getSocketView,
+    getEventsView,
+    getTableView,
+    getTablePlayersView,
+    getDeltaView,
+    seatOfSocket,
+    getViewHash,
+    validateGameState,
+    reconcileView,
+    emitGameState,
+    recordStateDelta,
+    emitStateDelta,
+    broadcastGameState,
+    synchronizeGameState,
+    emitAllowedActions,
+    emitTurnStart,
+    emitAiStep,
+    createAiStepEmitter,
+    emitTableTalk,
+    emitGameOver
+};
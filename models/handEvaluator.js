@@ -0,0 +1,116 @@
+const { calculatePoints, isValidHit, findBestSpread } = require('./gameLogic');
+
+/**
+ * Monte Carlo hand evaluation for AI decisions. Everything is computed from what the
+ * player can see: the unseen cards are the 40-card deck minus the discard pile, every
+ * spread on the table and the player's own hand.
+ */
+
+const RANKS = ['ace', '2', '3', '4', '5', '6', '7', 'J', 'Q', 'K'];
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const FULL_DECK = SUITS.flatMap(suit => RANKS.map(rank => ({ rank, suit })));
+const DEFAULT_SAMPLES = 200;
+
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+const without = (cards, removed) => cards.filter(c => !removed.some(r => sameCard(r, c)));
+const cardPoints = (card) => calculatePoints([card]);
+
+const unseenCards = (state, playerIndex) => {
+  const seen = [
+    ...state.playerHands[playerIndex],
+    ...(state.playerSpreads || []).flat(2),
+    ...(state.discardPile || [])
+  ];
+  return without(FULL_DECK, seen);
+};
+
+// Seats other than the player still in the hand (only the tied seats during a tie-break).
+const opponentSeats = (state, playerIndex) =>
+  (state.tieBreak ? state.tieBreak.players : state.players.map((_, i) => i)).filter(seat => seat !== playerIndex);
+
+// Deal the unseen cards at random into hands the size of each opponent's real hand.
+const sampleOpponentHands = (state, playerIndex, rng = Math.random) => {
+  const pool = unseenCards(state, playerIndex);
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return opponentSeats(state, playerIndex).map(seat => ({
+    seat,
+    hand: pool.splice(0, state.playerHands[seat].length)
+  }));
+};
+
+/**
+ * Chance that dropping now is caught (an opponent scores lower), ties into a
+ * tie-break, or wins outright.
+ * @param {Object} state - Current game state
+ * @param {number} playerIndex - Seat considering the drop
+ * @param {Object} options - { samples, rng }
+ * @returns {{ score: number, caughtProbability: number, tieProbability: number, winProbability: number }}
+ */
+const evaluateDrop = (state, playerIndex, { samples = DEFAULT_SAMPLES, rng = Math.random } = {}) => {
+  const score = calculatePoints(state.playerHands[playerIndex], state.playerSpreads[playerIndex] || []);
+  let caught = 0;
+  let tied = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const lowest = Math.min(...sampleOpponentHands(state, playerIndex, rng).map(({ hand }) => calculatePoints(hand)));
+    if (lowest < score) caught++;
+    else if (lowest === score) tied++;
+  }
+
+  return {
+    score,
+    caughtProbability: caught / samples,
+    tieProbability: tied / samples,
+    winProbability: (samples - caught - tied) / samples
+  };
+};
+
+// Points left after taking a card: lay down a spread if one appears, hit with the
+// highest card that fits any spread on the table, then discard the highest card.
+const scoreAfterDraw = (hand, card, playerSpreads) => {
+  let cards = [...hand, card];
+  const spread = findBestSpread(cards);
+  if (spread) cards = without(cards, spread);
+
+  const hits = cards
+    .filter(c => (playerSpreads || []).some(spreads => (spreads || []).some(s => isValidHit(c, s))))
+    .sort((a, b) => cardPoints(b) - cardPoints(a));
+  if (hits.length > 0) cards = without(cards, [hits[0]]);
+
+  if (cards.length > 0) {
+    const highest = cards.reduce((max, c) => (cardPoints(c) > cardPoints(max) ? c : max), cards[0]);
+    cards = without(cards, [highest]);
+  }
+  return calculatePoints(cards);
+};
+
+/**
+ * Expected hand score at the end of the turn after drawing the known top discard
+ * versus an unknown stock card (averaged over every unseen card).
+ * @returns {{ discard: ?number, stock: ?number, best: string }} best is DRAW_DISCARD or DRAW_CARD
+ */
+const evaluateDraw = (state, playerIndex) => {
+  const hand = state.playerHands[playerIndex];
+  const pile = state.discardPile || [];
+  const topDiscard = pile.length > 0 ? pile[pile.length - 1] : null;
+  const unseen = unseenCards(state, playerIndex);
+
+  const discard = topDiscard ? scoreAfterDraw(hand, topDiscard, state.playerSpreads) : null;
+  const stock = unseen.length > 0
+    ? unseen.reduce((sum, card) => sum + scoreAfterDraw(hand, card, state.playerSpreads), 0) / unseen.length
+    : null;
+
+  const best = discard !== null && (stock === null || discard <= stock) ? 'DRAW_DISCARD' : 'DRAW_CARD';
+  return { discard, stock, best };
+};
+
+module.exports = {
+  DEFAULT_SAMPLES,
+  unseenCards,
+  sampleOpponentHands,
+  evaluateDrop,
+  evaluateDraw
+};
@@ -0,0 +1,50 @@
+const { replayDeal, handFingerprint, applyForfeit } = require('./gameLogic');
+const { processGameAction } = require('./gameEngine');
+
+/**
+ * Rebuild a finished hand step by step from its event log (Game.logs): the opening deal is
+ * re-dealt from the revealed seed and every logged action played again through the engine.
+ * A forfeit (the hand ended by a player leaving) is applied from what its entry records.
+ * Other entries that changed the hand outside the engine (a player leaving mid-hand) carry a
+ * snapshot the replay carries on from; everything else (timeouts, autopilot, settlement) is a note.
+ * @param {string} seed - Revealed shuffle seed of the hand
+ * @param {Object[]} entries - The hand's event log entries, in seq order
+ * @returns {{ steps: Object[], verified: boolean }} One step per entry, with the state after it
+ *   when it changed one. verified is false if any deal or action did not reproduce the
+ *   fingerprint logged when it was played.
+ */
+const replayHand = (seed, entries) => {
+  let state = null;
+  let verified = true;
+
+  const steps = entries.map(entry => {
+    const { state: dealtState, snapshot, fingerprint, ...step } = entry;
+
+    if (entry.type === 'deal') {
+      const { deck, hands } = replayDeal(seed, entry.seats.length, entry.seats, 0);
+      state = { ...dealtState, deck, playerHands: hands };
+    } else if (entry.type === 'action' && state) {
+      const result = processGameAction(state, entry.action, entry.payload, { shuffleSeed: seed });
+      if (!result.ok) {
+        verified = false;
+        return { ...step, verified: false, error: result.error };
+      }
+      state = result.state;
+    } else if (entry.type === 'forfeit' && state) {
+      state = applyForfeit(state, entry);
+    } else if (snapshot) {
+      state = snapshot;
+      return { ...step, state };
+    } else {
+      return step;
+    }
+
+    const matches = handFingerprint(state) === fingerprint;
+    verified = verified && matches;
+    return { ...step, state, verified: matches };
+  });
+
+  return { steps, verified: verified && steps.some(step => step.type === 'deal') };
+};
+
+module.exports = { replayHand };
@@ -0,0 +1,112 @@
+const { calculatePoints, findBestSpread, isValidHit } = require('./gameLogic');
+const { planMove } = require('./AiPlayer');
+const { qualifiesForSpecialWin } = require('./gameEngine');
+const { evaluateDrop, evaluateDraw } = require('./handEvaluator');
+
+/**
+ * Coach mode: the hard AI's choice for the player on turn, with a one-line reason.
+ */
+
+const SUIT_SYMBOLS = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+const RANK_LABELS = { ace: 'A' };
+const RANK_ORDER = ['ace', '2', '3', '4', '5', '6', '7', 'J', 'Q', 'K'];
+
+const cardLabel = (card) => `${RANK_LABELS[card.rank] || card.rank}${SUIT_SYMBOLS[card.suit] || ` of ${card.suit}`}`;
+const cardsLabel = (cards) => cards.map(cardLabel).join(' ');
+const points = (cards) => calculatePoints(cards);
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+const approx = (n) => (n === null ? '?' : Number(n).toFixed(1).replace(/\.0$/, ''));
+
+// Could still make a spread together: same rank, or same suit within two ranks
+const couldPair = (a, b) => a.rank === b.rank ||
+  (a.suit === b.suit && Math.abs(RANK_ORDER.indexOf(a.rank) - RANK_ORDER.indexOf(b.rank)) <= 2);
+
+const drawReason = (state, playerIndex, action) => {
+  const { discard, stock } = evaluateDraw(state, playerIndex);
+  const top = state.discardPile[state.discardPile.length - 1];
+  if (action === 'DRAW_DISCARD') {
+    return `take ${cardLabel(top)} from the discard pile — leaves about ${approx(discard)} points vs ${approx(stock)} from the stock`;
+  }
+  return top
+    ? `draw from the stock — ${cardLabel(top)} doesn't help (about ${approx(stock)} points vs ${approx(discard)})`
+    : 'draw from the stock — the discard pile is empty';
+};
+
+const spreadReason = (hand, cards) => {
+  const rest = hand.filter(c => !cards.some(s => sameCard(s, c)));
+  const reem = findBestSpread(rest) ? ', and leaves a second spread for a Reem' : '';
+  return `spread ${cardsLabel(cards)} — sheds ${points(cards)} points${reem}`;
+};
+
+const hitReason = (state, playerIndex, { cardIndex, targetIndex }) => {
+  const card = state.playerHands[playerIndex][cardIndex];
+  const target = targetIndex === playerIndex ? 'your own' : `${state.players[targetIndex].username}'s`;
+  const block = targetIndex === playerIndex ? '' : ' and stops them dropping for a while';
+  return `hit ${cardLabel(card)} on ${target} spread — sheds ${points([card])} points${block}`;
+};
+
+const dropReason = (state, playerIndex) => {
+  const { score, caughtProbability } = evaluateDrop(state, playerIndex);
+  return `drop — ${score} points, caught only about ${Math.round(caughtProbability * 100)}% of the time`;
+};
+
+// A qualifying hand wins the milestone; otherwise the hard AI only declares where the table plays
+// an invalid declaration as a drop, so the reason is the drop estimate
+const declareReason = (state, playerIndex) => {
+  const score = calculatePoints(state.playerHands[playerIndex], state.playerSpreads[playerIndex] || []);
+  if (qualifiesForSpecialWin(score)) {
+    return `declare the triple-stake win — ${score} points, 11 or under on your first turn`;
+  }
+  const { caughtProbability } = evaluateDrop(state, playerIndex);
+  return `declare — ${score} points is no triple-stake win, but this table plays it as a drop, caught only about ${Math.round(caughtProbability * 100)}% of the time`;
+};
+
+const discardReason = (state, playerIndex, { cardIndex }) => {
+  const hand = state.playerHands[playerIndex];
+  const card = hand[cardIndex];
+  const partners = hand.filter(other => !sameCard(other, card) && couldPair(other, card));
+  const hittable = state.playerSpreads.some(spreads => (spreads || []).some(spread => isValidHit(card, spread)));
+  const notes = [
+    `${points([card])} points`,
+    partners.length === 0 ? 'no spread potential' : 'least useful card',
+    hittable ? 'though the next player could hit with it' : null
+  ].filter(Boolean);
+  return `discard ${cardLabel(card)} — ${notes.join(', ')}`;
+};
+
+/**
+ * Suggest the best move for the player on turn.
+ * @param {Object} state - Current game state
+ * @param {number} playerIndex - Seat asking for the hint (must be on turn)
+ * @returns {?{ action: string, payload: Object, reason: string }} null when it is not their turn
+ */
+const getHint = (state, playerIndex) => {
+  if (!state || state.gameOver || state.currentTurn !== playerIndex) return null;
+
+  const move = planMove(state, { difficulty: 'hard' });
+  const hand = state.playerHands[playerIndex];
+  let reason;
+  switch (move.action) {
+    case 'DRAW_CARD':
+    case 'DRAW_DISCARD':
+      reason = drawReason(state, playerIndex, move.action);
+      break;
+    case 'SPREAD':
+      reason = spreadReason(hand, move.payload.cards);
+      break;
+    case 'HIT':
+      reason = hitReason(state, playerIndex, move.payload);
+      break;
+    case 'DROP':
+      reason = dropReason(state, playerIndex);
+      break;
+    case 'DECLARE_SPECIAL_WIN':
+      reason = declareReason(state, playerIndex);
+      break;
+    default:
+      reason = discardReason(state, playerIndex, move.payload);
+  }
+  return { ...move, reason };
+};
+
+module.exports = { getHint, cardLabel };
@@ -0,0 +1,75 @@
+const {
+  calculatePoints,
+  isValidSpread,
+  isValidHit,
+  findBestSpread,
+  getCombinations
+} = require('./gameLogic');
+const { getAllowedActions, qualifiesForSpecialWin } = require('./gameEngine');
+
+/**
+ * Every move the player may make right now, as { action, payload } descriptors that
+ * can be passed straight to processGameAction. Clients use this list instead of
+ * re-implementing the spread and hit rules.
+ */
+
+const spreadMoves = (hand) => {
+  // Any valid spread contains a valid three-card spread, so no hit here means none at all.
+  if (!findBestSpread(hand)) return [];
+
+  const moves = [];
+  for (let size = 3; size <= hand.length; size++) {
+    getCombinations(hand, size)
+      .filter(isValidSpread)
+      .forEach(cards => moves.push({ action: 'SPREAD', payload: { cards } }));
+  }
+  return moves;
+};
+
+const hitMoves = (hand, playerSpreads) => {
+  const moves = [];
+  hand.forEach((card, cardIndex) => {
+    playerSpreads.forEach((spreads, targetIndex) => {
+      (spreads || []).forEach((spread, spreadIndex) => {
+        if (isValidHit(card, spread)) {
+          moves.push({ action: 'HIT', payload: { cardIndex, targetIndex, spreadIndex } });
+        }
+      });
+    });
+  });
+  return moves;
+};
+
+const getLegalMoves = (state, playerIndex) => {
+  const allowed = getAllowedActions(state, playerIndex);
+  if (allowed.length === 0) return [];
+
+  const hand = state.playerHands[playerIndex] || [];
+  const playerSpreads = state.playerSpreads || [];
+  const moves = [];
+
+  allowed.forEach(action => {
+    switch (action) {
+      case 'SPREAD':
+        moves.push(...spreadMoves(hand));
+        break;
+      case 'HIT':
+        moves.push(...hitMoves(hand, playerSpreads));
+        break;
+      case 'DISCARD':
+        hand.forEach((card, cardIndex) => moves.push({ action, payload: { cardIndex } }));
+        break;
+      case 'DECLARE_SPECIAL_WIN':
+        if (qualifiesForSpecialWin(calculatePoints(hand, playerSpreads[playerIndex] || []))) {
+          moves.push({ action, payload: {} });
+        }
+        break;
+      default:
+        moves.push({ action, payload: {} });
+    }
+  });
+
+  return moves;
+};
+
+module.exports = { getLegalMoves };
@@ -3,10 +3,8 @@ const {
   createDeck,
   shuffleDeck,
   dealHands,
-  calculateStateHash,
   findBestSpread,
-  calculatePoints,
-  processGameAction
+  calculatePoints
 } = require('./gameLogic');
 const {
   initializeQueues,
@@ -14,10 +12,27 @@ const {
   removeFromQueue,
   getQueues,
   setQueueLock,
-  isQueueLocked
+  isQueueLocked,
+  QUICK_PLAY_QUEUE
 } = require('../utils/smartQueueManager');
-const { handleGameAction } = require('../routes/gameActions');
-const { runAiTurn } = require('./AiPlayer');
+const { handleGameAction, playAiTurn } = require('../routes/gameActions');
+const { currentPhase, getAllowedActions } = require('./gameEngine');
+const {
+  emitGameState,
+  getDeltaView,
+  getViewHash,
+  validateGameState,
+  reconcileView,
+  seatOfSocket,
+  getSocketView,
+  getSpectatorView,
+  getTableView,
+  getTablePlayersView
+} = require('./gameSync');
+const hintService = require('../utils/hintService');
+const autopilotService = require('../utils/autopilotService');
+const turnTimerService = require('../utils/turnTimerService');
+const stateDeltaService = require('../utils/stateDeltaService');
 const {
   handlePlayerLeave,
   handlePlayerReconnect,
@@ -28,7 +43,7 @@ const EnhancedMatchmaking = require('../utils/enhancedMatchmaking');
 const GameStateManager = require('../utils/gameStateManager');
 
 // Initialize enhanced systems
-initializeQueues(PRESET_TABLES.map(t => t.stake));
+initializeQueues(PRESET_TABLES.filter(t => t.mode !== 'quick_play').map(t => t.stake));
 let enhancedMatchmaking = null;
 let gameStateManager = null;
 
@@ -49,7 +64,7 @@ const broadcastGameState = (io, table) => {
   console.log('Backend: Broadcasting game_update. Players:', updatedState.players?.map(p => ({ username: p?.username, isHuman: p?.isHuman })));
   console.log(`📡 BROADCAST_CHECK: Broadcasting to table ${table._id} - gameOver: ${updatedState.gameOver}, gameStarted: ${updatedState.gameStarted}`);
 
-  io.to(table._id).emit('game_update', table.gameState);
+  emitGameState(io, table._id, 'game_update', table.gameState);
 };
 
 
@@ -59,26 +74,9 @@ const handleAiTurn = async (tableId, io) => {
   if (gameStateManager) {
     await gameStateManager.handleAiTurn(tableId);
   } else {
-    // Fallback to original implementation
+    // Fallback: the shared AI turn path without the manager's hand-end handling
     try {
-      const table = await Table.findById(tableId);
-      if (!table || !table.gameState) return;
-
-      const updatedState = runAiTurn(table.gameState);
-
-      table.gameState = updatedState;
-      await table.save();
-      updatedState.isInitialized = true;
-      updatedState.isLoading = false;
-
-      io.to(tableId).emit('game_update', updatedState);
-
-      if (!updatedState.gameOver) {
-        const nextPlayer = updatedState.players[updatedState.currentTurn];
-        if (!nextPlayer.isHuman) {
-          setTimeout(() => handleAiTurn(tableId, io), 800);
-        }
-      }
+      await playAiTurn(io, tableId, { playNext: id => handleAiTurn(id, io) });
     } catch (error) {
       console.error('AI turn error:', error);
     }
@@ -213,6 +211,8 @@ const handleWebSocketConnection = async (socket, io) => {
   }
   if (!gameStateManager) {
     gameStateManager = new GameStateManager(io);
+    autopilotService.init(io, tableId => handleAiTurn(tableId, io));
+    turnTimerService.init(gameStateManager);
   }
 
   // Track player's active tables
@@ -241,7 +241,7 @@ const handleWebSocketConnection = async (socket, io) => {
     const { getAllQueueStatus } = require('../utils/smartQueueManager');
     const queueStatus = getAllQueueStatus();
     
-    io.emit('tables_update', { tables });
+    io.emit('tables_update', { tables: tables.map(t => getTableView(t)) });
     socket.emit('queue_status_full', queueStatus);
   });
 
@@ -250,7 +250,9 @@ const handleWebSocketConnection = async (socket, io) => {
      console.log('Join queue request:', data);
      resetInactivityTimeout(socket, io);
      try {
-         const { stake, player } = data;
+         // Quick Play is joined with { mode: 'quick_play' } instead of a stake
+         const { player, mode } = data;
+         const stake = mode === 'quick_play' ? QUICK_PLAY_QUEUE : data.stake;
          const playerData = {
              username: player.username,
              chips: player.chips,
@@ -264,6 +266,7 @@ const handleWebSocketConnection = async (socket, io) => {
          const position = queue.findIndex(p => p.username === player.username) + 1;
          socket.emit('queue_status', {
              stake,
+             mode: mode === 'quick_play' ? 'quick_play' : 'staked',
              position,
              queueSize: queue.length,
              estimatedWait: Math.max(0, (position - 1) * 10)
@@ -348,6 +351,10 @@ const handleWebSocketConnection = async (socket, io) => {
 
           // Check if player is already at this table to prevent duplicates
           const existingTable = await Table.findById(tableId);
+          if (existingTable?.mode === 'practice' && existingTable.owner !== player.username) {
+              socket.emit('error', { message: 'Practice tables are private', code: 'PRACTICE_TABLE_PRIVATE' });
+              return;
+          }
           if (existingTable && existingTable.players.some(p => p.username === player.username)) {
               console.log(`Player ${player.username} already at table ${tableId}, skipping join`);
               socket.join(tableId);
@@ -414,12 +421,12 @@ const handleWebSocketConnection = async (socket, io) => {
           if (table.gameState && table.gameState.gameStarted && !table.gameState.gameOver) {
               // --- NEW: Spectators should also receive state_sync for live watching ---
               console.log('Sending active game state to player/spectator:', table.gameState.players?.map(p => p.username));
-              socket.emit('state_sync', table.gameState);
+              socket.emit('state_sync', getSocketView(table.gameState, socket.id));
           } else {
               // Game not started, send waiting state with current players
               console.log('Sending waiting state with players:', table.players?.map(p => p.username));
               socket.emit('state_sync', {
-                  players: table.players,
+                  players: getTablePlayersView(table).players,
                   stake: table.stake,
                   message: 'Waiting for players to be ready...',
                   gameStarted: false,
@@ -437,11 +444,9 @@ const handleWebSocketConnection = async (socket, io) => {
           }
 
           // Broadcast updates
-          io.emit('tables_update', { tables: await Table.find() });
+          io.emit('tables_update', { tables: (await Table.find()).map(t => getTableView(t)) });
           io.to(tableId).emit('table_players_update', {
-              players: table.players,
-              spectators: table.spectators || [],
-              readyPlayers: table.readyPlayers || [],
+              ...getTablePlayersView(table),
               transitionStatus: gameStateManager.getTransitionStatus(tableId)
           });
 
@@ -478,13 +483,13 @@ const handleWebSocketConnection = async (socket, io) => {
       if (hasStarted) {
         console.log(`Spectator joined in-progress game at table ${tableId}`);
         socket.emit('state_sync', {
-          ...table.gameState,
+          ...getSpectatorView(table.gameState),
           gameStarted: true
         });
       } else {
         console.log(`Spectator joined pre-game table ${tableId}`);
         socket.emit('state_sync', {
-          players: table.players,
+          players: getTablePlayersView(table).players,
           stake: table.stake,
           message: 'Game has not started yet. Waiting for next hand...',
           gameStarted: false,
@@ -505,7 +510,8 @@ const handleWebSocketConnection = async (socket, io) => {
       console.log('Leave queue request:', data);
       resetInactivityTimeout(socket, io);
       try {
-        const { stake, username } = data;
+        const { username, mode } = data;
+        const stake = mode === 'quick_play' ? QUICK_PLAY_QUEUE : data.stake;
         removeFromQueue(stake, username); // Use the new queue manager
       } catch (error) {
         console.error('Error leaving queue:', error);
@@ -522,7 +528,8 @@ const handleWebSocketConnection = async (socket, io) => {
   // ✅ AUTOMATIC ERROR RECOVERY: Add state sync retry mechanism
   const stateSyncRetries = new Map();
 
-  const handleRequestStateSync = async ({ tableId, type }) => {
+  // lastVersion: the last stateVersion the client applied, sent when it notices a gap in state_delta
+  const handleRequestStateSync = async ({ tableId, type, lastVersion }) => {
     resetInactivityTimeout(socket, io);
     try {
       // Validate input
@@ -581,19 +588,45 @@ const handleWebSocketConnection = async (socket, io) => {
         });
         console.log('Backend: Emitting game state. Players:', table.gameState.players?.map(p => ({ username: p?.username, isHuman: p?.isHuman })));
 
-        // Emit with callback to confirm delivery
-        socket.emit('state_sync', table.gameState, (ack) => {
-          if (ack) {
-            console.log(`✅ STATE_SYNC_ACK: Socket ${socket.id} acknowledged state sync for table ${tableId}`);
-          } else {
-            console.log(`⚠️ STATE_SYNC_NO_ACK: Socket ${socket.id} did not acknowledge state sync for table ${tableId}`);
-          }
-        });
+        const seatIndex = table.gameState.players?.findIndex(p => p.socketId === socket.id) ?? -1;
+        const currentVersion = table.stateVersion || 0;
+        const deltas = typeof lastVersion === 'number' ? stateDeltaService.since(tableId, lastVersion, currentVersion) : null;
+
+        if (deltas) {
+          // The ring buffer still bridges the gap: replay the missed deltas instead of a snapshot
+          console.log(`📦 STATE_SYNC: Replaying ${deltas.length} delta(s) to socket ${socket.id} (v${lastVersion} -> v${currentVersion})`);
+          socket.emit('state_deltas', {
+            tableId,
+            fromVersion: lastVersion,
+            version: currentVersion,
+            deltas: deltas.map(entry => getDeltaView(entry, seatIndex)),
+            stateHash: getViewHash(table.gameState, seatIndex) // The client's view once all are applied
+          });
+        } else {
+          // Emit with callback to confirm delivery
+          socket.emit('state_sync', getSocketView(table.gameState, socket.id), (ack) => {
+            if (ack) {
+              console.log(`✅ STATE_SYNC_ACK: Socket ${socket.id} acknowledged state sync for table ${tableId}`);
+            } else {
+              console.log(`⚠️ STATE_SYNC_NO_ACK: Socket ${socket.id} did not acknowledge state sync for table ${tableId}`);
+            }
+          });
+        }
+
+        if (seatIndex !== -1) {
+          socket.emit('allowed_actions', {
+            tableId,
+            currentTurn: table.gameState.currentTurn,
+            turnPhase: table.gameState.gameOver ? null : currentPhase(table.gameState),
+            actions: getAllowedActions(table.gameState, seatIndex),
+            hitPenaltyRounds: table.gameState.players[seatIndex].hitPenaltyRounds || 0
+          });
+        }
       } else {
         console.log('Backend: Emitting waiting state with players:', table.players?.map(p => ({ username: p?.username, isHuman: p?.isHuman })));
 
         const waitingState = {
-          players: table.players,
+          players: getTablePlayersView(table).players,
           stake: table.stake,
           message: 'Waiting for players to be ready...',
           gameStarted: false,
@@ -606,6 +639,7 @@ const handleWebSocketConnection = async (socket, io) => {
           readyPlayers: table.readyPlayers || [],
           isInitialized: true,
           isLoading: false,
+          stateVersion: table.stateVersion || 0,
           timestamp: Date.now()
         };
 
@@ -632,16 +666,19 @@ const handleWebSocketConnection = async (socket, io) => {
 
   socket.on('request_state_sync', handleRequestStateSync);
 
-  socket.on('verify_state', async ({ tableId, stateHash }) => {
+  socket.on('verify_state', async ({ tableId, stateHash, stateVersion }) => {
       resetInactivityTimeout(socket, io);
       try {
       const table = await Table.findById(tableId);
       if (!table || !table.gameState) return;
   
-      const serverStateHash = calculateStateHash(table.gameState);
+      // Clients only hold their own view, so that is what their hash is checked against
+      const viewerIndex = seatOfSocket(table.gameState, socket.id);
+      const result = validateGameState(table.gameState, viewerIndex, stateHash);
   
-      if (stateHash !== serverStateHash) {
-        socket.emit('state_verification_failed');
+      if (!result.valid) {
+        socket.emit('state_verification_failed', { tableId, stateHash: result.stateHash, stateVersion: result.stateVersion });
+        await reconcileView(io, table, { socketId: socket.id, viewerIndex, clientHash: stateHash, clientVersion: stateVersion, via: 'socket' });
       }
     } catch (error) {
       console.error('Error verifying state:', error);
@@ -720,6 +757,29 @@ const handleWebSocketConnection = async (socket, io) => {
   });
   
 
+  // Coach mode: suggest a move to the player on turn (practice and unrated zero-stake tables only)
+  socket.on('request_hint', async ({ tableId }) => {
+      resetInactivityTimeout(socket, io);
+      try {
+        const table = await Table.findById(tableId);
+        const player = table?.players.find(p => p.socketId === socket.id);
+        if (!player) {
+          socket.emit('error', { message: 'You are not an active player at this table', action: 'request_hint' });
+          return;
+        }
+
+        const result = await hintService.requestHint(io, tableId, player.username);
+        if (!result.success) {
+          socket.emit('error', { message: result.error, code: result.code, action: 'request_hint' });
+          return;
+        }
+        socket.emit('hint', { tableId, ...result.hint, hintsRemaining: result.hintsRemaining });
+      } catch (error) {
+        console.error('❌ request_hint error:', error);
+        socket.emit('error', { message: 'Failed to get a hint', action: 'request_hint' });
+      }
+  });
+
   socket.on('leave_table', async ({ tableId, username }) => {
       resetInactivityTimeout(socket, io);
       try {
@@ -1,14 +1,164 @@
-const { processGameAction } = require('../models/gameLogic');
-const { runAiTurn } = require('../models/AiPlayer');
+const { processGameAction } = require('../models/gameEngine');
+const { recordHandAction } = require('../models/gameLogic');
+const { runAiTurn, isAiControlled } = require('../models/AiPlayer');
+const { emitAllowedActions, emitTurnStart, emitGameOver, emitGameState, recordStateDelta, emitStateDelta, createAiStepEmitter } = require('../models/gameSync');
+const settlementService = require('../utils/settlementService');
+const stateDeltaService = require('../utils/stateDeltaService');
 const { Table } = require('../models/Table');
-const User = require('../models/User'); // Import User model
 
-const GameStateManager = require('../utils/gameStateManager');
+// Error code of a move refused because the table was written after it was loaded
+const STATE_CONFLICT = 'STATE_CONFLICT';
+
+// Tables with an AI turn running, so a turn is never played twice at once
+const aiTurnsInFlight = new Set();
+
+/**
+ * Play a move for the seat on turn through the engine, then save, broadcast and hand the
+ * turn to the AI or settle the hand. Shared by player actions and the turn clock's auto-play.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} table - Table document, loaded with +shuffleSeed
+ * @param {string} action - Engine action
+ * @param {Object} payload - Action payload
+ * @param {Object} gameStateManagerInstance - Runs AI turns
+ * @param {string} source - Who made the move, for the hand's event log: 'player' or 'timeout'
+ * @returns {Promise<Object>} The engine result; nothing is saved or broadcast when !result.ok,
+ *   which includes a STATE_CONFLICT when the table was written after it was loaded
+ */
+const applyGameAction = async (io, table, action, payload, gameStateManagerInstance, source = 'player') => {
+    const tableId = table._id.toString();
+    const loadedState = table.gameState;
+    const result = processGameAction(loadedState, action, payload, { shuffleSeed: table.shuffleSeed });
+    if (!result.ok) return result;
+
+    const updatedState = recordHandAction(result.state, {
+        source,
+        playerIndex: table.gameState.currentTurn,
+        action,
+        payload,
+        events: result.events
+    });
+    const turnChanged = !updatedState.gameOver && updatedState.currentTurn !== table.gameState.currentTurn;
+    console.log(`🎯 applyGameAction: After processing - gameOver: ${updatedState.gameOver}, winType: ${updatedState.winType}, winners: [${updatedState.winners?.join(',') || ''}]`);
+
+    console.log(`📝 applyGameAction: About to assign updatedState with gameOver: ${updatedState.gameOver}`);
+    const actor = table.gameState.players[table.gameState.currentTurn]?.username;
+    const delta = recordStateDelta(table, table.gameState, updatedState, { action, actor });
+    table.gameState = updatedState;
+    if (!(await table.saveIfCurrent())) {
+        stateDeltaService.clearTable(tableId); // The delta was never stored
+        console.log(`🚫 applyGameAction: ${action} at table ${tableId} refused, the table changed after it was loaded`);
+        return { ok: false, state: loadedState, events: [], error: { code: STATE_CONFLICT, reason: 'The table changed, please try again.' } };
+    }
+    console.log(`💾 applyGameAction: State saved to database with gameOver: ${table.gameState.gameOver}, stateVersion: ${table.stateVersion}`);
+
+    emitStateDelta(io, tableId, delta, updatedState);
+    const tieBreak = result.events.find(e => e.type === 'TIE_BREAK_STARTED');
+    if (tieBreak) {
+        io.to(tableId).emit('tie_break_started', { ...tieBreak, pot: updatedState.pot });
+    }
+    if (turnChanged) {
+        emitTurnStart(io, tableId, updatedState);
+    } else {
+        emitAllowedActions(io, tableId, updatedState);
+    }
+    console.log(`📡 applyGameAction: Emitted game_update with gameOver: ${updatedState.gameOver}`);
+
+    if (!updatedState.gameOver && isAiControlled(updatedState.players[updatedState.currentTurn])) {
+        console.log(`🤖 applyGameAction: Delegating AI turn to GameStateManager for player ${updatedState.players[updatedState.currentTurn].username}`);
+        gameStateManagerInstance.handleAiTurn(tableId);
+    } else if (updatedState.gameOver) {
+        console.log(`🏁 applyGameAction: Game ended, settling hand...`);
+        const settlement = await settlementService.settleHand(table, updatedState);
+        emitGameOver(io, tableId, updatedState, settlement);
+    } else {
+        console.log(`👤 applyGameAction: Next player is human, no AI turn scheduled`);
+    }
+    return result;
+};
+
+/**
+ * Play the AI-controlled seat on turn (an AI seat, or a human's seat on autopilot), then save,
+ * broadcast and settle the hand or schedule the next AI turn. The one AI turn path, shared by
+ * the game state manager, matchmaking and the socket layer. The turn takes a few seconds, so
+ * its result is only saved if nothing else wrote the table meanwhile; otherwise it is dropped,
+ * the room resynced from the stored state and the turn played again from there.
+ * @param {Object} io - Socket.IO server
+ * @param {string} tableId - Table ID
+ * @param {Object} hooks - { playNext: (tableId) => plays the next AI turn, onHandEnd: async (gameState) => runs after settlement }
+ * @returns {Promise<boolean>} Whether a turn was played and saved
+ */
+const playAiTurn = async (io, tableId, { playNext, onHandEnd } = {}) => {
+    tableId = tableId.toString();
+    if (aiTurnsInFlight.has(tableId)) return false;
+    aiTurnsInFlight.add(tableId);
+
+    const scheduleNext = () => {
+        if (playNext) setTimeout(() => playNext(tableId), 800);
+    };
+
+    try {
+        const table = await Table.findById(tableId).select('+shuffleSeed');
+        if (!table || !table.gameState) return false;
+
+        const previousTieBreakRound = table.gameState.tieBreak?.round || 0;
+        const updatedState = await runAiTurn(table.gameState, {
+            shuffleSeed: table.shuffleSeed,
+            onStep: createAiStepEmitter(io, table) // Each step goes out as its own state_delta
+        });
+        if (updatedState === table.gameState) return false; // Not an AI-controlled turn
+
+        table.gameState = updatedState;
+        if (!(await table.saveIfCurrent())) {
+            // The steps already went out, so clients snap back to what was stored
+            console.log(`🔁 AI turn at table ${tableId} dropped, the table changed while it was played`);
+            stateDeltaService.clearTable(tableId);
+            const current = await Table.findById(tableId);
+            if (current?.gameState) {
+                emitGameState(io, tableId, 'state_sync', current.gameState);
+                if (!current.gameState.gameOver && isAiControlled(current.gameState.players[current.gameState.currentTurn])) {
+                    scheduleNext();
+                } else {
+                    emitTurnStart(io, tableId, current.gameState);
+                }
+            }
+            return false;
+        }
+
+        if (updatedState.gameOver) {
+            emitAllowedActions(io, tableId, updatedState);
+        } else {
+            emitTurnStart(io, tableId, updatedState);
+        }
+
+        if ((updatedState.tieBreak?.round || 0) > previousTieBreakRound) {
+            const { round, players, history } = updatedState.tieBreak;
+            io.to(tableId).emit('tie_break_started', {
+                type: 'TIE_BREAK_STARTED',
+                round,
+                players,
+                roundScores: history[history.length - 1].roundScores,
+                pot: updatedState.pot
+            });
+        }
+
+        if (updatedState.gameOver) {
+            const settlement = await settlementService.settleHand(table, updatedState);
+            emitGameOver(io, tableId, updatedState, settlement);
+            if (onHandEnd) await onHandEnd(updatedState);
+        } else if (isAiControlled(updatedState.players[updatedState.currentTurn])) {
+            scheduleNext();
+        }
+        return true;
+    } finally {
+        aiTurnsInFlight.delete(tableId);
+    }
+};
+
 const handleGameAction = async (io, socket, { tableId, action, payload }, gameStateManagerInstance) => {
     try {
         console.log(`🎯 handleGameAction: ${action} from socket ${socket.id} at table ${tableId}`);
         
-        const table = await Table.findById(tableId);
+        const table = await Table.findById(tableId).select('+shuffleSeed');
         if (!table || !table.gameState) {
             socket.emit('error', { message: 'Table or game state not found.' });
             return;
@@ -23,91 +173,10 @@ const handleGameAction = async (io, socket, { tableId, action, payload }, gameSt
         }
 
         console.log(`🎯 handleGameAction: Before processing - gameOver: ${table.gameState.gameOver}`);
-        const updatedState = processGameAction(table.gameState, action, payload);
-        console.log(`🎯 handleGameAction: After processing - gameOver: ${updatedState.gameOver}, winType: ${updatedState.winType}, winners: [${updatedState.winners?.join(',') || ''}]`);
-
-        console.log(`📝 handleGameAction: About to assign updatedState with gameOver: ${updatedState.gameOver}`);
-        table.gameState = updatedState;
-        await table.save();
-        console.log(`💾 handleGameAction: State saved to database with gameOver: ${table.gameState.gameOver}`);
-
-        io.to(tableId).emit('game_update', updatedState);
-        console.log(`📡 handleGameAction: Emitted game_update with gameOver: ${updatedState.gameOver}`);
-
-        if (!updatedState.gameOver && !updatedState.players[updatedState.currentTurn].isHuman) {
-            console.log(`🤖 handleGameAction: Delegating AI turn to GameStateManager for player ${updatedState.players[updatedState.currentTurn].username}`);
-            gameStateManagerInstance.handleAiTurn(tableId);
-        } else if (updatedState.gameOver) {
-            console.log(`🏁 handleGameAction: Game ended, processing results...`);
-            const { winners, winType, roundScores, stake, players } = updatedState;
-            const pot = stake * players.length;
-
-            for (let i = 0; i < players.length; i++) {
-                const player = players[i];
-                if (!player.isHuman) continue; // Skip AI players for chip/stat updates
-
-                const user = await User.findOne({ username: player.username });
-                if (!user) {
-                    console.error(`User ${player.username} not found for stat update.`);
-                    continue;
-                }
-
-                let earnings = 0;
-                let gameResult = 'loss';
-
-                if (winners.includes(i)) {
-                    // Winner logic
-                    gameResult = 'win';
-                    if (winType === 'REEM') {
-                        earnings = pot; // REEM winner takes the whole pot
-                        gameResult = 'reem';
-                    } else if (winType === 'DROP_WIN') {
-                        earnings = pot; // Drop winner takes the whole pot
-                    } else if (winType === 'IMMEDIATE_50_WIN') {
-                        earnings = pot * 2; // Immediate 50 win gets double payout
-                        gameResult = 'win'; // Still a 'win' for stats
-                    } else if (winType === 'SPECIAL_WIN') {
-                        earnings = pot * 3; // Special win (41 or under 11) gets triple payout
-                        gameResult = 'win'; // Still a 'win' for stats
-                    } else {
-                        // Regular win or STOCK_EMPTY win, split pot among winners
-                        earnings = pot / winners.length;
-                    }
-                    user.chips += earnings;
-                } else {
-                    // Loser logic (stake already deducted at game start)
-                    earnings = -stake; // Represent loss as negative earnings
-                }
-
-                // Update user stats
-                if (!user.stats) {
-                    user.stats = { gamesPlayed: 0, wins: 0, reemWins: 0, totalEarnings: 0 };
-                }
-                user.stats.gamesPlayed += 1;
-                if (gameResult === 'win') user.stats.wins += 1;
-                if (gameResult === 'reem') user.stats.reemWins += 1;
-                user.stats.totalEarnings += earnings;
-
-                // Add to game history
-                user.gameHistory.push({
-                    date: new Date(),
-                    stake: stake,
-                    result: gameResult,
-                    earnings: earnings,
-                    opponents: players.filter((p, idx) => idx !== i).map(p => p.username)
-                });
-
-                await user.save();
-                console.log(`📊 Updated stats for ${player.username}: gamesPlayed=${user.stats.gamesPlayed}, wins=${user.stats.wins}, reemWins=${user.stats.reemWins}, totalEarnings=${user.stats.totalEarnings}, chips=${user.chips}`);
-            }
-
-            io.to(tableId).emit('game_over', {
-                winners: updatedState.winners,
-                scores: updatedState.roundScores,
-                winType: updatedState.winType
-            });
-        } else {
-            console.log(`👤 handleGameAction: Next player is human, no AI turn scheduled`);
+        const result = await applyGameAction(io, table, action, payload, gameStateManagerInstance);
+        if (!result.ok) {
+            console.log(`🚫 handleGameAction: ${action} rejected - ${result.error.code}: ${result.error.reason}`);
+            socket.emit('error', { message: result.error.reason, code: result.error.code, action });
         }
     } catch (error) {
         console.error('Error processing game action:', error);
@@ -116,5 +185,8 @@ const handleGameAction = async (io, socket, { tableId, action, payload }, gameSt
 };
 
 module.exports = {
+    STATE_CONFLICT,
+    applyGameAction,
+    playAiTurn,
     handleGameAction
 };
\ No newline at end of file
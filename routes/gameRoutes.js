@@ -1,5 +1,11 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Game = require('../models/Game');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { hashShuffleSeed, replayDeal } = require('../models/gameLogic');
+const { replayHand } = require('../models/handReplay');
+const handHistoryService = require('../utils/handHistoryService');
 
 const router = express.Router();
 
@@ -12,6 +18,20 @@ const protect = (req, res, next) => {
     }
   };
 
+// The cards of a hand are only shown to the humans who played it and to support staff (admins)
+const canSeeHand = async (req, game) => {
+  const user = await User.findById(req.userId).select('username isAdmin');
+  return !!user && (user.isAdmin || game.players.some(p => p.isHuman && p.username === user.username));
+};
+
+// Game IDs are Mongo ObjectIds; anything else is a bad request rather than a failed lookup
+const requireGameId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid game ID' });
+  }
+  next();
+};
+
 // Create a new game
 router.post('/',  async (req, res) => {
   try {
@@ -40,5 +60,86 @@ router.put('/games/:id',  async (req, res) => {
   }
 });
 
+// Fairness proof of a finished hand: checks the revealed seed against the hash
+// published at game_started and replays every deal from createDeck and the seed
+router.get('/:id/fairness', authenticateToken, requireGameId, async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+    if (!(await canSeeHand(req, game))) {
+      return res.status(403).json({ success: false, message: 'Only players in this hand can see its cards' });
+    }
+
+    const { fairness } = game;
+    if (!fairness || !fairness.seed) {
+      return res.status(404).json({ success: false, message: 'No revealed shuffle seed for this game' });
+    }
+
+    const usernameAt = (seat) => game.players.find(p => p.position === seat)?.username;
+    const deals = fairness.deals.map(({ round, seats }) => {
+      const { deck, hands } = replayDeal(fairness.seed, game.players.length, seats, round);
+      return {
+        round,
+        hands: seats.map(seat => ({ position: seat, username: usernameAt(seat), hand: hands[seat] })),
+        stock: deck
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      gameId: game._id,
+      algorithm: fairness.algorithm,
+      seedHash: fairness.seedHash,
+      seed: fairness.seed,
+      seedVerified: hashShuffleSeed(fairness.seed) === fairness.seedHash,
+      deals
+    });
+  } catch (error) {
+    console.error('Failed to verify game fairness:', error);
+    res.status(400).json({ success: false, message: 'Failed to verify game fairness', error });
+  }
+});
+
+// Step-by-step replay of a finished hand, rebuilt from the seeded deal and the hand's event
+// log, with each step checked against the fingerprint logged when it was played
+router.get('/:id/replay', authenticateToken, requireGameId, async (req, res) => {
+  try {
+    const game = await Game.findById(req.params.id);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+    if (!(await canSeeHand(req, game))) {
+      return res.status(403).json({ success: false, message: 'Only players in this hand can see its cards' });
+    }
+
+    const { fairness } = game;
+    if (!fairness || !fairness.seed) {
+      return res.status(404).json({ success: false, message: 'No revealed shuffle seed for this game' });
+    }
+
+    const entries = handHistoryService.eventLogOf(game);
+    if (!entries.some(entry => entry.type === 'deal')) {
+      return res.status(404).json({ success: false, message: 'No event log recorded for this game' });
+    }
+
+    const { steps, verified } = replayHand(fairness.seed, entries);
+    res.status(200).json({
+      success: true,
+      gameId: game._id,
+      handNumber: game.handNumber,
+      stake: game.stake,
+      mode: game.mode,
+      seedHash: fairness.seedHash,
+      seedVerified: hashShuffleSeed(fairness.seed) === fairness.seedHash,
+      verified,
+      steps
+    });
+  } catch (error) {
+    console.error('Failed to replay game:', error);
+    res.status(400).json({ success: false, message: 'Failed to replay game', error });
+  }
+});
 
 module.exports = router;
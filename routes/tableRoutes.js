@@ -3,6 +3,11 @@ const router = express.Router();
 const {Table, PRESET_TABLES} = require('../models/Table');
 const { authenticateToken, isAdmin } = require('../middleware/authMiddleware');
 const { handlePlayerLeave } = require('../utils/leaveTableHandler');
+const { getLegalMoves } = require('../models/legalMoves');
+const { getTableView, validateGameState, reconcileView } = require('../models/gameSync');
+const hintService = require('../utils/hintService');
+const practiceService = require('../utils/practiceService');
+const User = require('../models/User');
 
 
 
@@ -23,6 +28,27 @@ router.post('/',  async (req, res) => {
   }
 });
 
+// Create a private practice table against AI opponents (play money, wagering disabled)
+router.post('/practice', authenticateToken, async (req, res) => {
+  const { opponents, difficulty } = req.body || {};
+  if (difficulty !== undefined && !['easy', 'medium', 'hard'].includes(difficulty)) {
+    return res.status(400).json({ success: false, error: 'difficulty must be easy, medium or hard' });
+  }
+
+  try {
+    const user = await User.findById(req.userId).select('username');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const table = await practiceService.createPracticeTable(user.username, { opponents, difficulty });
+    res.status(201).json({ success: true, table });
+  } catch (error) {
+    console.error('Practice table error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create practice table' });
+  }
+});
+
 // Join an existing table
 router.post('/join', async (req, res) => {
   const { tableId, player } = req.body;
@@ -43,7 +69,7 @@ router.post('/join', async (req, res) => {
 
       table.players.push(player);
       await table.save();
-      res.status(200).json({ message: 'Joined table successfully', table });
+      res.status(200).json({ message: 'Joined table successfully', table: getTableView(table) });
   } catch (error) {
       res.status(500).json({ error: error.message });
   }
@@ -88,25 +114,20 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Get table by ID
-router.get('/:id', async (req, res) => {
+// Get table by ID, as the authenticated player sees it
+router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const table = await Table.findById(req.params.id);
     if (!table) {
       return res.status(404).json({ error: 'Table not found' });
     }
-    // Add human player if not present
-    const playerExists = table.players.some(p => p.username === req.user?.username);
-    if (req.user && !playerExists) {
-        table.players.push({
-            username: req.user.username,
-            chips: req.user.chips,
-            isHuman: true
-        });
-        await table.save();
+    const user = await User.findById(req.userId).select('username');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.status(200).json({ table });
+    // Only the caller's own hand; everyone else's cards and the deck stay hidden
+    res.status(200).json({ table: getTableView(table, user.username) });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
@@ -120,7 +141,7 @@ router.get('/', async (req, res) => {
     //console.log('Tables returned to lobby:', tables.map(t => ({ id: t._id, status: t.status, players: t.players.map(p => p.username) })));
 
     
-    res.status(200).json({ success: true, tables });
+    res.status(200).json({ success: true, tables: tables.map(t => getTableView(t)) });
   } catch (error) {
     console.error('Error fetching tables:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch tables' });
@@ -170,11 +191,11 @@ router.post('/recover-table/:tableId', async (req, res) => {
 
     // Notify remaining players
     io.to(table._id).emit('table_recovered', {
-      table,
+      table: getTableView(table),
       timestamp: Date.now()
     });
 
-    res.json({ success: true, table });
+    res.json({ success: true, table: getTableView(table) });
   } catch (error) {
     await session.abortTransaction();
     res.status(500).json({ success: false, error: error.message });
@@ -185,11 +206,13 @@ router.post('/recover-table/:tableId', async (req, res) => {
 
 
 
-// Validate game state
-router.post('/:tableId/validate-state', async (req, res) => {
+// Validate the authenticated player's view of the game state against its hash (REST mirror of
+// the verify_state socket event). On a mismatch the response carries the corrected view,
+// which also goes to the player's socket.
+router.post('/:tableId/validate-state', authenticateToken, async (req, res) => {
   try {
     const { tableId } = req.params;
-    const { stateHash } = req.body;
+    const { stateHash, stateVersion } = req.body;
     
     if (!stateHash) {
       return res.status(400).json({
@@ -197,11 +220,30 @@ router.post('/:tableId/validate-state', async (req, res) => {
         error: 'Missing state hash'
       });
     }
-    
-    const { validateGameState } = require('../models/gameLogic');
-    const validationResult = await validateGameState(tableId, stateHash);
-    
-    res.json(validationResult);
+
+    const table = await Table.findById(tableId);
+    if (!table || !table.gameState) {
+      return res.status(404).json({ valid: false, error: 'Table or game state not found' });
+    }
+    const user = await User.findById(req.userId).select('username');
+    if (!user) {
+      return res.status(404).json({ valid: false, error: 'User not found' });
+    }
+
+    const viewerIndex = table.gameState.players?.findIndex(p => p.isHuman && p.username === user.username) ?? -1;
+    const validationResult = validateGameState(table.gameState, viewerIndex, stateHash);
+    if (validationResult.valid) {
+      return res.json(validationResult);
+    }
+
+    const gameState = await reconcileView(req.app.get('io'), table, {
+      socketId: table.gameState.players[viewerIndex]?.socketId,
+      viewerIndex,
+      clientHash: stateHash,
+      clientVersion: stateVersion,
+      via: 'rest'
+    });
+    res.json({ ...validationResult, gameState });
   } catch (error) {
     console.error('State validation error:', error);
     res.status(500).json({
@@ -212,5 +254,56 @@ router.post('/:tableId/validate-state', async (req, res) => {
 });
 
 
+// Legal moves for the authenticated player, only while it is their turn
+router.get('/:tableId/legal-moves', authenticateToken, async (req, res) => {
+  try {
+    const table = await Table.findById(req.params.tableId);
+    if (!table || !table.gameState) {
+      return res.status(404).json({ success: false, error: 'Table or game state not found' });
+    }
+
+    const user = await User.findById(req.userId).select('username');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const { gameState } = table;
+    const currentPlayer = gameState.players[gameState.currentTurn];
+    if (gameState.gameOver || !currentPlayer || currentPlayer.username !== user.username) {
+      return res.status(403).json({ success: false, error: 'Not your turn' });
+    }
+
+    res.json({
+      success: true,
+      currentTurn: gameState.currentTurn,
+      turnPhase: gameState.turnPhase,
+      moves: getLegalMoves(gameState, gameState.currentTurn)
+    });
+  } catch (error) {
+    console.error('Legal moves error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compute legal moves' });
+  }
+});
+
+// Coach-mode hint for the authenticated player (REST mirror of the request_hint socket event)
+router.post('/:tableId/hint', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('username');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await hintService.requestHint(req.app.get('io'), req.params.tableId, user.username);
+    if (!result.success) {
+      const status = { NO_GAME_STATE: 404, HINTS_DISABLED: 403, INVALID_TURN: 403, HINT_LIMIT_REACHED: 429, STATE_CONFLICT: 409 }[result.code] || 400;
+      return res.status(status).json({ success: false, error: result.error, code: result.code });
+    }
+
+    res.json({ success: true, hint: result.hint, hintsRemaining: result.hintsRemaining });
+  } catch (error) {
+    console.error('Hint error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get a hint' });
+  }
+});
 
 module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Game = require('../models/Game');
+const handHistoryService = require('../utils/handHistoryService');
 const { authenticateToken } = require('../middleware/authMiddleware'); // Import authenticateToken
 const router = express.Router();
 
@@ -291,7 +294,7 @@ router.get('/:username', async (req, res) => {
 router.get('/:username/balance', async (req, res) => {
     try {
         const user = await User.findOne({ username: req.params.username })
-            .select('chips');
+            .select('chips practiceChips');
 
         if (!user) {
             return res.status(404).json({
@@ -302,7 +305,8 @@ router.get('/:username/balance', async (req, res) => {
 
         res.status(200).json({
             success: true,
-            chips: user.chips
+            chips: user.chips,
+            practiceChips: user.practiceChips // Play money, see utils/practiceService.js
         });
     } catch (error) {
         res.status(500).json({
@@ -338,7 +342,9 @@ router.get('/:username/stats', async (req, res) => {
                 wins: 0,
                 reemWins: 0,
                 totalEarnings: 0
-            }
+            },
+            practiceStats: user.practiceStats, // Practice hands never count towards stats
+            quickPlay: user.quickPlay // Quick Play rating, see utils/quickPlayService.js
         });
     } catch (error) {
         console.error('Stats fetch error:', error);
@@ -372,6 +378,65 @@ router.get('/:username/history', async (req, res) => {
 });
 
 
+// Export one of the user's finished hands as a hand-history file to share or study:
+// ?format=json for the structured history, ?format=txt for a poker-style text file.
+// Only the user themselves, or support staff (admins), may export it.
+router.get('/:username/hands/:gameId/export', authenticateToken, async (req, res) => {
+    try {
+        const { username, gameId } = req.params;
+        const format = req.query.format || 'json';
+        if (!['json', 'txt'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be json or txt'
+            });
+        }
+        if (!mongoose.isValidObjectId(gameId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid game ID'
+            });
+        }
+
+        const requester = await User.findById(req.userId).select('username isAdmin');
+        if (!requester || (requester.username !== username && !requester.isAdmin)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only export your own hands'
+            });
+        }
+
+        const game = await Game.findById(gameId);
+        if (!game || !game.players.some(p => p.username === username)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hand not found for this user'
+            });
+        }
+
+        const history = handHistoryService.buildHandHistory(game);
+        if (!history) {
+            return res.status(404).json({
+                success: false,
+                message: 'No event log recorded for this hand'
+            });
+        }
+
+        res.attachment(`tonk-hand-${game._id}.${format}`);
+        if (format === 'txt') {
+            return res.type('text/plain').status(200).send(handHistoryService.formatText(history));
+        }
+        res.status(200).json({ success: true, hand: history });
+    } catch (error) {
+        console.error('Hand export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export hand',
+            error: error.message
+        });
+    }
+});
+
 // Update stats route to create default values if missing
 router.post('/:username/updateStats', async (req, res) => {
     try {
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Headless self-play simulator: plays full hands between AI strategies with the real
+ * engine (createDeck / initializeGameState / processGameAction via runAiTurn), without
+ * Mongo or Socket.IO, and reports win rates, hand lengths, win-type frequencies,
+ * payouts and caught-drop penalties per stake, and each strategy's net chips per hand.
+ *
+ * Usage: npm run simulate -- [--hands 1000] [--players hard,medium] [--stakes 1,10,100]
+ *                            [--seed abc] [--json] [--verbose]
+ */
+
+// The engine logs every deal and turn; keep the report readable unless asked otherwise
+if (require.main === module && !process.argv.includes('--verbose')) {
+  console.log = () => {};
+}
+
+const { initializeGameState, createSeededRng } = require('../models/gameLogic');
+const { runAiTurn } = require('../models/AiPlayer');
+const { resolvePayoutSchedule, calculatePayout, calculateDropPenalties } = require('../utils/payoutSchedule');
+const { PRESET_TABLES } = require('../models/Table');
+
+// A hand that runs this long is stuck, not slow
+const MAX_TURNS_PER_HAND = 500;
+
+const parseArgs = (argv) => {
+  const args = { hands: 1000, players: ['hard', 'medium'], stakes: null, seed: null, json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const next = () => argv[++i];
+    if (flag === '--hands') args.hands = parseInt(next(), 10);
+    else if (flag === '--players') args.players = next().split(',');
+    else if (flag === '--stakes') args.stakes = next().split(',').map(Number);
+    else if (flag === '--seed') args.seed = next();
+    else if (flag === '--json') args.json = true;
+    else if (flag === '--verbose') args.verbose = true;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!args.stakes) args.stakes = [...new Set(PRESET_TABLES.filter(t => t.mode !== 'quick_play').map(t => t.stake))];
+  if (!(args.hands > 0)) throw new Error('--hands must be a positive number');
+  if (args.players.length < 2 || args.players.length > 4) throw new Error('--players needs 2 to 4 difficulties');
+  return args;
+};
+
+/**
+ * Play one hand to the end. Seats are rotated every hand so no strategy keeps the first turn.
+ * @returns {Promise<{ state: Object, turns: number }>}
+ */
+const playHand = async (stake, difficulties, handIndex, rng, seed) => {
+  const rotation = handIndex % difficulties.length;
+  const seats = [...difficulties.slice(rotation), ...difficulties.slice(0, rotation)];
+  const table = {
+    _id: `sim-${stake}`,
+    stake,
+    players: seats.map((difficulty, i) => ({ username: `${difficulty}-${i}`, isHuman: false, chips: 0 }))
+  };
+
+  initializeGameState(table, seed ? { shuffleSeed: `${seed}:${stake}:${handIndex}` } : {});
+  let state = table.gameState;
+  seats.forEach((difficulty, i) => {
+    state.players[i].difficulty = difficulty;
+  });
+
+  let turns = 0;
+  while (!state.gameOver && turns < MAX_TURNS_PER_HAND) {
+    const next = await runAiTurn(state, { instant: true, rng, shuffleSeed: table.shuffleSeed });
+    if (next === state) break;
+    state = next;
+    turns++;
+  }
+  return { state, turns };
+};
+
+const emptyStakeReport = () => ({ hands: 0, staked: 0, paid: 0, penalties: 0, playerNet: 0, rake: 0, largestPayout: 0 });
+
+/**
+ * Chips each seat ends a hand up or down, settled as settlementService would: the pot by the
+ * payout schedule, then a stake from a caught dropper to every lower scorer.
+ * @returns {{ share: Object, penalties: Object[], nets: number[] }}
+ */
+const settleHand = (state, stake) => {
+  const share = calculatePayout(state.payoutSchedule || resolvePayoutSchedule({ stake }), state.winType, stake, state.players.length, state.winners.length);
+  const nets = state.players.map((player, index) => (state.winners.includes(index)
+    ? share.payoutPerWinner - stake
+    : -share.lossPerLoser));
+  const penalties = calculateDropPenalties(state, stake);
+  penalties.forEach(({ from, to, amount }) => {
+    nets[from] -= amount;
+    nets[to] += amount;
+  });
+  return { share, penalties, nets };
+};
+
+const simulate = async ({ hands, players, stakes, seed }) => {
+  const rng = seed ? createSeededRng(`${seed}:ai`) : Math.random;
+  const wins = Object.fromEntries(players.map(d => [d, 0]));
+  const netStakes = Object.fromEntries(players.map(d => [d, 0])); // Net chips won, in stakes
+  const winTypes = {};
+  const byStake = {};
+  let totalHands = 0;
+  let totalTurns = 0;
+  let tieBreaks = 0;
+  let unfinished = 0;
+
+  for (const stake of stakes) {
+    const report = (byStake[stake] = emptyStakeReport());
+    for (let h = 0; h < hands; h++) {
+      const { state, turns } = await playHand(stake, players, h, rng, seed);
+      totalHands++;
+      totalTurns += turns;
+      if (!state.gameOver) {
+        unfinished++;
+        continue;
+      }
+      if (state.tieBreak) tieBreaks++;
+      winTypes[state.winType] = (winTypes[state.winType] || 0) + 1;
+      // A split pot counts as a fraction of a win for each winner
+      state.winners.forEach(index => {
+        wins[state.players[index].difficulty] += 1 / state.winners.length;
+      });
+
+      const { share, penalties, nets } = settleHand(state, stake);
+      nets.forEach((net, index) => {
+        netStakes[state.players[index].difficulty] += net / stake;
+      });
+      report.hands++;
+      report.staked += share.pot;
+      report.paid += share.payoutPerWinner * state.winners.length;
+      report.penalties += penalties.reduce((sum, { amount }) => sum + amount, 0);
+      report.playerNet += nets.reduce((sum, net) => sum + net, 0);
+      report.rake += share.rake;
+      report.largestPayout = Math.max(report.largestPayout, share.payoutPerWinner);
+    }
+  }
+
+  // Each difficulty sits at one seat per hand unless it is listed more than once
+  const seatsPerHand = Object.fromEntries(players.map(d => [d, players.filter(p => p === d).length]));
+  return {
+    hands: totalHands,
+    unfinished,
+    averageTurnsPerHand: totalTurns / totalHands,
+    tieBreakRate: tieBreaks / totalHands,
+    winRates: Object.fromEntries(Object.entries(wins).map(([d, w]) => [d, w / totalHands / seatsPerHand[d]])),
+    // Expected chips per seat per hand, in stakes, after payouts and drop penalties
+    netStakesPerHand: Object.fromEntries(Object.entries(netStakes).map(([d, n]) => [d, n / totalHands / seatsPerHand[d]])),
+    winTypes: Object.fromEntries(Object.entries(winTypes).map(([type, n]) => [type, n / totalHands])),
+    stakes: Object.fromEntries(Object.entries(byStake).map(([stake, r]) => [stake, {
+      ...r,
+      averagePayout: r.hands > 0 ? r.paid / r.hands : 0,
+      penaltiesPerHand: r.hands > 0 ? r.penalties / r.hands : 0,
+      // Chips the house adds (positive) or keeps (negative) per hand: what the seats won between them
+      houseExposurePerHand: r.hands > 0 ? r.playerNet / r.hands : 0
+    }]))
+  };
+};
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+const printReport = (result, args) => {
+  const out = process.stdout;
+  out.write(`Simulated ${result.hands} hands (${args.players.join(' vs ')})${result.unfinished ? `, ${result.unfinished} unfinished` : ''}\n`);
+  out.write(`Average turns per hand: ${result.averageTurnsPerHand.toFixed(2)}, tie-break rate: ${pct(result.tieBreakRate)}\n\n`);
+  out.write('Win rate per seat:\n');
+  Object.entries(result.winRates).forEach(([d, rate]) => out.write(`  ${d.padEnd(8)} ${pct(rate)}\n`));
+  out.write('\nNet chips per seat per hand, in stakes:\n');
+  Object.entries(result.netStakesPerHand).forEach(([d, net]) => out.write(`  ${d.padEnd(8)} ${net >= 0 ? '+' : ''}${net.toFixed(3)}\n`));
+  out.write('\nWin types:\n');
+  Object.entries(result.winTypes).sort((a, b) => b[1] - a[1])
+    .forEach(([type, rate]) => out.write(`  ${type.padEnd(17)} ${pct(rate)}\n`));
+  out.write('\nPayouts per stake:\n');
+  out.write('  stake   hands   avg payout   largest   penalties/hand   rake   house exposure/hand\n');
+  Object.entries(result.stakes).forEach(([stake, r]) => {
+    out.write(`  ${String(stake).padEnd(7)} ${String(r.hands).padEnd(7)} ${r.averagePayout.toFixed(2).padEnd(12)} ` +
+      `${r.largestPayout.toFixed(2).padEnd(9)} ${r.penaltiesPerHand.toFixed(2).padEnd(16)} ` +
+      `${r.rake.toFixed(2).padEnd(6)} ${r.houseExposurePerHand.toFixed(2)}\n`);
+  });
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const result = await simulate(args);
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    printReport(result, args);
+  }
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`🚨 Simulation failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { simulate, playHand, settleHand };
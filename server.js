@@ -138,7 +138,8 @@ app.use((err, req, res, next) => {
 // Initialize preset tables
 const initializePresetTables = async () => {
   try {
-      await Table.deleteMany({}); // Clear existing tables
+      // Clear the shared tables; private practice tables outlive a restart
+      await Table.deleteMany({ mode: { $ne: 'practice' } });
       const tables = await Table.insertMany(PRESET_TABLES.map((table, index) => ({ // Added 'index' here
           ...table, // Spread existing table properties (name, stake)
           tableId: `table-${index + 1}`, // Generate unique tableId using index
@@ -0,0 +1,34 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeGameState, createSeededRng } = require('../models/gameLogic');
+const { runAiTurn, playAiTurn } = require('../models/AiPlayer');
+
+const SEED = 'ai-turn-seed';
+
+// Two AI seats dealt from SEED, seat 0 on turn
+const dealAiHand = () => {
+  const table = { _id: 'ai-table', stake: 5, players: ['bot-a', 'bot-b'].map(username => ({ username, isHuman: false, difficulty: 'medium' })) };
+  initializeGameState(table, { shuffleSeed: SEED });
+  return { ...table.gameState, currentTurn: 0 };
+};
+
+describe('playAiTurn', () => {
+  before(() => mock.method(console, 'log', () => {})); // Deals and AI steps narrate themselves
+  after(() => mock.restoreAll());
+
+  it('plays the same turn as runAiTurn, without its delays', async () => {
+    const options = { shuffleSeed: SEED };
+    const played = await playAiTurn(dealAiHand(), { ...options, rng: createSeededRng('moves') });
+    const run = await runAiTurn(dealAiHand(), { ...options, rng: createSeededRng('moves'), instant: true });
+
+    assert.equal(played.eventLog.at(-1).source, 'ai');
+    assert.deepEqual(played.eventLog.map(e => e.action), run.eventLog.map(e => e.action));
+    assert.ok(played.gameOver || played.currentTurn === 1);
+  });
+
+  it('leaves a human seat alone', async () => {
+    const state = dealAiHand();
+    state.players = state.players.map((p, i) => (i === 0 ? { ...p, isHuman: true, autopilot: false } : p));
+    assert.equal(await playAiTurn(state), state);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Table } = require('../models/Table');
+const autopilotService = require('../utils/autopilotService');
+const stateDeltaService = require('../utils/stateDeltaService');
+
+// A hand in progress with ann disconnected; saveIfCurrent answers from saves in turn
+const loadTable = (saves, overrides = {}) => ({
+  _id: 't1',
+  players: [{ username: 'ann', status: 'disconnected' }, { username: 'ben', status: 'active' }],
+  gameState: {
+    gameStarted: true,
+    gameOver: false,
+    currentTurn: 0,
+    players: [{ username: 'ann', isHuman: true }, { username: 'ben', isHuman: true }],
+    eventLog: []
+  },
+  saveIfCurrent: async () => saves.shift(),
+  ...overrides
+});
+
+describe('autopilotService.engage', () => {
+  let playTurn;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    playTurn = mock.fn(async () => {});
+    autopilotService.init(null, playTurn);
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    stateDeltaService.clearTable('t1');
+  });
+
+  it('flags the seat, logs it and plays the turn when it is on turn', async () => {
+    const saves = [true];
+    let saved;
+    mock.method(Table, 'findById', async () => (saved = loadTable(saves)));
+
+    assert.equal(await autopilotService.engage('t1', 'ann'), true);
+    assert.equal(saved.gameState.players[0].autopilot, true);
+    assert.equal(saved.gameState.eventLog.at(-1).type, 'autopilot_engaged');
+    assert.equal(playTurn.mock.callCount(), 1);
+  });
+
+  it('sends the takeover as a state delta on the next version', async () => {
+    const emitted = [];
+    autopilotService.init({ to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) }, playTurn);
+    mock.method(Table, 'findById', async () => loadTable([true], { stateVersion: 3 }));
+
+    assert.equal(await autopilotService.engage('t1', 'ann'), true);
+    assert.deepEqual(emitted.map(e => e.event), ['autopilot_engaged', 'state_delta']);
+    const { payload } = emitted[1];
+    assert.equal(payload.version, 4);
+    assert.equal(payload.action, 'AUTOPILOT_ENGAGED');
+    assert.equal(payload.publicDelta.players[0].autopilot, true);
+    assert.deepEqual(stateDeltaService.since('t1', 3, 4).map(d => d.version), [4]);
+  });
+
+  it('reloads and tries again when another write got in first', async () => {
+    const saves = [false, true];
+    const findById = mock.method(Table, 'findById', async () => loadTable(saves));
+
+    assert.equal(await autopilotService.engage('t1', 'ann'), true);
+    assert.equal(findById.mock.callCount(), 2);
+    assert.equal(playTurn.mock.callCount(), 1);
+    assert.deepEqual(stateDeltaService.since('t1', 0, 1).map(d => d.version), [1]); // Only the saved takeover
+  });
+
+  it('gives up after repeated conflicts without playing the turn', async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(Table, 'findById', async () => loadTable([false]));
+
+    assert.equal(await autopilotService.engage('t1', 'ann'), false);
+    assert.equal(playTurn.mock.callCount(), 0);
+  });
+
+  it('leaves a seat alone once its player is back', async () => {
+    const table = loadTable([true]);
+    table.players[0].status = 'active';
+    const save = mock.method(table, 'saveIfCurrent');
+    mock.method(Table, 'findById', async () => table);
+
+    assert.equal(await autopilotService.engage('t1', 'ann'), false);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe('autopilotService.release', () => {
+  beforeEach(() => mock.method(console, 'log', () => {}));
+  afterEach(() => {
+    mock.restoreAll();
+    stateDeltaService.clearTable('t1');
+  });
+
+  it('hands the seat back and records the change for the caller to emit', () => {
+    const table = loadTable([], { stateVersion: 8 });
+    table.gameState.players[0].autopilot = true;
+
+    const delta = autopilotService.release(table, 'ann');
+    assert.equal(delta.version, 9);
+    assert.equal(delta.action, 'AUTOPILOT_RELEASED');
+    assert.equal(table.stateVersion, 9);
+    assert.equal(table.gameState.players[0].autopilot, false);
+    assert.equal(table.gameState.eventLog.at(-1).type, 'autopilot_released');
+  });
+
+  it('records nothing for a seat that was not on autopilot', () => {
+    const table = loadTable([], { stateVersion: 8 });
+    assert.equal(autopilotService.release(table, 'ann'), null);
+    assert.equal(table.stateVersion, 8);
+  });
+});
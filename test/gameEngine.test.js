@@ -0,0 +1,407 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TURN_PHASES } = require('../models/gameLogic');
+const {
+  ENGINE_ERRORS,
+  MAX_TIE_BREAK_ROUNDS,
+  PHASE_TRANSITIONS,
+  processGameAction,
+  getAllowedActions,
+  settleOnLowestScore
+} = require('../models/gameEngine');
+
+const card = (rank, suit) => ({ rank, suit });
+
+// A two-seat hand at the start of seat 0's first turn; overrides replace top-level fields
+const makeState = (overrides = {}) => ({
+  players: [0, 1].map(i => ({ username: `p${i}`, isHuman: true, turnsTaken: 0, hitCount: 0, hitPenaltyRounds: 0 })),
+  playerHands: [
+    [card('2', 'hearts'), card('3', 'hearts'), card('4', 'hearts'), card('K', 'clubs'), card('K', 'spades')],
+    [card('7', 'clubs'), card('7', 'diamonds'), card('7', 'spades'), card('Q', 'hearts'), card('J', 'diamonds')]
+  ],
+  playerSpreads: [[], []],
+  deck: [card('5', 'spades'), card('6', 'clubs')],
+  discardPile: [card('ace', 'diamonds')],
+  currentTurn: 0,
+  turnPhase: TURN_PHASES.DRAW,
+  hasDrawnCard: false,
+  spreadsThisTurn: 0,
+  gameOver: false,
+  winners: [],
+  winType: null,
+  roundScores: [],
+  tieBreak: null,
+  milestones: [],
+  rules: { invalidDeclarationOutcome: 'reject' },
+  ...overrides
+});
+
+// Play a sequence of [action, payload] pairs, failing on the first rejection
+const play = (state, steps) => steps.reduce((current, [action, payload]) => {
+  const result = processGameAction(current, action, payload);
+  assert.ok(result.ok, `${action} rejected: ${result.error?.code}`);
+  return result.state;
+}, state);
+
+const eventTypes = (result) => result.events.map(e => e.type);
+
+describe('processGameAction', () => {
+  it('leaves the input state untouched', () => {
+    const state = makeState();
+    const before = structuredClone(state);
+    processGameAction(state, 'DRAW_CARD');
+    assert.deepEqual(state, before);
+  });
+
+  it('draws the top of the stock and moves on to the action phase', () => {
+    const result = processGameAction(makeState(), 'DRAW_CARD');
+    assert.ok(result.ok);
+    assert.deepEqual(result.state.playerHands[0].at(-1), card('6', 'clubs'));
+    assert.equal(result.state.deck.length, 1);
+    assert.equal(result.state.turnPhase, TURN_PHASES.ACTION);
+    assert.equal(result.state.hasDrawnCard, true);
+    assert.deepEqual(eventTypes(result), ['CARD_DRAWN', 'PHASE_CHANGED']);
+  });
+
+  it('draws from the discard pile', () => {
+    const result = processGameAction(makeState(), 'DRAW_DISCARD');
+    assert.ok(result.ok);
+    assert.deepEqual(result.state.playerHands[0].at(-1), card('ace', 'diamonds'));
+    assert.equal(result.state.discardPile.length, 0);
+    assert.equal(result.events[0].source, 'discard');
+  });
+
+  it('rejects drawing from an empty pile', () => {
+    assert.equal(processGameAction(makeState({ deck: [] }), 'DRAW_CARD').error.code, ENGINE_ERRORS.DECK_EMPTY);
+    assert.equal(processGameAction(makeState({ discardPile: [] }), 'DRAW_DISCARD').error.code, ENGINE_ERRORS.DISCARD_PILE_EMPTY);
+  });
+
+  it('rejects actions out of phase order', () => {
+    const state = makeState();
+    assert.equal(processGameAction(state, 'DISCARD', { cardIndex: 0 }).error.code, ENGINE_ERRORS.ILLEGAL_PHASE_ACTION);
+    assert.equal(processGameAction(state, 'SPREAD', { cards: state.playerHands[0].slice(0, 3) }).error.code, ENGINE_ERRORS.ILLEGAL_PHASE_ACTION);
+
+    const drawn = play(state, [['DRAW_CARD']]);
+    assert.equal(processGameAction(drawn, 'DRAW_CARD').error.code, ENGINE_ERRORS.ILLEGAL_PHASE_ACTION);
+    assert.equal(processGameAction(drawn, 'DRAW_DISCARD').error.code, ENGINE_ERRORS.ILLEGAL_PHASE_ACTION);
+  });
+
+  it('rejects unknown actions and finished hands', () => {
+    assert.equal(processGameAction(makeState(), 'SHUFFLE').error.code, ENGINE_ERRORS.UNKNOWN_ACTION);
+    assert.equal(processGameAction(makeState({ gameOver: true }), 'DRAW_CARD').error.code, ENGINE_ERRORS.GAME_OVER);
+    assert.equal(processGameAction(null, 'DRAW_CARD').error.code, ENGINE_ERRORS.NO_GAME_STATE);
+  });
+
+  it('returns the original state with no events on a rejection', () => {
+    const state = makeState();
+    const result = processGameAction(state, 'DISCARD', { cardIndex: 0 });
+    assert.equal(result.ok, false);
+    assert.equal(result.state, state);
+    assert.deepEqual(result.events, []);
+  });
+
+  it('discards and hands the turn to the next seat', () => {
+    const state = play(makeState(), [['DRAW_CARD'], ['DISCARD', { cardIndex: 3 }]]);
+    assert.deepEqual(state.discardPile.at(-1), card('K', 'clubs'));
+    assert.equal(state.currentTurn, 1);
+    assert.equal(state.turnPhase, TURN_PHASES.DRAW);
+    assert.equal(state.hasDrawnCard, false);
+    assert.equal(state.players[0].turnsTaken, 1);
+  });
+
+  it('rejects a discard of a card index not in the hand', () => {
+    const drawn = play(makeState(), [['DRAW_CARD']]);
+    assert.equal(processGameAction(drawn, 'DISCARD', { cardIndex: 6 }).error.code, ENGINE_ERRORS.INVALID_CARD_INDEX);
+  });
+
+  it('settles on the lowest score when the last stock card has been drawn', () => {
+    const state = play(makeState({ deck: [card('5', 'spades')] }), [['DRAW_CARD'], ['DISCARD', { cardIndex: 3 }]]);
+    assert.equal(state.gameOver, true);
+    assert.equal(state.winType, 'STOCK_EMPTY');
+    // Seat 0 holds 2+3+4+10+5 = 24, seat 1 holds 7+7+7+10+10 = 41
+    assert.deepEqual(state.roundScores, [24, 41]);
+    assert.deepEqual(state.winners, [0]);
+  });
+
+  describe('SPREAD', () => {
+    it('lays down a valid spread', () => {
+      const hand = makeState().playerHands[0];
+      const state = play(makeState(), [['DRAW_CARD'], ['SPREAD', { cards: hand.slice(0, 3) }]]);
+      assert.deepEqual(state.playerSpreads[0], [hand.slice(0, 3)]);
+      assert.equal(state.playerHands[0].length, 3);
+      assert.equal(state.turnPhase, TURN_PHASES.ACTION);
+    });
+
+    it('rejects invalid spreads and cards not in hand', () => {
+      const drawn = play(makeState(), [['DRAW_CARD']]);
+      const hand = drawn.playerHands[0];
+      assert.equal(processGameAction(drawn, 'SPREAD', { cards: [hand[0], hand[1], hand[3]] }).error.code, ENGINE_ERRORS.INVALID_SPREAD);
+      assert.equal(processGameAction(drawn, 'SPREAD', { cards: [card('K', 'clubs'), card('K', 'spades'), card('K', 'hearts')] }).error.code, ENGINE_ERRORS.CARDS_NOT_IN_HAND);
+      assert.equal(processGameAction(drawn, 'SPREAD', { cards: 'all' }).error.code, ENGINE_ERRORS.INVALID_PAYLOAD);
+    });
+
+    it('wins a Reem with two spreads in one turn', () => {
+      const hands = makeState().playerHands;
+      hands[0] = [card('2', 'hearts'), card('3', 'hearts'), card('4', 'hearts'), card('K', 'clubs'), card('K', 'spades')];
+      const state = play(makeState({ playerHands: hands, deck: [card('K', 'diamonds')] }), [
+        ['DRAW_CARD'],
+        ['SPREAD', { cards: hands[0].slice(0, 3) }]
+      ]);
+      const result = processGameAction(state, 'SPREAD', { cards: [card('K', 'clubs'), card('K', 'spades'), card('K', 'diamonds')] });
+      assert.ok(result.ok);
+      assert.equal(result.state.gameOver, true);
+      assert.equal(result.state.winType, 'REEM');
+      assert.deepEqual(result.state.winners, [0]);
+      assert.ok(eventTypes(result).includes('GAME_OVER'));
+    });
+
+    it('counts spreads per turn, so a second spread on a later turn is no Reem', () => {
+      const hands = [
+        [card('2', 'hearts'), card('3', 'hearts'), card('4', 'hearts'), card('K', 'clubs'), card('K', 'spades'), card('Q', 'spades')],
+        makeState().playerHands[1]
+      ];
+      const state = play(makeState({ playerHands: hands, deck: [card('K', 'diamonds'), card('5', 'clubs'), card('9', 'clubs')] }), [
+        ['DRAW_CARD'],
+        ['SPREAD', { cards: hands[0].slice(0, 3) }],
+        ['DISCARD', { cardIndex: 3 }],
+        ['DRAW_CARD'],
+        ['DISCARD', { cardIndex: 0 }],
+        ['DRAW_CARD']
+      ]);
+      assert.equal(state.spreadsThisTurn, 0);
+      const result = processGameAction(state, 'SPREAD', { cards: [card('K', 'clubs'), card('K', 'spades'), card('K', 'diamonds')] });
+      assert.ok(result.ok);
+      assert.equal(result.state.gameOver, false);
+      assert.equal(result.state.spreadsThisTurn, 1);
+    });
+
+    it('wins by going out through a spread', () => {
+      const hands = [[card('5', 'clubs'), card('5', 'hearts')], makeState().playerHands[1]];
+      const result = processGameAction(
+        play(makeState({ playerHands: hands, deck: [card('5', 'spades')] }), [['DRAW_CARD']]),
+        'SPREAD',
+        { cards: [card('5', 'clubs'), card('5', 'hearts'), card('5', 'spades')] }
+      );
+      assert.equal(result.state.winType, 'REGULAR_WIN');
+      assert.deepEqual(result.state.winners, [0]);
+    });
+  });
+
+  describe('HIT and hit penalties', () => {
+    const withSpread = () => makeState({
+      playerSpreads: [[], [[card('7', 'clubs'), card('7', 'diamonds'), card('7', 'spades')]]],
+      playerHands: [
+        [card('7', 'hearts'), card('3', 'hearts'), card('4', 'clubs'), card('K', 'clubs')],
+        [card('Q', 'hearts'), card('J', 'diamonds')]
+      ]
+    });
+
+    it('adds the card to the target spread and blocks the target from dropping for 2 rounds', () => {
+      const drawn = play(withSpread(), [['DRAW_CARD']]);
+      const result = processGameAction(drawn, 'HIT', { cardIndex: 0, targetIndex: 1, spreadIndex: 0 });
+      assert.ok(result.ok);
+      assert.equal(result.state.playerSpreads[1][0].length, 4);
+      assert.equal(result.state.players[1].hitCount, 1);
+      assert.equal(result.state.players[1].hitPenaltyRounds, 2);
+      assert.ok(eventTypes(result).includes('SPREAD_HIT'));
+    });
+
+    it('stacks one more round for every later hit', () => {
+      const state = withSpread();
+      state.players[1].hitCount = 1;
+      state.players[1].hitPenaltyRounds = 2;
+      const result = processGameAction(play(state, [['DRAW_CARD']]), 'HIT', { cardIndex: 0, targetIndex: 1, spreadIndex: 0 });
+      assert.equal(result.state.players[1].hitPenaltyRounds, 3);
+    });
+
+    it('keeps the action phase open, so a player can hit more than once in a turn', () => {
+      const state = withSpread();
+      state.playerHands[0] = [card('7', 'hearts'), card('5', 'diamonds'), card('K', 'clubs')];
+      state.playerSpreads[1].push([card('2', 'diamonds'), card('3', 'diamonds'), card('4', 'diamonds')]);
+      state.deck = [card('ace', 'spades'), card('2', 'spades')];
+      const hit = play(state, [
+        ['DRAW_CARD'],
+        ['HIT', { cardIndex: 0, targetIndex: 1, spreadIndex: 0 }]
+      ]);
+      assert.equal(hit.turnPhase, TURN_PHASES.ACTION);
+      assert.ok(getAllowedActions(hit, 0).includes('HIT'));
+
+      const again = play(hit, [['HIT', { cardIndex: 0, targetIndex: 1, spreadIndex: 1 }]]);
+      assert.equal(again.players[1].hitCount, 2);
+      assert.equal(again.players[1].hitPenaltyRounds, 3);
+      assert.equal(play(again, [['DISCARD', { cardIndex: 0 }]]).currentTurn, 1);
+    });
+
+    it('rejects hits that do not fit or have no target', () => {
+      const drawn = play(withSpread(), [['DRAW_CARD']]);
+      assert.equal(processGameAction(drawn, 'HIT', { cardIndex: 1, targetIndex: 1, spreadIndex: 0 }).error.code, ENGINE_ERRORS.INVALID_HIT);
+      assert.equal(processGameAction(drawn, 'HIT', { cardIndex: 0, targetIndex: 0, spreadIndex: 0 }).error.code, ENGINE_ERRORS.INVALID_HIT_TARGET);
+      assert.equal(processGameAction(drawn, 'HIT', { cardIndex: 9, targetIndex: 1, spreadIndex: 0 }).error.code, ENGINE_ERRORS.INVALID_CARD_INDEX);
+      assert.equal(processGameAction(drawn, 'HIT', { cardIndex: 0 }).error.code, ENGINE_ERRORS.INVALID_PAYLOAD);
+    });
+
+    it('serves a penalty round each time the penalised player finishes a turn', () => {
+      const state = withSpread();
+      state.currentTurn = 1;
+      state.players[1].hitPenaltyRounds = 2;
+      const next = play(state, [['DRAW_CARD'], ['DISCARD', { cardIndex: 0 }]]);
+      assert.equal(next.players[1].hitPenaltyRounds, 1);
+    });
+
+    it('refuses a drop while the penalty runs', () => {
+      const state = makeState();
+      state.players[0].hitPenaltyRounds = 1;
+      const result = processGameAction(state, 'DROP');
+      assert.equal(result.error.code, ENGINE_ERRORS.HIT_PENALTY_ACTIVE);
+    });
+  });
+
+  describe('DROP', () => {
+    it('wins with the lowest score', () => {
+      const hands = [[card('ace', 'hearts'), card('2', 'clubs')], makeState().playerHands[1]];
+      const result = processGameAction(makeState({ playerHands: hands }), 'DROP');
+      assert.equal(result.state.winType, 'DROP_WIN');
+      assert.deepEqual(result.state.winners, [0]);
+      assert.equal(result.state.dropped, 0);
+      assert.deepEqual(eventTypes(result), ['PLAYER_DROPPED', 'GAME_OVER']);
+    });
+
+    it('is caught when another seat scores lower', () => {
+      const hands = [makeState().playerHands[1], [card('ace', 'hearts'), card('2', 'clubs')]];
+      const result = processGameAction(makeState({ playerHands: hands }), 'DROP');
+      assert.equal(result.state.winType, 'DROP_CAUGHT');
+      assert.deepEqual(result.state.winners, [1]);
+    });
+  });
+
+  describe('DECLARE_SPECIAL_WIN', () => {
+    const lowHand = [card('ace', 'hearts'), card('2', 'clubs'), card('3', 'spades')];
+
+    it('wins the triple-stake milestone with 11 or under on the first turn', () => {
+      const result = processGameAction(makeState({ playerHands: [lowHand, makeState().playerHands[1]] }), 'DECLARE_SPECIAL_WIN');
+      assert.ok(result.ok);
+      assert.equal(result.state.winType, 'SPECIAL_WIN');
+      assert.deepEqual(result.state.milestones, [{ type: 'triple_stake', playerIndex: 0, score: 6, handSize: 3 }]);
+    });
+
+    it('rejects a 41-point hand, which is not 11 or under', () => {
+      // 7+7+7+10+10 = 41
+      const result = processGameAction(makeState({ playerHands: [makeState().playerHands[1], lowHand] }), 'DECLARE_SPECIAL_WIN');
+      assert.equal(result.ok, false);
+      assert.equal(result.error.code, ENGINE_ERRORS.SPECIAL_WIN_NOT_ELIGIBLE);
+    });
+
+    it('takes exactly 11 but not 12', () => {
+      const eleven = [card('ace', 'hearts'), card('3', 'clubs'), card('7', 'spades')];
+      const twelve = [card('2', 'hearts'), card('3', 'clubs'), card('7', 'spades')];
+      assert.equal(processGameAction(makeState({ playerHands: [eleven, lowHand] }), 'DECLARE_SPECIAL_WIN').state.winType, 'SPECIAL_WIN');
+      assert.equal(processGameAction(makeState({ playerHands: [twelve, lowHand] }), 'DECLARE_SPECIAL_WIN').error.code, ENGINE_ERRORS.SPECIAL_WIN_NOT_ELIGIBLE);
+    });
+
+    it('rejects a declaration after the first turn or without a qualifying score', () => {
+      const later = makeState({ playerHands: [lowHand, makeState().playerHands[1]] });
+      later.players[0].turnsTaken = 1;
+      assert.equal(processGameAction(later, 'DECLARE_SPECIAL_WIN').error.code, ENGINE_ERRORS.SPECIAL_WIN_NOT_FIRST_TURN);
+      assert.equal(processGameAction(makeState(), 'DECLARE_SPECIAL_WIN').error.code, ENGINE_ERRORS.SPECIAL_WIN_NOT_ELIGIBLE);
+    });
+
+    it('plays an invalid declaration as a drop where the table rules say so', () => {
+      const result = processGameAction(makeState({ rules: { invalidDeclarationOutcome: 'drop' } }), 'DECLARE_SPECIAL_WIN');
+      assert.ok(result.ok);
+      assert.deepEqual(eventTypes(result).slice(0, 2), ['INVALID_DECLARATION', 'PLAYER_DROPPED']);
+      assert.equal(result.state.winType, 'DROP_WIN');
+    });
+  });
+});
+
+describe('PHASE_TRANSITIONS', () => {
+  it('has a phase for every turn phase, and every phase is reached by some action', () => {
+    assert.deepEqual(Object.keys(PHASE_TRANSITIONS).sort(), Object.values(TURN_PHASES).sort());
+    const reached = new Set(Object.values(PHASE_TRANSITIONS).flatMap(Object.values).filter(Boolean));
+    assert.deepEqual([...reached].sort(), Object.values(TURN_PHASES).sort());
+  });
+});
+
+describe('getAllowedActions', () => {
+  it('is empty for a seat not on turn and once the hand is over', () => {
+    assert.deepEqual(getAllowedActions(makeState(), 1), []);
+    assert.deepEqual(getAllowedActions(makeState({ gameOver: true }), 0), []);
+    assert.deepEqual(getAllowedActions(null, 0), []);
+  });
+
+  it('offers the draws, drop and declaration at the start of a turn', () => {
+    assert.deepEqual(getAllowedActions(makeState(), 0), ['DRAW_CARD', 'DRAW_DISCARD', 'DROP', 'DECLARE_SPECIAL_WIN']);
+  });
+
+  it('leaves out what is not possible right now', () => {
+    const state = makeState({ discardPile: [] });
+    state.players[0].hitPenaltyRounds = 1;
+    state.players[0].turnsTaken = 2;
+    assert.deepEqual(getAllowedActions(state, 0), ['DRAW_CARD']);
+  });
+
+  it('offers spreads, hits and the discard after drawing', () => {
+    const drawn = play(makeState({ playerSpreads: [[], [[card('7', 'clubs'), card('7', 'diamonds'), card('7', 'spades')]]] }), [['DRAW_CARD']]);
+    assert.deepEqual(getAllowedActions(drawn, 0), ['SPREAD', 'HIT', 'DROP', 'DECLARE_SPECIAL_WIN', 'DISCARD']);
+  });
+});
+
+describe('settleOnLowestScore', () => {
+  const settle = (state, roundScores, ctx = {}) => {
+    const events = [];
+    settleOnLowestScore(state, { events, shuffleSeed: 'test-seed', ...ctx }, { winType: 'STOCK_EMPTY', roundScores });
+    return events;
+  };
+
+  it('ends the hand for a single lowest scorer', () => {
+    const state = makeState();
+    const events = settle(state, [12, 30]);
+    assert.equal(state.gameOver, true);
+    assert.deepEqual(state.winners, [0]);
+    assert.equal(state.decidingRound, 0);
+    assert.deepEqual(events.map(e => e.type), ['GAME_OVER']);
+  });
+
+  it('re-deals only the tied seats for a tie-break round', () => {
+    const state = makeState({
+      players: [0, 1, 2].map(i => ({ username: `p${i}`, isHuman: true, turnsTaken: 3 })),
+      playerHands: [[], [], []],
+      playerSpreads: [[], [], []]
+    });
+    const events = settle(state, [20, 12, 12]);
+
+    assert.equal(state.gameOver, false);
+    assert.equal(state.tieBreak.round, 1);
+    assert.deepEqual(state.tieBreak.players, [1, 2]);
+    assert.equal(state.tieBreak.history[0].winType, 'STOCK_EMPTY');
+    assert.equal(state.currentTurn, 1);
+    assert.equal(state.playerHands[0].length, 0);
+    assert.equal(state.playerHands[1].length, 5);
+    assert.equal(state.playerHands[2].length, 5);
+    assert.ok(state.players.every(p => p.turnsTaken === 0));
+    assert.deepEqual(events[0], { type: 'TIE_BREAK_STARTED', round: 1, players: [1, 2], roundScores: [20, 12, 12] });
+  });
+
+  it('deals the tie-break from the hand seed, so it replays identically', () => {
+    const a = makeState();
+    const b = makeState();
+    settle(a, [10, 10]);
+    settle(b, [10, 10]);
+    assert.deepEqual(a.playerHands, b.playerHands);
+    assert.deepEqual(a.deck, b.deck);
+  });
+
+  it('splits the pot once the last tie-break round is tied too', () => {
+    const state = makeState({ tieBreak: { round: MAX_TIE_BREAK_ROUNDS, players: [0, 1], history: [] } });
+    settle(state, [8, 8]);
+    assert.equal(state.gameOver, true);
+    assert.deepEqual(state.winners, [0, 1]);
+    assert.equal(state.decidingRound, MAX_TIE_BREAK_ROUNDS);
+  });
+
+  it('leaves seats sitting out a tie-break out of the running', () => {
+    const state = makeState({ tieBreak: { round: 1, players: [1], history: [] } });
+    settle(state, [null, 15]);
+    assert.deepEqual(state.winners, [1]);
+  });
+});
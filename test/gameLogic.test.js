@@ -0,0 +1,88 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createDeck,
+  createSeededRng,
+  shuffleDeck,
+  generateShuffleSeed,
+  hashShuffleSeed,
+  replayDeal,
+  initializeGameState,
+  canonicalSerialize,
+  calculateStateHash
+} = require('../models/gameLogic');
+
+const cardKey = (card) => `${card.rank}-${card.suit}`;
+const draws = (rng, n) => Array.from({ length: n }, () => rng());
+
+describe('canonicalSerialize', () => {
+  it('sorts keys at every depth, so field order never changes the hash', () => {
+    const a = { turn: 1, players: [{ username: 'ann', score: 3 }], rules: { hintsPerHand: 2, stake: 5 } };
+    const b = { rules: { stake: 5, hintsPerHand: 2 }, players: [{ score: 3, username: 'ann' }], turn: 1 };
+    assert.equal(canonicalSerialize(a), canonicalSerialize(b));
+    assert.equal(calculateStateHash(a), calculateStateHash(b));
+    assert.match(calculateStateHash(a), /^[0-9a-f]{64}$/);
+  });
+
+  it('drops undefined fields and serialises as JSON does', () => {
+    assert.equal(canonicalSerialize({ b: [1, undefined], a: undefined, c: null, d: new Date(0) }), '{"b":[1,null],"c":null,"d":"1970-01-01T00:00:00.000Z"}');
+    assert.equal(calculateStateHash({ a: 1, b: undefined }), calculateStateHash({ a: 1 }));
+  });
+
+  it('tells apart states that differ in a value or in array order', () => {
+    assert.notEqual(calculateStateHash({ hand: [1, 2] }), calculateStateHash({ hand: [2, 1] }));
+    assert.notEqual(calculateStateHash({ turn: 1 }), calculateStateHash({ turn: '1' }));
+  });
+});
+
+describe('createSeededRng', () => {
+  it('yields the same sequence for the same seed and another for a different seed', () => {
+    assert.deepEqual(draws(createSeededRng('abc'), 20), draws(createSeededRng('abc'), 20));
+    assert.notDeepEqual(draws(createSeededRng('abc'), 20), draws(createSeededRng('abd'), 20));
+  });
+
+  it('stays in [0, 1) across hash blocks', () => {
+    draws(createSeededRng('range'), 100).forEach(x => assert.ok(x >= 0 && x < 1));
+  });
+});
+
+describe('shuffleDeck', () => {
+  it('permutes the 40-card deck without losing or copying a card', () => {
+    const deck = createDeck();
+    const shuffled = shuffleDeck(deck, createSeededRng('perm'));
+    assert.equal(shuffled.length, 40);
+    assert.deepEqual(shuffled.map(cardKey).sort(), deck.map(cardKey).sort());
+    assert.notDeepEqual(shuffled, deck);
+  });
+});
+
+describe('commit-reveal seeds', () => {
+  it('publishes a sha256 of a fresh random seed', () => {
+    const seed = generateShuffleSeed();
+    assert.match(seed, /^[0-9a-f]{64}$/);
+    assert.notEqual(generateShuffleSeed(), seed);
+    assert.match(hashShuffleSeed(seed), /^[0-9a-f]{64}$/);
+    assert.equal(hashShuffleSeed(seed), hashShuffleSeed(seed));
+  });
+});
+
+describe('replayDeal', () => {
+  before(() => mock.method(console, 'log', () => {})); // initializeGameState narrates every deal
+  after(() => mock.restoreAll());
+
+  it('reproduces the deal initializeGameState made from the same seed', () => {
+    const table = { _id: 't', stake: 5, players: ['a', 'b', 'c'].map(username => ({ username, isHuman: true })) };
+    initializeGameState(table, { shuffleSeed: 'deal-seed' });
+    const { deck, hands } = replayDeal('deal-seed', 3, [0, 1, 2]);
+    assert.deepEqual(hands, table.gameState.playerHands);
+    assert.deepEqual(deck, table.gameState.deck);
+    assert.equal(table.gameState.fairness.seedHash, hashShuffleSeed('deal-seed'));
+  });
+
+  it('deals only the given seats, and tie-break rounds from their own shuffle', () => {
+    const round = replayDeal('deal-seed', 3, [0, 2], 1);
+    assert.equal(round.hands[1].length, 0);
+    assert.equal(round.hands[0].length, 5);
+    assert.notDeepEqual(round.hands[0], replayDeal('deal-seed', 3, [0, 2], 0).hands[0]);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const gameRoutes = require('../routes/gameRoutes');
+const { SHUFFLE_ALGORITHM, hashShuffleSeed, replayDeal } = require('../models/gameLogic');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const GAME_ID = new mongoose.Types.ObjectId().toString();
+const USERS = {
+  ann: { _id: 'u-ann', username: 'ann', isAdmin: false },
+  eve: { _id: 'u-eve', username: 'eve', isAdmin: false },
+  staff: { _id: 'u-staff', username: 'staff', isAdmin: true }
+};
+const GAME = {
+  _id: GAME_ID,
+  players: [{ username: 'ann', isHuman: true, position: 0 }, { username: 'bot', isHuman: false, position: 1 }],
+  fairness: null,
+  logs: []
+};
+
+const tokenFor = (name) => `Bearer ${jwt.sign({ userId: USERS[name]._id }, process.env.JWT_SECRET)}`;
+
+let server;
+let baseUrl;
+
+const get = (path, name) => fetch(`${baseUrl}${path}`, { headers: name ? { Authorization: tokenFor(name) } : {} });
+
+before(async () => {
+  const app = express();
+  app.use('/games', gameRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('GET /games/:id/replay', () => {
+  afterEach(() => mock.restoreAll());
+
+  const stubLookups = () => {
+    mock.method(User, 'findById', (id) => ({ select: async () => Object.values(USERS).find(u => u._id === id) || null }));
+    return mock.method(Game, 'findById', async (id) => (id === GAME_ID ? GAME : null));
+  };
+
+  it('needs a login', async () => {
+    assert.equal((await get(`/games/${GAME_ID}/replay`)).status, 401);
+  });
+
+  it('answers a malformed ID with 400 without looking it up', async () => {
+    const findGame = stubLookups();
+    const res = await get('/games/not-an-id/replay', 'ann');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'Invalid game ID');
+    assert.equal(findGame.mock.callCount(), 0);
+  });
+
+  it('answers an unknown game with 404', async () => {
+    stubLookups();
+    assert.equal((await get(`/games/${new mongoose.Types.ObjectId()}/replay`, 'ann')).status, 404);
+  });
+
+  it('only shows the hand to its human players and admins', async () => {
+    stubLookups();
+    assert.equal((await get(`/games/${GAME_ID}/replay`, 'eve')).status, 403);
+    // Past the access check, this hand has no revealed seed to replay from
+    assert.equal((await get(`/games/${GAME_ID}/replay`, 'ann')).status, 404);
+    assert.equal((await get(`/games/${GAME_ID}/replay`, 'staff')).status, 404);
+  });
+});
+
+describe('GET /games/:id/fairness', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('answers a malformed ID with 400, like the replay', async () => {
+    const findGame = mock.method(Game, 'findById', async () => GAME);
+    assert.equal((await get('/games/12345/fairness', 'ann')).status, 400);
+    assert.equal(findGame.mock.callCount(), 0);
+  });
+
+  it('proves the deal of a revealed seed to a player of the hand', async () => {
+    const seed = 'fairness-route-seed';
+    mock.method(User, 'findById', (id) => ({ select: async () => Object.values(USERS).find(u => u._id === id) || null }));
+    mock.method(Game, 'findById', async () => ({
+      ...GAME,
+      fairness: { algorithm: SHUFFLE_ALGORITHM, seed, seedHash: hashShuffleSeed(seed), deals: [{ round: 0, seats: [0, 1] }] }
+    }));
+
+    const res = await get(`/games/${GAME_ID}/fairness`, 'ann');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.seedVerified, true);
+    assert.deepEqual(body.deals[0].hands.map(h => h.hand), replayDeal(seed, 2, [0, 1]).hands);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPlayerView, getSpectatorView, getTableView, getTablePlayersView, getDeltaView, getViewHash, recordStateDelta, emitAiStep } = require('../models/gameSync');
+const { calculateStateHash } = require('../models/gameLogic');
+const stateDeltaService = require('../utils/stateDeltaService');
+
+const card = (rank, suit) => ({ rank, suit });
+
+// A two-seat hand in progress: a human at seat 0 and an AI at seat 1
+const makeState = (overrides = {}) => ({
+  players: [
+    { username: 'alice', isHuman: true, socketId: 'socket-a' },
+    { username: 'bot', isHuman: false, aiParams: { riskTolerance: 0.4 } }
+  ],
+  playerHands: [
+    [card('2', 'hearts'), card('3', 'hearts')],
+    [card('K', 'clubs'), card('Q', 'spades'), card('J', 'diamonds')]
+  ],
+  playerSpreads: [[], []],
+  deck: [card('5', 'spades'), card('6', 'clubs')],
+  discardPile: [card('9', 'clubs'), card('ace', 'diamonds')],
+  hints: [{ playerIndex: 0, action: 'DRAW_CARD' }, { playerIndex: 1, action: 'DISCARD' }],
+  eventLog: [{ seq: 0, type: 'deal' }],
+  currentTurn: 0,
+  gameOver: false,
+  ...overrides
+});
+
+describe('getPlayerView', () => {
+  it('shows the viewer their own hand and only card counts for the others', () => {
+    const view = getPlayerView(makeState(), 'alice');
+    assert.equal(view.viewerIndex, 0);
+    assert.deepEqual(view.playerHands[0], makeState().playerHands[0]);
+    assert.ok(view.playerHands[1].every(c => c.rank === 'hidden'));
+    assert.deepEqual(view.handCounts, [2, 3]);
+  });
+
+  it('hides the stock, the buried discards and the event log', () => {
+    const view = getPlayerView(makeState(), 'alice');
+    assert.deepEqual(view.deck, []);
+    assert.equal(view.deckCount, 2);
+    assert.deepEqual(view.discardPile, [card('ace', 'diamonds')]);
+    assert.equal(view.discardCount, 2);
+    assert.equal(view.eventLog, undefined);
+  });
+
+  it('keeps socket ids and AI tuning off the seats', () => {
+    const view = getPlayerView(makeState(), 'alice');
+    view.players.forEach(seat => {
+      assert.equal('socketId' in seat, false);
+      assert.equal('aiParams' in seat, false);
+    });
+    assert.equal(view.players[0].username, 'alice');
+  });
+
+  it("shows only the viewer's own hints", () => {
+    assert.deepEqual(getPlayerView(makeState(), 'alice').hints, [{ playerIndex: 0, action: 'DRAW_CARD' }]);
+    assert.deepEqual(getSpectatorView(makeState()).hints, []);
+  });
+
+  it('gives anyone not seated the spectator view', () => {
+    const view = getPlayerView(makeState(), 'mallory');
+    assert.equal(view.viewerIndex, -1);
+    assert.equal(view.spectatorMode, true);
+    assert.ok(view.playerHands.flat().every(c => c.rank === 'hidden'));
+  });
+
+  it('shows every hand once the hand is over', () => {
+    const view = getSpectatorView(makeState({ gameOver: true }));
+    assert.deepEqual(view.playerHands, makeState().playerHands);
+  });
+});
+
+describe('getTableView', () => {
+  const table = () => ({
+    _id: 't1',
+    shuffleSeed: 'secret',
+    players: [{ username: 'alice', socketId: 'socket-a' }],
+    spectators: [{ username: 'carol', socketId: 'socket-c' }],
+    readyPlayers: ['alice'],
+    gameState: makeState()
+  });
+
+  it('drops the shuffle seed and socket ids and projects the game state', () => {
+    const view = getTableView(table(), 'alice');
+    assert.equal(view.shuffleSeed, undefined);
+    assert.deepEqual(view.players, [{ username: 'alice' }]);
+    assert.deepEqual(view.spectators, [{ username: 'carol' }]);
+    assert.equal(view.gameState.viewerIndex, 0);
+    assert.deepEqual(view.gameState.deck, []);
+  });
+
+  it('sends table_players_update without socket ids', () => {
+    assert.deepEqual(getTablePlayersView(table()), {
+      players: [{ username: 'alice' }],
+      spectators: [{ username: 'carol' }],
+      readyPlayers: ['alice']
+    });
+  });
+});
+
+describe('emitAiStep', () => {
+  // A bare emitter: no room registry, so the room is addressed as a whole
+  const recordingIo = () => {
+    const emitted = [];
+    return { emitted, to: () => ({ emit: (event, payload) => emitted.push({ event, payload }) }) };
+  };
+
+  it('sends ai_action and its state_delta with the version the step produced', () => {
+    const io = recordingIo();
+    const previous = makeState({ stateVersion: 4 });
+    const table = { _id: 'ai-step-table', stateVersion: 4, gameState: previous };
+    const next = { ...makeState({ stateVersion: 4 }), currentTurn: 1 };
+
+    emitAiStep(io, table, previous, { playerIndex: 0, action: 'DRAW_CARD', payload: {}, events: [], state: next });
+
+    const [action, delta] = io.emitted;
+    assert.deepEqual(io.emitted.map(e => e.event), ['ai_action', 'state_delta']);
+    assert.equal(table.stateVersion, 5);
+    assert.equal(next.stateVersion, 5);
+    assert.equal(action.payload.stateVersion, 5);
+    assert.equal(delta.payload.version, 5);
+    stateDeltaService.clearTable(table._id);
+  });
+});
+
+describe('recordStateDelta', () => {
+  it("sends a new hint only to its owner, and the delta brings them to the new view's hash", () => {
+    const previous = makeState({ stateVersion: 2 });
+    const table = { _id: 'hint-delta-table', stateVersion: 2, gameState: previous };
+    const next = { ...previous, hints: [...previous.hints, { playerIndex: 0, action: 'DISCARD' }] };
+
+    const entry = recordStateDelta(table, previous, next, { action: 'HINT', actor: 'alice' });
+    const own = getDeltaView(entry, 0);
+    assert.equal(own.version, 3);
+    assert.deepEqual(own.privateDelta.hints, getPlayerView(next, 'alice').hints);
+    assert.equal(getDeltaView(entry, 1).privateDelta, undefined);
+    assert.equal(getDeltaView(entry, -1).privateDelta, undefined);
+
+    // Applied as a client would, onto the view it held before
+    const applied = { ...getPlayerView(previous, 'alice'), ...own.publicDelta, ...own.privateDelta };
+    assert.equal(calculateStateHash(applied), getViewHash(next, 0));
+    stateDeltaService.clearTable(table._id);
+  });
+
+  it('publishes the autopilot flag to every viewer, but not a new socket id', () => {
+    const previous = makeState();
+    const table = { _id: 'autopilot-delta-table', stateVersion: 0, gameState: previous };
+    const next = { ...previous, players: [{ ...previous.players[0], autopilot: true, socketId: 'socket-b' }, previous.players[1]] };
+
+    const entry = recordStateDelta(table, previous, next, { action: 'AUTOPILOT_ENGAGED', actor: 'alice' });
+    assert.equal(entry.publicDelta.players[0].autopilot, true);
+    assert.equal('socketId' in entry.publicDelta.players[0], false);
+    assert.deepEqual(Object.keys(entry.publicDelta).sort(), ['players', 'stateVersion']);
+    stateDeltaService.clearTable(table._id);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { initializeGameState, recordHandAction, forfeitHand } = require('../models/gameLogic');
+const { processGameAction } = require('../models/gameEngine');
+const { replayHand } = require('../models/handReplay');
+const { reconcileView } = require('../models/gameSync');
+const { Table } = require('../models/Table');
+
+const SEED = 'replay-test-seed';
+
+// Deal a two-seat hand from SEED and play the given actions, logging each as the server does
+const playLoggedHand = (actions) => {
+  const table = { _id: 'replay-table', name: 'Replay', stake: 10, players: [{ username: 'ann', isHuman: true }, { username: 'ben', isHuman: true }] };
+  initializeGameState(table, { shuffleSeed: SEED });
+  return actions.reduce((state, [action, payload]) => {
+    const playerIndex = state.currentTurn;
+    const result = processGameAction(state, action, payload, { shuffleSeed: SEED });
+    assert.ok(result.ok, `${action} rejected: ${result.error?.code}`);
+    return recordHandAction(result.state, { source: 'player', playerIndex, action, payload });
+  }, table.gameState);
+};
+
+const TWO_TURNS = [['DRAW_CARD'], ['DISCARD', { cardIndex: 0 }], ['DRAW_CARD'], ['DISCARD', { cardIndex: 0 }]];
+
+describe('replayHand', () => {
+  before(() => mock.method(console, 'log', () => {})); // initializeGameState narrates every deal
+  after(() => mock.restoreAll());
+
+  it('re-deals from the seed and reproduces every logged action', () => {
+    const state = playLoggedHand(TWO_TURNS);
+    const { steps, verified } = replayHand(SEED, state.eventLog);
+    assert.equal(verified, true);
+    assert.deepEqual(steps.map(step => step.type), ['deal', 'action', 'action', 'action', 'action']);
+    assert.deepEqual(steps.at(-1).state.playerHands, state.playerHands);
+    assert.deepEqual(steps.at(-1).state.discardPile, state.discardPile);
+  });
+
+  it('replays a hand ended by a forfeit', () => {
+    const state = forfeitHand(playLoggedHand(TWO_TURNS.slice(0, 2)), {
+      username: 'ann', winners: [1], winType: 'FORFEIT_WIN', message: 'ann left the table'
+    });
+    const { steps, verified } = replayHand(SEED, state.eventLog);
+    assert.equal(verified, true);
+    assert.equal(steps.at(-1).type, 'forfeit');
+    assert.equal(steps.at(-1).state.gameOver, true);
+    assert.deepEqual(steps.at(-1).state.winners, [1]);
+  });
+
+  it('fails verification with the wrong seed or a tampered log', () => {
+    const state = playLoggedHand(TWO_TURNS);
+    assert.equal(replayHand('another-seed', state.eventLog).verified, false);
+
+    const tampered = structuredClone(state.eventLog);
+    tampered[2].payload = { cardIndex: 1 };
+    assert.equal(replayHand(SEED, tampered).verified, false);
+  });
+
+  it('does not verify a log without its deal', () => {
+    const state = playLoggedHand(TWO_TURNS);
+    assert.equal(replayHand(SEED, state.eventLog.slice(1)).verified, false);
+  });
+});
+
+describe('reconcileView', () => {
+  after(() => mock.restoreAll());
+
+  it('logs the reconciliation only onto the log as loaded and bumps the state revision', async () => {
+    mock.method(console, 'log', () => {});
+    const updateOne = mock.method(Table, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const gameState = playLoggedHand(TWO_TURNS.slice(0, 1));
+
+    await reconcileView(null, { _id: 'replay-table', gameState }, { viewerIndex: 0, clientHash: 'stale', clientVersion: 1, via: 'rest' });
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter['gameState.eventLog'], { $size: gameState.eventLog.length });
+    assert.equal(update.$push['gameState.eventLog'].type, 'reconciliation');
+    assert.deepEqual(update.$inc, { stateRevision: 1 });
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Table } = require('../models/Table');
+const { TURN_PHASES } = require('../models/gameLogic');
+const { getHint } = require('../models/hintAdvisor');
+const hintService = require('../utils/hintService');
+const stateDeltaService = require('../utils/stateDeltaService');
+
+const card = (rank, suit) => ({ rank, suit });
+
+// Seat 0 on its first turn holding the given cards, against a 41-point hand
+const makeState = (hand, overrides = {}) => ({
+  players: [0, 1].map(i => ({ username: `p${i}`, isHuman: true, turnsTaken: 0, hitCount: 0, hitPenaltyRounds: 0 })),
+  playerHands: [hand, [card('7', 'clubs'), card('7', 'diamonds'), card('7', 'spades'), card('Q', 'hearts'), card('J', 'diamonds')]],
+  playerSpreads: [[], []],
+  deck: [card('5', 'spades'), card('6', 'clubs'), card('2', 'diamonds')],
+  discardPile: [card('K', 'hearts')],
+  currentTurn: 0,
+  turnPhase: TURN_PHASES.DRAW,
+  hasDrawnCard: false,
+  gameOver: false,
+  winners: [],
+  hints: [],
+  handNumber: 1,
+  rules: { invalidDeclarationOutcome: 'reject', hintsPerHand: 3 },
+  ...overrides
+});
+
+describe('hintsAllowed', () => {
+  it('offers hints on practice and unrated zero-stake tables', () => {
+    assert.equal(hintService.hintsAllowed({ mode: 'practice', stake: 1 }), true);
+    assert.equal(hintService.hintsAllowed({ mode: 'staked', stake: 0 }), true);
+  });
+
+  it('withholds hints where chips or rating are at stake', () => {
+    assert.equal(hintService.hintsAllowed({ mode: 'staked', stake: 10 }), false);
+    assert.equal(hintService.hintsAllowed({ mode: 'quick_play', stake: 0 }), false);
+  });
+});
+
+describe('requestHint', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a hint at a Quick Play table without touching the hand', async () => {
+    const table = { _id: 't1', mode: 'quick_play', stake: 0, gameState: makeState([card('ace', 'hearts')]) };
+    mock.method(Table, 'findById', async () => table);
+    const update = mock.method(Table, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await hintService.requestHint(null, 't1', 'p0');
+    assert.equal(result.success, false);
+    assert.equal(result.code, 'HINTS_DISABLED');
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('counts hints against the per-hand limit', async () => {
+    const state = makeState([card('ace', 'hearts')], { rules: { hintsPerHand: 1 }, hints: [{ username: 'p0' }] });
+    mock.method(Table, 'findById', async () => ({ _id: 't1', mode: 'practice', stake: 0, gameState: state }));
+
+    assert.equal((await hintService.requestHint(null, 't1', 'p0')).code, 'HINT_LIMIT_REACHED');
+  });
+});
+
+describe('requestHint deltas', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    stateDeltaService.clearTable('t1');
+  });
+
+  // Both seats in the table's room, each on its own socket
+  const recordingIo = () => {
+    const emitted = [];
+    return {
+      emitted,
+      sockets: { adapter: { rooms: new Map([['t1', new Set(['socket-0', 'socket-1'])]]) } },
+      to: (target) => ({ emit: (event, payload) => emitted.push({ target, event, payload }) })
+    };
+  };
+  const seated = (state) => ({ ...state, players: state.players.map((p, i) => ({ ...p, socketId: `socket-${i}` })) });
+
+  it('pushes the hint onto the version as loaded and sends it to its owner as a state delta', async () => {
+    mock.method(console, 'log', () => {});
+    const table = { _id: 't1', mode: 'practice', stake: 0, stateVersion: 6, gameState: seated(makeState([card('ace', 'hearts')], { stateVersion: 6 })) };
+    mock.method(Table, 'findById', async () => table);
+    const update = mock.method(Table, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const io = recordingIo();
+
+    assert.equal((await hintService.requestHint(io, 't1', 'p0')).success, true);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter.stateVersion, 6);
+    assert.deepEqual(change.$set, { stateVersion: 7, 'gameState.stateVersion': 7 });
+
+    const [owner, other] = io.emitted;
+    assert.deepEqual(io.emitted.map(e => [e.target, e.event]), [['socket-0', 'state_delta'], ['socket-1', 'state_delta']]);
+    assert.equal(owner.payload.version, 7);
+    assert.equal(owner.payload.action, 'HINT');
+    assert.deepEqual(owner.payload.privateDelta.hints.map(h => h.username), ['p0']);
+    assert.equal(other.payload.privateDelta, undefined);
+    assert.deepEqual(stateDeltaService.since('t1', 6, 7).map(d => d.version), [7]);
+  });
+
+  it('drops the recorded delta when the hand moved on first', async () => {
+    const table = { _id: 't1', mode: 'practice', stake: 0, stateVersion: 6, gameState: makeState([card('ace', 'hearts')]) };
+    mock.method(Table, 'findById', async () => table);
+    mock.method(Table, 'updateOne', async () => ({ modifiedCount: 0 }));
+    const io = recordingIo();
+
+    assert.equal((await hintService.requestHint(io, 't1', 'p0')).code, 'STATE_CONFLICT');
+    assert.equal(io.emitted.length, 0);
+    assert.equal(stateDeltaService.since('t1', 6, 7), null);
+  });
+});
+
+describe('getHint', () => {
+  it('explains a triple-stake declaration by the qualifying score', () => {
+    const hint = getHint(makeState([card('ace', 'hearts'), card('3', 'clubs'), card('7', 'spades')]), 0);
+    assert.equal(hint.action, 'DECLARE_SPECIAL_WIN');
+    assert.match(hint.reason, /11 points, 11 or under on your first turn/);
+  });
+
+  it('never suggests declaring a hand that does not qualify where the table rejects it', () => {
+    const hint = getHint(makeState([card('7', 'hearts'), card('7', 'clubs'), card('K', 'spades')]), 0);
+    assert.notEqual(hint.action, 'DECLARE_SPECIAL_WIN');
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PAYOUT_SCHEDULE, resolvePayoutSchedule, calculatePayout, calculateDropPenalties } = require('../utils/payoutSchedule');
+const { calculateStakeWinnings } = require('../models/StakeManager');
+
+const WIN_TYPES = Object.keys(DEFAULT_PAYOUT_SCHEDULE.multipliers);
+
+describe('calculatePayout', () => {
+  it('charges each loser the README stakes: double for a Reem or a 50, triple for the milestone', () => {
+    const losses = Object.fromEntries(WIN_TYPES.map(type => [type, calculatePayout(DEFAULT_PAYOUT_SCHEDULE, type, 10, 4, 1).lossPerLoser]));
+    assert.deepEqual(losses, {
+      REGULAR_WIN: 10,
+      STOCK_EMPTY: 10,
+      DROP_WIN: 10,
+      DROP_CAUGHT: 10,
+      FORFEIT_WIN: 10,
+      REEM: 20,
+      IMMEDIATE_50_WIN: 20,
+      SPECIAL_WIN: 30
+    });
+  });
+
+  it('pays a single winner their own stake plus every loser\'s', () => {
+    assert.deepEqual(calculatePayout(DEFAULT_PAYOUT_SCHEDULE, 'SPECIAL_WIN', 10, 3, 1), {
+      pot: 70,
+      rake: 0,
+      multiplier: 3,
+      lossPerLoser: 30,
+      payoutPerWinner: 70
+    });
+    assert.equal(calculateStakeWinnings('REEM', 10, 3), 40);
+  });
+
+  it('never pays out more than the pot less rake, for any win type, table size or split', () => {
+    const schedules = [DEFAULT_PAYOUT_SCHEDULE, resolvePayoutSchedule({ stake: 10, payoutSchedule: { rakePercent: 5, multipliers: { REEM: 4 } } })];
+    schedules.forEach(schedule => WIN_TYPES.forEach(winType => [2, 3, 4].forEach(players => {
+      for (let winners = 0; winners <= players; winners++) {
+        const share = calculatePayout(schedule, winType, 10, players, winners);
+        const paidIn = 10 * winners + share.lossPerLoser * (players - winners);
+        assert.equal(share.pot, paidIn, `${winType} ${winners}/${players}`);
+        assert.ok(share.payoutPerWinner * winners <= share.pot - share.rake + 1e-9, `${winType} ${winners}/${players}`);
+      }
+    })));
+  });
+
+  it('takes rake only from pots of at least the minimum', () => {
+    const schedule = resolvePayoutSchedule({ stake: 10, payoutSchedule: { rakePercent: 10, minimumPot: 30 } });
+    assert.equal(calculatePayout(schedule, 'DROP_WIN', 10, 2, 1).rake, 0);
+    const share = calculatePayout(schedule, 'DROP_WIN', 10, 3, 1);
+    assert.equal(share.rake, 3);
+    assert.equal(share.payoutPerWinner, 27);
+  });
+
+  it('splits the pot evenly between tied winners', () => {
+    assert.equal(calculatePayout(DEFAULT_PAYOUT_SCHEDULE, 'STOCK_EMPTY', 10, 4, 2).payoutPerWinner, 20);
+  });
+});
+
+describe('resolvePayoutSchedule', () => {
+  it('layers table overrides on the defaults without dropping other win types', () => {
+    const schedule = resolvePayoutSchedule({ stake: 5, payoutSchedule: { multipliers: new Map([['REEM', 4]]), rakePercent: 2 } });
+    assert.equal(schedule.multipliers.REEM, 4);
+    assert.equal(schedule.multipliers.SPECIAL_WIN, 3);
+    assert.equal(schedule.rakePercent, 2);
+  });
+});
+
+describe('calculateDropPenalties', () => {
+  it('has a caught dropper pay a stake to every lower scorer', () => {
+    const state = { winType: 'DROP_CAUGHT', dropped: 0, roundScores: [20, 12, 25, 8] };
+    assert.deepEqual(calculateDropPenalties(state, 10), [
+      { from: 0, to: 1, amount: 10 },
+      { from: 0, to: 3, amount: 10 }
+    ]);
+  });
+
+  it('charges a caught drop that led to a tie-break, skipping seats that sat it out', () => {
+    const state = {
+      winType: 'STOCK_EMPTY',
+      roundScores: [null, 9, 14],
+      tieBreak: { history: [{ winType: 'DROP_CAUGHT', dropped: 2, roundScores: [15, 15, 22] }] }
+    };
+    assert.deepEqual(calculateDropPenalties(state, 5), [
+      { from: 2, to: 0, amount: 5 },
+      { from: 2, to: 1, amount: 5 }
+    ]);
+  });
+
+  it('charges nothing for a drop that wins', () => {
+    assert.deepEqual(calculateDropPenalties({ winType: 'DROP_WIN', dropped: 0, roundScores: [5, 12] }, 10), []);
+  });
+});
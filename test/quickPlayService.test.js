@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const quickPlayService = require('../utils/quickPlayService');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('quickPlayService.ratingChanges', () => {
+  it('moves equal ratings by half the K-factor heads-up, zero-sum', () => {
+    assert.deepEqual(quickPlayService.ratingChanges([1200, 1200], [0, 1]), [16, -16]);
+    assert.deepEqual(quickPlayService.ratingChanges([1200, 1200], [0, 0]), [0, 0]);
+  });
+
+  it('pays more for beating a stronger seat than a weaker one', () => {
+    const [upset] = quickPlayService.ratingChanges([1000, 1400], [0, 1]);
+    const [expected] = quickPlayService.ratingChanges([1400, 1000], [0, 1]);
+    assert.equal(upset, 29);
+    assert.equal(expected, 3);
+  });
+
+  it('splits the K-factor over the opponents in a four-seat hand', () => {
+    const changes = quickPlayService.ratingChanges([1200, 1200, 1200, 1200], [0, 1, 2, 3]);
+    assert.deepEqual(changes, [16, 5, -5, -16]);
+    assert.equal(sum(changes), 0);
+  });
+
+  it('leaves a lone seat unrated', () => {
+    assert.deepEqual(quickPlayService.ratingChanges([1200], [0]), [0]);
+  });
+});
+
+describe('quickPlayService.placesFor', () => {
+  it('ranks the winners first and everyone else by main-hand score, sharing ties', () => {
+    const gameState = { players: [{}, {}, {}, {}], winners: [2], roundScores: [30, 12, 0, 12] };
+    assert.deepEqual(quickPlayService.placesFor(gameState), [3, 1, 0, 1]);
+  });
+});
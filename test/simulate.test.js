@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { settleHand } = require('../scripts/simulate');
+
+const seats = (n) => Array.from({ length: n }, (_, i) => ({ username: `ai-${i}`, isHuman: false }));
+
+describe('settleHand', () => {
+  it('charges a caught dropper a stake per lower scorer on top of the lost pot', () => {
+    const state = { players: seats(3), winners: [1], winType: 'DROP_CAUGHT', dropped: 0, roundScores: [20, 6, 12] };
+    const { nets, penalties } = settleHand(state, 10);
+    assert.equal(penalties.length, 2);
+    assert.deepEqual(nets, [-30, 30, 0]);
+  });
+
+  it('balances to the rake: what the seats win between them, the house pays', () => {
+    const state = {
+      players: seats(4),
+      winners: [2],
+      winType: 'SPECIAL_WIN',
+      roundScores: [30, 25, 9, 40],
+      payoutSchedule: { multipliers: { SPECIAL_WIN: 3 }, defaultMultiplier: 1, rakePercent: 10, minimumPot: 0 }
+    };
+    // Three losers pay 30 each into a pot of 100; the winner takes 90 after rake, 80 up on their stake
+    const { nets, share } = settleHand(state, 10);
+    assert.equal(share.rake, 10);
+    assert.deepEqual(nets, [-30, -30, 80, -30]);
+    assert.equal(nets.reduce((sum, net) => sum + net, 0), -share.rake);
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const stateDeltaService = require('../utils/stateDeltaService');
+
+const TABLE = 'delta-table';
+const delta = (version) => ({ version, action: 'DRAW_CARD', publicDelta: {}, hands: {} });
+
+describe('stateDeltaService.since', () => {
+  beforeEach(() => stateDeltaService.clearTable(TABLE));
+
+  it('returns the deltas a client needs to catch up, in order', () => {
+    [1, 2, 3, 4].forEach(v => stateDeltaService.record(TABLE, delta(v)));
+    assert.deepEqual(stateDeltaService.since(TABLE, 2, 4).map(d => d.version), [3, 4]);
+    assert.deepEqual(stateDeltaService.since(TABLE, 4, 4), []);
+  });
+
+  it('needs a snapshot when the buffer cannot bridge the gap', () => {
+    [3, 4].forEach(v => stateDeltaService.record(TABLE, delta(v)));
+    assert.equal(stateDeltaService.since(TABLE, 1, 4), null); // Version 2 is gone
+    assert.equal(stateDeltaService.since(TABLE, 3, 5), null); // Behind the table's version
+    assert.equal(stateDeltaService.since(TABLE, 6, 4), null); // Ahead of it
+    assert.equal(stateDeltaService.since(TABLE, undefined, 4), null);
+  });
+
+  it('keeps only the most recent deltas', () => {
+    for (let v = 1; v <= 70; v++) stateDeltaService.record(TABLE, delta(v));
+    assert.equal(stateDeltaService.since(TABLE, 0, 70), null);
+    assert.equal(stateDeltaService.since(TABLE, 6, 70).length, 64);
+  });
+});
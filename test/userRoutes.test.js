@@ -0,0 +1,87 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const userRoutes = require('../routes/userRoutes');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const GAME_ID = new mongoose.Types.ObjectId().toString();
+const USERS = {
+  ann: { _id: 'u-ann', username: 'ann', isAdmin: false },
+  eve: { _id: 'u-eve', username: 'eve', isAdmin: false },
+  staff: { _id: 'u-staff', username: 'staff', isAdmin: true }
+};
+// A hand ann played, logged down to its deal
+const GAME = {
+  _id: GAME_ID,
+  stake: 5,
+  players: [{ username: 'ann', isHuman: true }, { username: 'bot', isHuman: false }],
+  logs: [{ metadata: { seq: 0, type: 'deal', tableName: 'Table A', state: { players: [{ username: 'ann', isHuman: true }, { username: 'bot', isHuman: false, difficulty: 'easy' }] } } }],
+  winners: [],
+  roundScores: [],
+  ledger: [],
+  ratings: []
+};
+
+const tokenFor = (name) => `Bearer ${jwt.sign({ userId: USERS[name]._id }, process.env.JWT_SECRET)}`;
+
+let server;
+let baseUrl;
+
+const exportHand = (username, gameId, name) => fetch(`${baseUrl}/users/${username}/hands/${gameId}/export`, {
+  headers: name ? { Authorization: tokenFor(name) } : {}
+});
+
+before(async () => {
+  const app = express();
+  app.use('/users', userRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('GET /users/:username/hands/:gameId/export', () => {
+  afterEach(() => mock.restoreAll());
+
+  const stubLookups = () => {
+    mock.method(User, 'findById', (id) => ({ select: async () => Object.values(USERS).find(u => u._id === id) || null }));
+    return mock.method(Game, 'findById', async (id) => (id === GAME_ID ? GAME : null));
+  };
+
+  it('needs a login', async () => {
+    assert.equal((await exportHand('ann', GAME_ID)).status, 401);
+  });
+
+  it('answers a malformed game ID with 400 without looking it up', async () => {
+    const findGame = stubLookups();
+    const res = await exportHand('ann', 'not-an-id', 'ann');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'Invalid game ID');
+    assert.equal(findGame.mock.callCount(), 0);
+  });
+
+  it("refuses another user's hands", async () => {
+    stubLookups();
+    assert.equal((await exportHand('ann', GAME_ID, 'eve')).status, 403);
+  });
+
+  it('exports the hand to its player and to admins', async () => {
+    stubLookups();
+    const res = await exportHand('ann', GAME_ID, 'ann');
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).hand.seats.map(s => s.username), ['ann', 'bot']);
+    assert.equal((await exportHand('ann', GAME_ID, 'staff')).status, 200);
+  });
+
+  it('answers 404 for a hand the user did not play', async () => {
+    stubLookups();
+    assert.equal((await exportHand('eve', GAME_ID, 'eve')).status, 404);
+    assert.equal((await exportHand('ann', new mongoose.Types.ObjectId().toString(), 'ann')).status, 404);
+  });
+});
@@ -0,0 +1,135 @@
+const { Table } = require('../models/Table');
+const { appendHandEvent } = require('../models/gameLogic');
+const { recordStateDelta, emitStateDelta } = require('../models/gameSync');
+const stateDeltaService = require('./stateDeltaService');
+
+// How long a disconnected player's seat waits for them before the autopilot takes over
+const AUTOPILOT_GRACE_MS = parseInt(process.env.AUTOPILOT_GRACE_MS, 10) || 30000;
+// Times a takeover is worked out again after losing to another write, as the turn clock does
+const ENGAGE_ATTEMPTS = 3;
+
+class AutopilotService {
+    constructor() {
+        this.io = null;
+        this.playTurn = null;
+        this.pendingTakeovers = new Map(); // `${tableId}:${username}` -> timeout
+    }
+
+    /**
+     * Wire up broadcasting and the AI turn runner (the same one used for AI seats)
+     * @param {Object} io - Socket.IO server
+     * @param {Function} playTurn - async (tableId) => plays the AI-controlled seat on turn
+     */
+    init(io, playTurn) {
+        this.io = io;
+        this.playTurn = playTurn;
+    }
+
+    /**
+     * Start the grace period for a player who dropped out of a hand in progress
+     * @param {string} tableId - Table ID
+     * @param {string} username - Disconnected player
+     */
+    scheduleTakeover(tableId, username) {
+        const key = `${tableId}:${username}`;
+        this.cancelTakeover(tableId, username);
+        this.pendingTakeovers.set(key, setTimeout(() => {
+            this.pendingTakeovers.delete(key);
+            this.engage(tableId.toString(), username).catch(error => {
+                console.error(`🚨 Autopilot takeover failed for ${username} at table ${tableId}:`, error);
+            });
+        }, AUTOPILOT_GRACE_MS));
+        console.log(`⏳ Autopilot will take over for ${username} at table ${tableId} in ${AUTOPILOT_GRACE_MS / 1000}s`);
+    }
+
+    /**
+     * Drop a pending takeover (the player came back or left for good)
+     */
+    cancelTakeover(tableId, username) {
+        const key = `${tableId}:${username}`;
+        if (this.pendingTakeovers.has(key)) {
+            clearTimeout(this.pendingTakeovers.get(key));
+            this.pendingTakeovers.delete(key);
+        }
+    }
+
+    /**
+     * Put a still-disconnected player's seat on autopilot, and play it at once if it is on turn
+     * @returns {Promise<boolean>} Whether the autopilot took over
+     */
+    async engage(tableId, username) {
+        for (let attempt = 1; attempt <= ENGAGE_ATTEMPTS; attempt++) {
+            const marked = await this.markAutopilot(tableId, username);
+            if (marked === false) return false;
+            if (!marked) {
+                console.log(`🔁 Autopilot takeover for ${username} at table ${tableId} lost to another write, retrying`);
+                continue;
+            }
+
+            console.log(`🛞 Autopilot engaged for ${username} at table ${tableId}`);
+            const { gameState } = marked.table;
+            if (this.io) {
+                this.io.to(tableId).emit('autopilot_engaged', { tableId, username, timestamp: Date.now() });
+                emitStateDelta(this.io, tableId, marked.delta, gameState);
+            }
+            if (gameState.players[gameState.currentTurn]?.username === username && this.playTurn) {
+                await this.playTurn(tableId);
+            }
+            return true;
+        }
+        console.error(`🚨 Autopilot takeover for ${username} at table ${tableId} gave up after ${ENGAGE_ATTEMPTS} attempts`);
+        return false;
+    }
+
+    // One attempt at flagging the seat, saved only onto the table as loaded. Resolves the saved
+    // table with its recorded delta, false when there is nothing to take over, or null when
+    // another write got in first.
+    async markAutopilot(tableId, username) {
+        const table = await Table.findById(tableId);
+        const seat = table?.players.find(p => p.username === username);
+        const gameState = table?.gameState;
+        if (!seat || seat.status !== 'disconnected' || !gameState?.gameStarted || gameState.gameOver) {
+            return false;
+        }
+
+        const playerIndex = gameState.players.findIndex(p => p.username === username);
+        if (playerIndex === -1 || gameState.players[playerIndex].autopilot) return false;
+
+        const next = appendHandEvent({
+            ...gameState,
+            players: gameState.players.map((p, i) => (i === playerIndex ? { ...p, autopilot: true } : p))
+        }, { type: 'autopilot_engaged', playerIndex, username });
+        const delta = recordStateDelta(table, gameState, next, { action: 'AUTOPILOT_ENGAGED', actor: username });
+        table.gameState = next; // Reassigned so Mongoose sees the Mixed path change
+        if (!(await table.saveIfCurrent())) {
+            stateDeltaService.clearTable(tableId); // The delta was never stored
+            return null;
+        }
+        return { table, delta };
+    }
+
+    /**
+     * Hand a reconnected player's seat back. Mutates the table and records the change as a
+     * state delta; the caller saves the table and emits the delta.
+     * @param {Object} table - Table document
+     * @param {string} username - Reconnected player
+     * @returns {?Object} The recorded delta, or null when the seat was not on autopilot
+     */
+    release(table, username) {
+        this.cancelTakeover(table._id.toString(), username);
+        const gameState = table.gameState;
+        const playerIndex = gameState?.players?.findIndex(p => p.username === username) ?? -1;
+        if (playerIndex === -1 || !gameState.players[playerIndex].autopilot) return null;
+
+        const next = appendHandEvent({
+            ...gameState,
+            players: gameState.players.map((p, i) => (i === playerIndex ? { ...p, autopilot: false } : p))
+        }, { type: 'autopilot_released', playerIndex, username });
+        const delta = recordStateDelta(table, gameState, next, { action: 'AUTOPILOT_RELEASED', actor: username });
+        table.gameState = next;
+        console.log(`🎮 Autopilot released, ${username} is back in control at table ${table._id}`);
+        return delta;
+    }
+}
+
+module.exports = new AutopilotService();
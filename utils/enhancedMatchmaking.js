@@ -1,5 +1,19 @@
 const { Table } = require('../models/Table');
-const { runAiTurn } = require('../models/AiPlayer');
+const { isAiControlled } = require('../models/AiPlayer');
+const { playAiTurn } = require('../routes/gameActions');
+const {
+  emitTurnStart,
+  emitTableTalk,
+  emitGameOver,
+  emitGameState,
+  getSpectatorView,
+  getTableView,
+  getTablePlayersView
+} = require('../models/gameSync');
+const personaService = require('./personaService');
+const practiceService = require('./practiceService');
+const quickPlayService = require('./quickPlayService');
+const settlementService = require('./settlementService');
 const User = require('../models/User'); // Import User model
 const {
   initializeQueues,
@@ -7,7 +21,9 @@ const {
   removeFromQueue,
   getQueues,
   setQueueLock,
-  isQueueLocked
+  isQueueLocked,
+  queueKeyFor,
+  QUICK_PLAY_QUEUE
 } = require('./smartQueueManager');
 
 /**
@@ -36,15 +52,18 @@ class EnhancedMatchmaking {
   async assignPlayersToTables() {
     try {
       // Only work with existing tables, sorted by stake and player count
-      const tables = await Table.find({}).sort({ stake: 1, 'players.length': 1 });
+      // Practice tables are private and never matched
+      const tables = await Table.find({ mode: { $ne: 'practice' } }).sort({ stake: 1, 'players.length': 1 });
 
       // ✅ Process each stake level separately to ensure proper queue handling
+      // (Quick Play tables form their own group, filled from the Quick Play queue)
       const stakeGroups = new Map();
       tables.forEach(table => {
-        if (!stakeGroups.has(table.stake)) {
-          stakeGroups.set(table.stake, []);
+        const queueKey = queueKeyFor(table);
+        if (!stakeGroups.has(queueKey)) {
+          stakeGroups.set(queueKey, []);
         }
-        stakeGroups.get(table.stake).push(table);
+        stakeGroups.get(queueKey).push(table);
       });
 
       // Process each stake level
@@ -78,7 +97,7 @@ class EnhancedMatchmaking {
       // Broadcast comprehensive lobby update
       const updatedTables = await Table.find();
       this.io.emit('tables_update', {
-        tables: updatedTables,
+        tables: updatedTables.map(t => getTableView(t)),
         timestamp: Date.now(),
         message: 'Tables updated'
       });
@@ -94,7 +113,7 @@ class EnhancedMatchmaking {
    */
   async processTableAssignment(table) {
     const queues = getQueues();
-    const queue = queues.get(table.stake) || [];
+    const queue = queues.get(queueKeyFor(table)) || [];
     let tableModified = false;
 
     const humanCount = table.players.filter(p => p.isHuman && p.status === 'active').length;
@@ -118,7 +137,7 @@ class EnhancedMatchmaking {
           await this.initiateGracefulTransition(table, player);
           // ✅ CRITICAL FIX: Remove player from queue after transition setup
           const queues = getQueues();
-          const stakeQueue = queues.get(table.stake) || [];
+          const stakeQueue = queues.get(queueKeyFor(table)) || [];
           const playerIndex = stakeQueue.findIndex(p => p.username === player.username);
           if (playerIndex !== -1) {
             stakeQueue.splice(playerIndex, 1);
@@ -286,8 +305,9 @@ class EnhancedMatchmaking {
       tableId: table._id,
       seat: table.players.length - 1,
       stake: table.stake,
+      mode: table.mode,
       playerCount: table.players.length,
-      message: `Joined $${table.stake} table`,
+      message: quickPlayService.isQuickPlay(table) ? 'Joined Quick Play table' : `Joined $${table.stake} table`,
       gameStatus: table.gameState ? 'in_progress' : 'waiting',
       canPlayImmediately: !table.gameState
     });
@@ -296,29 +316,19 @@ class EnhancedMatchmaking {
   }
 
   /**
-   * Add AI player with smart naming
+   * Add an AI player, played by a persona picked for this table and stake
    */
   async addAiPlayer(table) {
     const tableIdStr = table._id.toString();
-    const aiName = `AI Player ${tableIdStr.slice(-4)}`;
-    
-    table.players.push({
-      username: aiName,
-      chips: 1000000,
-      isHuman: false,
-      socketId: null,
-      joinedAt: new Date(),
-      status: 'active'
-    });
+    const persona = await personaService.pickPersona(table);
+    const seat = personaService.seatFor(persona, `AI Player ${tableIdStr.slice(-4)}`, 1000000);
+    table.players.push(seat);
 
-    console.log(`🤖 Added AI companion (${aiName}) to $${table.stake} table for immediate play`);
+    console.log(`🤖 Added AI companion (${seat.username}) to $${table.stake} table for immediate play`);
     
     // Broadcast updated player list immediately after adding AI
-    this.io.to(table._id).emit('table_players_update', {
-      players: table.players,
-      spectators: table.spectators || [],
-      readyPlayers: table.readyPlayers || []
-    });
+    this.io.to(table._id).emit('table_players_update', getTablePlayersView(table));
+    emitTableTalk(this.io, table._id, seat, 'greeting');
   }
 
   /**
@@ -340,12 +350,7 @@ class EnhancedMatchmaking {
     if (!gameState) return null;
 
     return {
-      ...gameState,
-      playerHands: gameState.playerHands.map(hand => 
-        hand.map(() => ({ rank: 'hidden', suit: 'hidden' }))
-      ), // Hide all hands for spectators
-      deck: [], // Hide deck
-      spectatorMode: true,
+      ...getSpectatorView(gameState), // Hide all hands and the deck for spectators
       message: 'Spectating current hand'
     };
   }
@@ -369,9 +374,7 @@ class EnhancedMatchmaking {
     
     // Update table players
     this.io.to(table._id).emit('table_players_update', {
-      players: table.players,
-      spectators: table.spectators || [],
-      readyPlayers: table.readyPlayers || [],
+      ...getTablePlayersView(table),
       stake: table.stake,
       status: table.status,
       pendingTransition: this.pendingTransitions.has(table._id.toString())
@@ -455,13 +458,20 @@ class EnhancedMatchmaking {
   async startNewHand(table) {
     console.log(`🎮 Starting new hand at table ${table._id}`);
     
-    const { initializeGameState } = require('../models/gameLogic');
+    const { initializeGameState, applySitOuts } = require('../models/gameLogic');
+    applySitOuts(table);
     
     // Deduct stake from each player's chips at the start of a new hand
     for (const player of table.players) {
-      if (player.isHuman) { // Only deduct from human players
+      if (player.isHuman && player.status !== 'sitting_out') { // Only deduct from human players dealt in
         const user = await User.findOne({ username: player.username });
-        if (user) {
+        if (user && quickPlayService.isQuickPlay(table)) {
+          player.chips = user.chips; // Quick Play wagers nothing
+        } else if (user && practiceService.isPractice(table)) {
+          practiceService.takeStake(user, table.stake);
+          await user.save();
+          player.chips = user.practiceChips;
+        } else if (user) {
           // Ensure chips is a valid number
           user.chips = Number(user.chips) || 1000;
           user.chips -= table.stake;
@@ -487,41 +497,37 @@ class EnhancedMatchmaking {
     await table.save();
 
     // Broadcast game start with proper state sync
-    this.io.to(table._id).emit('game_started', {
-      gameState: table.gameState,
+    emitGameState(this.io, table._id, 'game_started', table.gameState, view => ({
+      gameState: view,
       message: 'New hand started!',
-      timestamp: Date.now()
-    });
+      timestamp: Date.now(),
+      handNumber: table.gameState.handNumber,
+      seedHash: table.gameState.fairness.seedHash // Commitment to the shuffle, revealed at game_over
+    }));
 
     // Also broadcast as state_sync to ensure frontend receives the game state
-    this.io.to(table._id).emit('state_sync', table.gameState);
+    emitGameState(this.io, table._id, 'state_sync', table.gameState);
+    emitTurnStart(this.io, table._id, table.gameState);
 
     // If first player is AI, trigger AI turn
-    if (!table.gameState.gameOver && !table.gameState.players[0].isHuman) {
+    if (!table.gameState.gameOver && isAiControlled(table.gameState.players[0])) {
       setTimeout(() => this.handleAiTurn(table._id), 1000);
+    } else if (table.gameState.gameOver) {
+      // Dealt a 50: the hand is over before the first turn
+      const settlement = await settlementService.settleHand(table, table.gameState);
+      emitGameOver(this.io, table._id, table.gameState, settlement);
     }
   }
 
   /**
-   * Enhanced AI turn handling
+   * Enhanced AI turn handling, through the shared AI turn path
    */
   async handleAiTurn(tableId) {
     try {
-      const table = await Table.findById(tableId);
-      if (!table || !table.gameState) return;
-
-      const updatedState = runAiTurn(table.gameState);
-      table.gameState = updatedState;
-      await table.save();
-
-      this.io.to(tableId).emit('game_update', updatedState);
-
-      // Check for game end and handle transitions
-      if (updatedState.gameOver) {
-        await this.handleGameEnd(tableId);
-      } else if (!updatedState.players[updatedState.currentTurn].isHuman) {
-        setTimeout(() => this.handleAiTurn(tableId), 800);
-      }
+      await playAiTurn(this.io, tableId, {
+        playNext: id => this.handleAiTurn(id),
+        onHandEnd: () => this.handleGameEnd(tableId) // Handle pending transitions
+      });
     } catch (error) {
       console.error('AI turn error:', error);
     }
@@ -584,11 +590,7 @@ class EnhancedMatchmaking {
         }
       } else {
         // Broadcast ready status
-        this.io.to(table._id).emit('table_players_update', {
-          players: table.players,
-          spectators: table.spectators || [],
-          readyPlayers: table.readyPlayers || []
-        });
+        this.io.to(table._id).emit('table_players_update', getTablePlayersView(table));
       }
     }
   }
@@ -601,9 +603,13 @@ class EnhancedMatchmaking {
     
     for (const [stake, queue] of queues) {
       if (queue.length === 0) continue;
+      const quickPlay = stake === QUICK_PLAY_QUEUE;
+      const label = quickPlay ? 'Quick Play' : `$${stake}`;
       
       // Check if existing tables for this stake can accommodate more players
-      const existingTables = await Table.find({ stake: stake });
+      const existingTables = await Table.find(quickPlay
+        ? { mode: 'quick_play' }
+        : { stake: stake, mode: { $nin: ['practice', 'quick_play'] } });
       const availableSpots = existingTables.reduce((total, table) => {
         const activePlayerCount = table.players.filter(p => p.status === 'active').length;
         return total + Math.max(0, 4 - activePlayerCount);
@@ -611,14 +617,16 @@ class EnhancedMatchmaking {
       
       // Only create new table if no existing tables can accommodate waiting players
       if (queue.length > availableSpots && existingTables.every(t => t.players.length >= 4)) {
-        console.log(`📋 Creating new table for stake $${stake} - queue overflow (${queue.length} waiting, ${availableSpots} spots available)`);
+        console.log(`📋 Creating new ${label} table - queue overflow (${queue.length} waiting, ${availableSpots} spots available)`);
         
         // Create new table and assign first player
         const firstPlayer = queue.shift();
         if (firstPlayer) {
           const newTable = new Table({
-            name: `$${stake} Table`,
-            stake: stake,
+            tableId: `${quickPlay ? 'quick-play' : `table-${stake}`}-${Date.now()}`,
+            name: `${label} Table`,
+            stake: quickPlay ? 0 : stake,
+            mode: quickPlay ? 'quick_play' : 'staked',
             players: [{
               username: firstPlayer.username,
               chips: firstPlayer.chips,
@@ -638,14 +646,15 @@ class EnhancedMatchmaking {
           this.io.to(firstPlayer.socketId).emit('table_assigned', {
             tableId: newTable._id,
             seat: 0,
-            stake: stake,
+            stake: newTable.stake,
+            mode: newTable.mode,
             playerCount: 1,
-            message: `Joined $${stake} table`,
+            message: `Joined ${label} table`,
             gameStatus: 'waiting',
             canPlayImmediately: true
           });
           
-          console.log(`✅ ${firstPlayer.username} assigned to new $${stake} table ${newTable._id}`);
+          console.log(`✅ ${firstPlayer.username} assigned to new ${label} table ${newTable._id}`);
           
           // Add AI companion for immediate play
           await this.addAiPlayer(newTable);
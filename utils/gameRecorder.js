@@ -0,0 +1,156 @@
+// Engine win types -> Game.winners[].winType / Transaction.winType
+const WIN_TYPES = {
+    REGULAR_WIN: 'regular',
+    REEM: 'reem',
+    IMMEDIATE_50_WIN: 'immediate_50',
+    SPECIAL_WIN: 'special_milestone',
+    STOCK_EMPTY: 'stock_empty',
+    DROP_WIN: 'drop_win',
+    DROP_CAUGHT: 'drop_caught',
+    FORFEIT_WIN: 'forfeit'
+};
+
+// Who made a logged move, as the Game log words it
+const SOURCE_LABELS = {
+    player: '',
+    ai: ' (AI)',
+    autopilot: ' (autopilot)',
+    timeout: ' (auto-played on timeout)'
+};
+
+// One line of the Game log for an entry of the hand's event log
+const describeEvent = (entry) => {
+    switch (entry.type) {
+        case 'deal':
+            return `Dealt hand ${entry.state.handNumber} to ${entry.state.players.map(p => p.username).join(', ')}`;
+        case 'hand_started':
+            return `Hand started at stake ${entry.stake}`;
+        case 'action':
+            return `${entry.username}${SOURCE_LABELS[entry.source] || ''} played ${entry.action}${entry.rejected ? ` (${entry.rejected} was refused)` : ''}`;
+        case 'timeout':
+            return `${entry.username} ran out of time (timeout ${entry.timeouts})${entry.sittingOut ? ', sitting out' : ''}`;
+        case 'autopilot_engaged':
+            return `Autopilot took over for disconnected ${entry.username}`;
+        case 'autopilot_released':
+            return `${entry.username} is back in control`;
+        case 'player_left':
+            return `${entry.username} ${entry.isDisconnect ? 'disconnected' : 'left the table'}`;
+        case 'forfeit':
+            return entry.message;
+        case 'reconciliation':
+            return `Corrected ${entry.username || 'a spectator'}'s out-of-sync view (client version ${entry.clientVersion ?? '?'}, server ${entry.stateVersion})`;
+        default:
+            return entry.type;
+    }
+};
+
+class GameRecorder {
+    /**
+     * Build the Game document for a finished hand, including milestones and tie-break rounds
+     * @param {Object} table - Table document the hand was played on
+     * @param {Object} gameState - Final game state (gameOver === true)
+     * @param {Array} users - User documents of the human players, after settlement
+     * @param {Object} extra - Additional top-level fields (e.g. _id, settlementKey, ledger, rake, ratings)
+     * @returns {Object} Plain object ready for new Game(...)
+     */
+    buildGameRecord(table, gameState, users, extra = {}) {
+        const practice = gameState.mode === 'practice';
+        const userFor = (index) => {
+            const player = gameState.players[index];
+            return player?.isHuman ? users.find(u => u.username === player.username) : null;
+        };
+
+        const scoreRows = (scores, round) => (scores || []).map((score, index) => ({
+            round,
+            playerId: userFor(index)?._id,
+            username: gameState.players[index]?.username,
+            score,
+            hand: round === (gameState.decidingRound || 0) ? gameState.playerHands[index] : []
+        })).filter(row => typeof row.score === 'number');
+
+        const history = gameState.tieBreak ? gameState.tieBreak.history : [];
+
+        // The hand's event log, closed by the settlement; the full entry is kept as metadata for the replay
+        const eventLog = gameState.eventLog || [];
+        const settlement = {
+            seq: eventLog.length,
+            type: 'settlement',
+            timestamp: Date.now(),
+            winners: gameState.winners || [],
+            winType: gameState.winType,
+            roundScores: gameState.roundScores,
+            ledger: extra.ledger,
+            rake: extra.rake,
+            ...(extra.ratings && { ratings: extra.ratings })
+        };
+        const winnerNames = settlement.winners.map(index => gameState.players[index]?.username).join(', ');
+
+        return {
+            ...extra,
+            tableId: table._id,
+            players: gameState.players.map((player, index) => ({
+                playerId: userFor(index)?._id,
+                username: player.username,
+                isHuman: player.isHuman,
+                position: index,
+                initialBalance: player.chips || 0,
+                finalBalance: practice ? userFor(index)?.practiceChips : userFor(index)?.chips
+            })),
+            stake: gameState.stake,
+            mode: gameState.mode || 'staked',
+            status: 'completed',
+            startTime: gameState.timestamp ? new Date(gameState.timestamp) : undefined,
+            endTime: new Date(),
+            winners: (gameState.winners || []).map(index => ({
+                playerId: userFor(index)?._id,
+                username: gameState.players[index]?.username,
+                winType: WIN_TYPES[gameState.winType]
+            })),
+            roundScores: [
+                ...history.flatMap(entry => scoreRows(entry.roundScores, entry.round)),
+                ...scoreRows(gameState.roundScores, gameState.decidingRound || 0)
+            ],
+            decidingRound: gameState.decidingRound || 0,
+            gameConfig: gameState.turnTimer ? { timeLimit: gameState.turnTimer.turnSeconds * 1000 } : undefined,
+            aiPlayers: gameState.players
+                .filter(player => !player.isHuman)
+                .map(player => ({ username: player.username, difficulty: player.difficulty || 'medium' })),
+            hinted: (gameState.hints || []).length > 0,
+            logs: [
+                ...(gameState.hints || []).map(hint => ({
+                    level: 'info',
+                    message: `Hint for ${hint.username}: ${hint.reason}`,
+                    playerId: userFor(hint.playerIndex)?._id,
+                    action: 'hint',
+                    timestamp: new Date(hint.timestamp),
+                    metadata: { suggestedAction: hint.action, turnPhase: hint.turnPhase }
+                })),
+                ...eventLog.map(entry => ({
+                    level: entry.rejected || entry.type === 'reconciliation' ? 'warn' : 'info',
+                    message: describeEvent(entry),
+                    playerId: userFor(entry.playerIndex)?._id,
+                    action: entry.type === 'action' ? entry.action : entry.type,
+                    timestamp: new Date(entry.timestamp),
+                    metadata: entry
+                })),
+                {
+                    level: 'info',
+                    message: `Settled: ${winnerNames ? `${winnerNames} won (${gameState.winType})` : 'no winner'}`,
+                    action: 'settlement',
+                    timestamp: new Date(settlement.timestamp),
+                    metadata: settlement
+                }
+            ].sort((a, b) => a.timestamp - b.timestamp),
+            milestones: (gameState.milestones || []).map(milestone => ({
+                type: milestone.type,
+                playerId: userFor(milestone.playerIndex)?._id,
+                username: gameState.players[milestone.playerIndex]?.username,
+                score: milestone.score,
+                handSize: milestone.handSize
+            }))
+        };
+    }
+}
+
+module.exports = new GameRecorder();
+module.exports.WIN_TYPES = WIN_TYPES;
@@ -1,7 +1,21 @@
 const { Table } = require('../models/Table');
-const { processGameAction, initializeGameState } = require('../models/gameLogic');
-const { runAiTurn } = require('../models/AiPlayer');
-const { removeFromQueue, getQueues } = require('./smartQueueManager');
+const { initializeGameState, applySitOuts, appendHandEvent, calculateStateHash } = require('../models/gameLogic');
+const {
+  emitTurnStart,
+  emitTableTalk,
+  emitGameOver,
+  emitGameState,
+  getSpectatorView,
+  getTableView,
+  getTablePlayersView
+} = require('../models/gameSync');
+const personaService = require('./personaService');
+const practiceService = require('./practiceService');
+const quickPlayService = require('./quickPlayService');
+const settlementService = require('./settlementService');
+const { isAiControlled } = require('../models/AiPlayer');
+const { playAiTurn } = require('../routes/gameActions');
+const { removeFromQueue, getQueues, queueKeyFor } = require('./smartQueueManager');
 const User = require('../models/User'); // Import User model
 
 /**
@@ -14,7 +28,6 @@ class GameStateManager {
     this.io = io;
     this.activeTransitions = new Map(); // Track ongoing transitions
     this.spectatorStates = new Map(); // Track spectator-specific states
-    this.gameEventHistory = new Map(); // Track game events for replay
   }
 
   /**
@@ -82,7 +95,7 @@ class GameStateManager {
 
     // --- CRITICAL FIX: Remove player from queue for this stake if present ---
     if (typeof table.stake !== 'undefined' && newPlayer.username) {
-      removeFromQueue(table.stake, newPlayer.username);
+      removeFromQueue(queueKeyFor(table), newPlayer.username);
     }
   
     // Notify all players about incoming transition
@@ -130,11 +143,7 @@ class GameStateManager {
     await table.save();
   
     // --- Emit updated table players and spectators to all clients at the table ---
-    this.io.to(table._id).emit('table_players_update', {
-      players: table.players,
-      spectators: table.spectators || [],
-      readyPlayers: table.readyPlayers || []
-    });
+    this.io.to(table._id).emit('table_players_update', getTablePlayersView(table));
   }
 
   /**
@@ -142,20 +151,9 @@ class GameStateManager {
    */
   createSpectatorGameState(gameState, spectator) {
     const spectatorState = {
-      ...gameState,
-      // Hide other players' hands but show public information
-      playerHands: gameState.playerHands.map((hand, index) => {
-        // Show card count but hide actual cards
-        return Array(hand.length).fill({ rank: 'hidden', suit: 'hidden' });
-      }),
-      // Keep spreads visible (public information)
-      playerSpreads: gameState.playerSpreads,
-      // Keep discard pile visible
-      discardPile: gameState.discardPile,
-      // Hide deck
-      deck: [],
+      // Hands hidden, spreads and the top discard visible, see gameSync.getSpectatorView
+      ...getSpectatorView(gameState),
       // Add spectator metadata
-      spectatorMode: true,
       spectatorName: spectator.username,
       canInteract: false,
       message: 'Spectating current hand'
@@ -170,7 +168,7 @@ class GameStateManager {
   async handleNormalJoin(table, newPlayer) {
     // Add player normally
     const user = await User.findOne({ username: newPlayer.username });
-    const chips = user.chips;
+    const chips = practiceService.isPractice(table) ? user.practiceChips : user.chips;
     table.players.push({
       username: newPlayer.username,
       chips: chips,
@@ -318,14 +316,10 @@ class GameStateManager {
 
     // Broadcast updated tables to all clients (lobby)
     const updatedTables = await Table.find();
-    this.io.emit('tables_update', { tables: updatedTables });
+    this.io.emit('tables_update', { tables: updatedTables.map(t => getTableView(t)) });
 
     // Broadcast updated player list for this table
-    this.io.to(table._id).emit('table_players_update', {
-      players: table.players,
-      spectators: table.spectators || [],
-      readyPlayers: table.readyPlayers || []
-    });
+    this.io.to(table._id).emit('table_players_update', getTablePlayersView(table));
 
     // After transition, trigger the same logic as when a new hand is possible (countdown or wait for ready)
     await this.checkAndStartGame(table);
@@ -418,11 +412,11 @@ class GameStateManager {
       console.log(`🔄 State reconciliation: Found ${differences.length} differences, applying server state`);
 
       // Notify client of reconciliation
-      this.io.to(tableId).emit('state_reconciled', {
-        serverState: serverState,
+      emitGameState(this.io, tableId, 'state_reconciled', serverState, view => ({
+        serverState: view,
         differences: differences,
         timestamp: Date.now()
-      });
+      }));
 
       return { reconciled: true, state: serverState, reconciled: true };
 
@@ -483,11 +477,10 @@ class GameStateManager {
   }
 
   /**
-   * Calculate state hash for comparison
+   * Calculate state hash for comparison (canonical serialisation, see gameLogic)
    */
   calculateStateHash(state) {
-    const normalized = JSON.stringify(state, Object.keys(state).sort());
-    return require('crypto').createHash('sha256').update(normalized).digest('hex');
+    return calculateStateHash(state);
   }
 
   /**
@@ -601,12 +594,20 @@ class GameStateManager {
     table.gameState = null;
     table.status = 'waiting';
     table.readyPlayers = [];
+    applySitOuts(table);
     
     // Deduct stake from each player's chips at the start of a new hand
     for (const player of table.players) {
-      if (player.isHuman) { // Only deduct from human players
+      if (player.isHuman && player.status !== 'sitting_out') { // Only deduct from human players dealt in
         const user = await User.findOne({ username: player.username });
-        if (user) {
+        if (user && quickPlayService.isQuickPlay(table)) {
+          player.chips = user.chips; // Quick Play wagers nothing
+        } else if (user && practiceService.isPractice(table)) {
+          practiceService.takeStake(user, table.stake);
+          await user.save();
+          player.chips = user.practiceChips;
+          console.log(`🎓 Took practice stake ${table.stake} from ${player.username}. Play money: ${player.chips}`);
+        } else if (user) {
           user.chips -= table.stake;
           // Ensure chips don't go below zero if somehow stake is higher than chips
           user.chips = Math.max(0, user.chips);
@@ -622,10 +623,9 @@ class GameStateManager {
     initializeGameState(table);
     table.status = 'in_progress';
 
-    // Add game start event to history
-    this.addGameEvent(table._id, {
+    // Add game start event to the hand's event log
+    this.addGameEvent(table, {
       type: 'hand_started',
-      timestamp: Date.now(),
       players: table.players.map(p => p.username),
       stake: table.stake
     });
@@ -633,113 +633,58 @@ class GameStateManager {
     await table.save();
 
     // Broadcast enhanced game start with proper state sync
-    this.io.to(table._id).emit('game_started', {
-      gameState: table.gameState,
+    emitGameState(this.io, table._id, 'game_started', table.gameState, view => ({
+      gameState: view,
       message: 'New hand started!',
       timestamp: Date.now(),
-      handNumber: this.getHandNumber(table._id)
-    });
+      handNumber: table.gameState.handNumber,
+      seedHash: table.gameState.fairness.seedHash // Commitment to the shuffle, revealed at game_over
+    }));
 
     // Also broadcast as state_sync to ensure frontend receives the game state
-    this.io.to(table._id).emit('state_sync', table.gameState);
+    emitGameState(this.io, table._id, 'state_sync', table.gameState);
 
     // Handle first turn with turn notifications
     if (!table.gameState.gameOver) {
       const firstPlayer = table.gameState.players[0];
       console.log(`🎯 FIRST_TURN: Sending turn notification for first player ${firstPlayer.username} (human: ${firstPlayer.isHuman})`);
 
-      // Send turn start notification for first player
-      this.io.to(table._id).emit('turn_start', {
-        playerUsername: firstPlayer.username,
-        currentTurn: 0,
-        isPlayerTurn: true,
-        turnPhase: 'draw_phase',
-        gameState: table.gameState,
-        message: `${firstPlayer.username}, it's your turn to start the game!`,
-        timestamp: Date.now()
-      });
-
-      // Send specific Unity event for turn management
-      this.io.to(table._id).emit('unity_turn_start', {
-        playerUsername: firstPlayer.username,
-        currentTurn: 0,
-        isPlayerTurn: true,
-        turnPhase: 'draw_phase',
-        message: `${firstPlayer.username}, it's your turn to start the game!`
-      });
+      // Send turn start notification (plus allowed actions and legal moves) for first player
+      emitTurnStart(this.io, table._id, table.gameState, `${firstPlayer.username}, it's your turn to start the game!`);
 
-      if (!firstPlayer.isHuman) {
+      if (isAiControlled(firstPlayer)) {
         setTimeout(() => this.handleAiTurn(table._id), 1000);
       }
+    } else {
+      // Dealt a 50: the hand is over before the first turn
+      const settlement = await settlementService.settleHand(table, table.gameState);
+      emitGameOver(this.io, table._id, table.gameState, settlement);
+      await this.handleGameEnd(table._id, table.gameState);
     }
   }
 
   /**
-   * Enhanced AI turn handling
+   * Enhanced AI turn handling, through the shared AI turn path
    */
   async handleAiTurn(tableId) {
     console.log(`🤖 GameStateManager: handleAiTurn called for table ${tableId}`);
     try {
-      const table = await Table.findById(tableId);
-      if (!table || !table.gameState) {
-        console.log(`🤖 GameStateManager: Table ${tableId} or gameState not found. Exiting AI turn.`);
-        return;
-      }
-
-      console.log(`🤖 GameStateManager: Before runAiTurn - currentTurn: ${table.gameState.currentTurn}, gameOver: ${table.gameState.gameOver}`);
-      const updatedState = await runAiTurn(table.gameState);
-      console.log(`🤖 GameStateManager: After runAiTurn - currentTurn: ${updatedState.currentTurn}, gameOver: ${updatedState.gameOver}, winType: ${updatedState.winType}`);
-
-      table.gameState = updatedState;
-      await table.save();
-      console.log(`🤖 GameStateManager: Game state saved for table ${tableId}.`);
-
-      // Broadcast with enhanced info
-      this.io.to(tableId).emit('game_update', {
-        ...updatedState,
-        lastAction: 'ai_turn',
-        timestamp: Date.now()
+      await playAiTurn(this.io, tableId, {
+        playNext: id => this.handleAiTurn(id),
+        onHandEnd: gameState => this.handleGameEnd(tableId, gameState)
       });
-      console.log(`🤖 GameStateManager: Emitted game_update for table ${tableId}.`);
-
-      // Check for game end
-      if (updatedState.gameOver) {
-        console.log(`🤖 GameStateManager: Game over detected. Calling handleGameEnd.`);
-        await this.handleGameEnd(tableId, updatedState);
-      } else if (!updatedState.players[updatedState.currentTurn].isHuman) {
-        console.log(`🤖 GameStateManager: Next turn is AI. Scheduling next AI turn in 800ms.`);
-        setTimeout(() => this.handleAiTurn(tableId), 800);
-      } else {
-        console.log(`🤖 GameStateManager: Next turn is human. AI turn sequence complete.`);
-      }
     } catch (error) {
       console.error('🚨 Enhanced AI turn error:', error);
     }
   }
 
   /**
-   * Add game event to history
-   */
-  addGameEvent(tableId, event) {
-    if (!this.gameEventHistory.has(tableId)) {
-      this.gameEventHistory.set(tableId, []);
-    }
-    
-    const history = this.gameEventHistory.get(tableId);
-    history.push(event);
-    
-    // Keep only recent events (last 100)
-    if (history.length > 100) {
-      history.shift();
-    }
-  }
-
-  /**
-   * Get hand number for table
+   * Add game event to the hand's event log, saved with the table and written to
+   * Game.logs when the hand is settled. The caller saves the table.
    */
-  getHandNumber(tableId) {
-    const history = this.gameEventHistory.get(tableId) || [];
-    return history.filter(event => event.type === 'hand_started').length;
+  addGameEvent(table, event) {
+    if (!table.gameState) return;
+    table.gameState = appendHandEvent(table.gameState, event);
   }
 
   /**
@@ -840,41 +785,26 @@ class GameStateManager {
         }
       } else {
         // Broadcast ready status
-        this.io.to(table._id).emit('table_players_update', {
-          players: table.players,
-          spectators: table.spectators || [],
-          readyPlayers: table.readyPlayers || []
-        });
+        this.io.to(table._id).emit('table_players_update', getTablePlayersView(table));
       }
     }
   }
 
   /**
-   * Add AI player to table
+   * Add AI player to table, played by a persona picked for this table and stake
    */
   async addAiPlayer(table) {
-    const aiPlayerName = `AI Player ${table._id.toString().slice(-4)}`;
-    
-    const aiPlayer = {
-      username: aiPlayerName,
-      chips: 1000,
-      isHuman: false,
-      socketId: null,
-      joinedAt: new Date(),
-      status: 'active'
-    };
+    const persona = await personaService.pickPersona(table);
+    const aiPlayer = personaService.seatFor(persona, `AI Player ${table._id.toString().slice(-4)}`, 1000);
     
     table.players.push(aiPlayer);
     await table.save();
     
-    console.log(`🤖 Added AI player ${aiPlayerName} to table ${table._id}`);
+    console.log(`🤖 Added AI player ${aiPlayer.username} to table ${table._id}`);
     
     // Broadcast the update
-    this.io.to(table._id).emit('table_players_update', {
-      players: table.players,
-      spectators: table.spectators || [],
-      readyPlayers: table.readyPlayers || []
-    });
+    this.io.to(table._id).emit('table_players_update', getTablePlayersView(table));
+    emitTableTalk(this.io, table._id, aiPlayer, 'greeting');
   }
 
 
@@ -0,0 +1,196 @@
+const { replayDeal } = require('../models/gameLogic');
+const { cardLabel } = require('../models/hintAdvisor');
+
+// Labels of the seats' controllers in a hand history
+const SOURCE_TAGS = { ai: 'AI', autopilot: 'autopilot', timeout: 'timed out' };
+
+const cardsLabel = (cards) => `[${cards.map(cardLabel).join(' ')}]`;
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+// One hand-history line for an engine event, or null for bookkeeping events (turn and phase changes)
+const describeEngineEvent = (event, nameOf) => {
+    switch (event.type) {
+        case 'CARD_DRAWN':
+            return `draws ${cardLabel(event.card)} from the ${event.source === 'discard' ? 'discard pile' : 'stock'}`;
+        case 'SPREAD_FORMED':
+            return `spreads ${cardsLabel(event.cards)}`;
+        case 'SPREAD_HIT':
+            return `hits ${nameOf(event.targetIndex)}'s spread ${event.spreadIndex + 1} with ${cardLabel(event.card)}`;
+        case 'CARD_DISCARDED':
+            return `discards ${cardLabel(event.card)}`;
+        case 'PLAYER_DROPPED':
+            return `drops with ${event.score} points`;
+        case 'INVALID_DECLARATION':
+            return `declares a special win with ${event.score} points, which does not stand (${event.reason})`;
+        case 'MILESTONE_REACHED':
+            return `reaches ${event.milestone.replace('_', ' ')} with ${event.score} points`;
+        default:
+            return null;
+    }
+};
+
+// Hand-history line for an event log entry that is not a move
+const describeNote = (entry) => {
+    switch (entry.type) {
+        case 'timeout':
+            return `${entry.username} ran out of time (timeout ${entry.timeouts})${entry.sittingOut ? ' and sits out' : ''}`;
+        case 'autopilot_engaged':
+            return `Autopilot takes over for ${entry.username}`;
+        case 'autopilot_released':
+            return `${entry.username} is back in control`;
+        case 'player_left':
+            return `${entry.username} ${entry.isDisconnect ? 'disconnected' : 'left the table'}`;
+        case 'forfeit':
+            return entry.message;
+        default:
+            return null;
+    }
+};
+
+class HandHistoryService {
+    /**
+     * The hand's event log entries from its Game.logs, in order
+     * @param {Object} game - Game document
+     * @returns {Object[]}
+     */
+    eventLogOf(game) {
+        return (game.logs || [])
+            .map(log => log.metadata)
+            .filter(entry => entry && Number.isInteger(entry.seq))
+            .sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Portable hand history of a finished hand: seats, every deal, each move as text and the
+     * final scores and payouts. Cards are only known once the seed is revealed at settlement.
+     * @param {Object} game - Game document
+     * @returns {?Object} null when the hand has no event log (played before logging existed)
+     */
+    buildHandHistory(game) {
+        const entries = this.eventLogOf(game);
+        const deal = entries.find(entry => entry.type === 'deal');
+        if (!deal) return null;
+
+        const { players } = deal.state;
+        const nameOf = (index) => players[index]?.username;
+        const fairness = game.fairness || {};
+
+        const deals = (fairness.seed ? fairness.deals : []).map(({ round, seats }) => {
+            const { deck, hands } = replayDeal(fairness.seed, players.length, seats, round);
+            return {
+                round,
+                hands: seats.map(seat => ({ seat, username: nameOf(seat), hand: hands[seat] })),
+                stockCount: deck.length
+            };
+        });
+
+        // Client sync corrections stay in Game.logs; they are not part of the hand as played
+        const actions = entries.filter(entry => !['deal', 'hand_started', 'settlement', 'reconciliation'].includes(entry.type))
+            .map(entry => {
+                if (entry.type !== 'action') {
+                    return { seq: entry.seq, type: entry.type, timestamp: entry.timestamp, username: entry.username, lines: [describeNote(entry) || entry.type] };
+                }
+                const lines = (entry.events || []).map(event => describeEngineEvent(event, nameOf)).filter(Boolean);
+                const tieBreak = (entry.events || []).find(event => event.type === 'TIE_BREAK_STARTED');
+                return {
+                    seq: entry.seq,
+                    type: 'action',
+                    timestamp: entry.timestamp,
+                    username: entry.username,
+                    source: entry.source,
+                    action: entry.action,
+                    payload: entry.payload,
+                    lines: lines.length > 0 ? lines : [`plays ${entry.action}`],
+                    ...(tieBreak && { tieBreak: { round: tieBreak.round, players: tieBreak.players.map(nameOf) } })
+                };
+            });
+
+        return {
+            gameId: game._id,
+            handNumber: game.handNumber,
+            table: { id: game.tableId, name: deal.tableName },
+            mode: game.mode,
+            stake: game.stake,
+            startTime: game.startTime,
+            endTime: game.endTime,
+            fairness: { algorithm: fairness.algorithm, seedHash: fairness.seedHash, seed: fairness.seed },
+            seats: players.map((player, seat) => ({
+                seat,
+                username: player.username,
+                isHuman: player.isHuman,
+                ...(!player.isHuman && { difficulty: player.difficulty })
+            })),
+            deals,
+            actions,
+            result: {
+                winners: game.winners.map(winner => ({ username: winner.username, winType: winner.winType })),
+                decidingRound: game.decidingRound,
+                roundScores: game.roundScores.map(({ round, username, score }) => ({ round, username, score }))
+            },
+            ledger: game.ledger.map(({ username, stake, payout, penalty, net }) => ({ username, stake, payout, penalty, net })),
+            rake: game.rake,
+            ...(game.ratings.length > 0 && { ratings: game.ratings.map(({ username, before, after }) => ({ username, before, after })) })
+        };
+    }
+
+    /**
+     * Render a hand history as a plain-text, poker-style hand-history file
+     * @param {Object} history - From buildHandHistory
+     * @returns {string}
+     */
+    formatText(history) {
+        const lines = [];
+        const dealLines = (round) => {
+            const dealt = history.deals.find(d => d.round === round);
+            if (!dealt) return ['Cards not revealed'];
+            return [
+                ...dealt.hands.map(({ username, hand }) => `Dealt to ${username} ${cardsLabel(hand)}`),
+                `Stock: ${dealt.stockCount} cards`
+            ];
+        };
+
+        const start = history.startTime ? ` - ${new Date(history.startTime).toISOString()}` : '';
+        lines.push(`Tonk Hand #${history.handNumber || '?'}: ${history.mode}, stake ${history.stake}${start}`);
+        lines.push(`Table '${history.table.name || 'Unknown'}' (${history.table.id}) - Game ${history.gameId}`);
+        const { algorithm, seedHash, seed } = history.fairness;
+        lines.push(`Shuffle: ${algorithm || 'unknown'}, seed hash ${seedHash || 'none'}${seed ? `, seed ${seed}` : ''}`);
+        history.seats.forEach(({ seat, username, isHuman, difficulty }) => {
+            lines.push(`Seat ${seat + 1}: ${username} (${isHuman ? 'human' : `AI, ${difficulty || 'medium'}`})`);
+        });
+
+        lines.push('*** DEAL ***', ...dealLines(0));
+        lines.push('*** ACTIONS ***');
+        history.actions.forEach(entry => {
+            if (entry.type !== 'action') {
+                lines.push(...entry.lines);
+                return;
+            }
+            const tag = SOURCE_TAGS[entry.source] ? ` [${SOURCE_TAGS[entry.source]}]` : '';
+            lines.push(...entry.lines.map(line => `${entry.username}${tag}: ${line}`));
+            if (entry.tieBreak) {
+                lines.push(`*** TIE-BREAK ROUND ${entry.tieBreak.round}: ${entry.tieBreak.players.join(', ')} ***`, ...dealLines(entry.tieBreak.round));
+            }
+        });
+
+        lines.push('*** SUMMARY ***');
+        const { winners, roundScores } = history.result;
+        lines.push(winners.length > 0
+            ? `${winners.map(w => w.username).join(', ')} won (${winners[0].winType || 'unknown'})`
+            : 'No winner');
+        [...new Set(roundScores.map(row => row.round))].forEach(round => {
+            const scores = roundScores.filter(row => row.round === round).map(row => `${row.username} ${row.score}`);
+            lines.push(`${round === 0 ? 'Scores' : `Tie-break round ${round} scores`}: ${scores.join(', ')}`);
+        });
+        history.ledger.forEach(({ username, stake, payout, penalty, net }) => {
+            lines.push(`${username}: stake ${stake}, payout ${payout}, penalty ${signed(penalty)}, net ${signed(net)}`);
+        });
+        lines.push(`Rake: ${history.rake || 0}`);
+        (history.ratings || []).forEach(({ username, before, after }) => {
+            lines.push(`${username}: rating ${before} -> ${after}`);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = new HandHistoryService();
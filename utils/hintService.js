@@ -0,0 +1,91 @@
+const { Table } = require('../models/Table');
+const { getHint } = require('../models/hintAdvisor');
+const { recordStateDelta, emitStateDelta } = require('../models/gameSync');
+const stateDeltaService = require('./stateDeltaService');
+
+class HintService {
+    /**
+     * Hints are a learning aid: only practice tables and zero-stake tables offer them.
+     * Quick Play tables are zero-stake but rated, so a hint would buy rating.
+     * @param {Object} table - Table document
+     * @returns {boolean}
+     */
+    hintsAllowed(table) {
+        if (table.mode === 'quick_play') return false;
+        return table.mode === 'practice' || table.stake === 0;
+    }
+
+    /**
+     * Give the player on turn a hint, counting it against the per-hand limit and
+     * recording it on the game state (written to the Game log at settlement). The hint goes
+     * out to its owner as a state delta, so their view and its hash move on with it.
+     * @param {Object} io - Socket.IO server
+     * @param {string} tableId - Table ID
+     * @param {string} username - Player asking for the hint
+     * @returns {Promise<Object>} { success, hint, hintsRemaining } or { success: false, error, code }
+     */
+    async requestHint(io, tableId, username) {
+        const table = await Table.findById(tableId);
+        if (!table || !table.gameState) {
+            return { success: false, error: 'Table or game state not found', code: 'NO_GAME_STATE' };
+        }
+        if (!this.hintsAllowed(table)) {
+            return { success: false, error: 'Hints are only available on practice and unrated zero-stake tables', code: 'HINTS_DISABLED' };
+        }
+
+        const { gameState } = table;
+        const playerIndex = gameState.players.findIndex(p => p.username === username);
+        if (playerIndex === -1 || gameState.gameOver || gameState.currentTurn !== playerIndex) {
+            return { success: false, error: 'Not your turn', code: 'INVALID_TURN' };
+        }
+
+        const limit = gameState.rules?.hintsPerHand ?? 0;
+        const hints = gameState.hints || [];
+        const used = hints.filter(h => h.username === username).length;
+        if (used >= limit) {
+            return { success: false, error: `No hints left this hand (limit ${limit})`, code: 'HINT_LIMIT_REACHED' };
+        }
+
+        const hint = getHint(gameState, playerIndex);
+        if (!hint) {
+            return { success: false, error: 'No hint available right now', code: 'NO_HINT' };
+        }
+
+        const entry = {
+            playerIndex,
+            username,
+            action: hint.action,
+            reason: hint.reason,
+            turnPhase: gameState.turnPhase,
+            timestamp: Date.now()
+        };
+        const next = { ...gameState, hints: [...hints, entry] };
+        const delta = recordStateDelta(table, gameState, next, { action: 'HINT', actor: username });
+
+        // Pushed on its own so the rest of the hand is never written back; only onto the hints and
+        // version as loaded, so two requests racing for the last hint cannot both get it
+        const { modifiedCount } = await Table.updateOne(
+            {
+                _id: table._id,
+                stateVersion: delta.version - 1,
+                'gameState.handNumber': gameState.handNumber,
+                'gameState.hints': { $size: hints.length }
+            },
+            {
+                $push: { 'gameState.hints': entry },
+                $set: { stateVersion: delta.version, 'gameState.stateVersion': delta.version },
+                $inc: { stateRevision: 1 } // See Table.saveIfCurrent
+            }
+        );
+        if (modifiedCount === 0) {
+            stateDeltaService.clearTable(tableId); // The delta was never stored
+            return { success: false, error: 'The hand moved on, please ask again', code: 'STATE_CONFLICT' };
+        }
+
+        emitStateDelta(io, tableId, delta, next);
+        console.log(`💡 Hint for ${username} at table ${tableId}: ${hint.reason}`);
+        return { success: true, hint, hintsRemaining: limit - used - 1 };
+    }
+}
+
+module.exports = new HintService();
@@ -1,6 +1,11 @@
 // utils/leaveTableHandler.js
 const { Table } = require('../models/Table');
-const { handleAiDeparture } = require('../models/gameLogic');
+const { handleAiDeparture, appendHandEvent, handSnapshot, forfeitHand } = require('../models/gameLogic');
+const { emitGameOver, emitGameState, emitAllowedActions, emitStateDelta, getSocketView, getTableView, getTablePlayersView } = require('../models/gameSync');
+const settlementService = require('./settlementService');
+const autopilotService = require('./autopilotService');
+const turnTimerService = require('./turnTimerService');
+const practiceService = require('./practiceService');
 
 /**
  * Save table with retry logic to handle version conflicts
@@ -59,6 +64,7 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
       console.log(`📱 Player ${username} marked as disconnected`);
     } else {
       // Permanent leave - remove from table
+      autopilotService.cancelTakeover(tableId.toString(), username);
       table.players.splice(playerIndex, 1);
       
       // Remove from ready players list
@@ -69,6 +75,8 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
       console.log(`👋 Player ${username} permanently left table`);
     }
 
+    let settlement = null;
+
     // Handle active game scenarios
     if (wasActiveGame && table.gameState) {
       const activePlayers = table.players.filter(p => p.status === 'active');
@@ -81,7 +89,8 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
       
       // Check if game should end
       if (activePlayers.length <= 1 || humanPlayers.length === 0) {
-        await endGameDueToLeaving(table, activePlayers, username);
+        table.gameState = appendHandEvent(table.gameState, { type: 'player_left', username, isDisconnect, endsHand: true });
+        settlement = await endGameDueToLeaving(table, activePlayers, username);
       } else if (!isDisconnect) {
         // Update game state to reflect removed player
         await updateGameStateAfterLeave(table, playerIndex);
@@ -98,6 +107,9 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
           // Update game state with AI addition
           handleAiDeparture(table.gameState, 'addition', aiPlayer);
         }
+
+        // The seats changed outside the engine, so a replay carries on from this snapshot
+        table.gameState = appendHandEvent(table.gameState, { type: 'player_left', username, snapshot: handSnapshot(table.gameState) });
       }
     }
     // Handle non-game scenarios (waiting tables)
@@ -117,9 +129,17 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
     // Use retry logic for saving to handle version conflicts
     await saveTableWithRetry(table);
 
+    // Keep the hand moving: the autopilot plays this seat if they are not back in time
+    if (isDisconnect && wasActiveGame && table.gameState && !table.gameState.gameOver) {
+      autopilotService.scheduleTakeover(tableId.toString(), username);
+    }
+
     // Broadcast updates if io is available
     if (io) {
       await broadcastTableUpdates(io, table, username, isDisconnect);
+      if (settlement) {
+        emitGameOver(io, table._id.toString(), table.gameState, settlement);
+      }
       
       // Trigger table reassignment if function is provided
       if (assignPlayersToTables) {
@@ -128,7 +148,7 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
       
       // Broadcast updated tables to lobby
       const updatedTables = await Table.find();
-      io.emit('tables_update', { tables: updatedTables });
+      io.emit('tables_update', { tables: updatedTables.map(t => getTableView(t)) });
     }
 
     return { success: true, message: `Player ${isDisconnect ? 'disconnected' : 'left'} successfully` };
@@ -141,6 +161,7 @@ const handlePlayerLeave = async ({ tableId, username, io = null, isDisconnect =
 
 /**
  * End game when not enough players remain
+ * @returns {Promise<Object|null>} Settlement result when a hand was ended, otherwise null
  */
 const endGameDueToLeaving = async (table, activePlayers, leavingPlayer) => {
   const humanPlayers = activePlayers.filter(p => p.isHuman);
@@ -159,27 +180,36 @@ const endGameDueToLeaving = async (table, activePlayers, leavingPlayer) => {
     table.readyPlayers = [];
     
     console.log(`🧹 Table ${table._id} reset to waiting state - no AI-only games`);
-    return;
+    return null;
   }
   
   if (activePlayers.length > 0) {
-    const winnerIndex = table.players.findIndex(p => p.status === 'active');
+    // Winners index into gameState.players, which still holds the departed seats
+    const winner = table.players.find(p => p.status === 'active');
+    const winnerIndex = winner ? table.gameState.players.findIndex(p => p.username === winner.username) : -1;
     if (winnerIndex !== -1) {
-      table.gameState.gameOver = true;
-      table.gameState.winners = [winnerIndex];
-      table.gameState.winType = 'FORFEIT_WIN';
-      table.gameState.message = `Game ended - ${leavingPlayer} left the table`;
+      table.gameState = forfeitHand(table.gameState, {
+        username: leavingPlayer,
+        winners: [winnerIndex],
+        winType: 'FORFEIT_WIN',
+        message: `Game ended - ${leavingPlayer} left the table`
+      });
     }
   } else {
     // No active players left
-    table.gameState.gameOver = true;
-    table.gameState.winners = [];
-    table.gameState.winType = 'ABANDONED';
-    table.gameState.message = 'Game abandoned - all players left';
+    table.gameState = forfeitHand(table.gameState, {
+      username: leavingPlayer,
+      winners: [],
+      winType: 'ABANDONED',
+      message: 'Game abandoned - all players left'
+    });
   }
   
   table.status = 'completed';
   console.log(`🏁 Game ended at table ${table._id} due to player leaving`);
+
+  if (!table.gameState.gameOver) return null;
+  return settlementService.settleHand(table, table.gameState);
 };
 
 /**
@@ -207,8 +237,8 @@ const updateGameStateAfterLeave = async (table, removedPlayerIndex) => {
     gameState.currentTurn = 0;
   }
   
-  // Update players array in game state
-  gameState.players = table.players.map(p => ({
+  // Update players array in game state (seats sitting this hand out were never dealt in)
+  gameState.players = table.players.filter(p => p.status !== 'sitting_out').map(p => ({
     username: p.username,
     chips: p.chips,
     isHuman: p.isHuman,
@@ -228,22 +258,18 @@ const broadcastTableUpdates = async (io, table, username, isDisconnect) => {
   const tableId = table._id.toString();
   
   // Broadcast player list update
-  io.to(tableId).emit('table_players_update', {
-    players: table.players,
-    spectators: table.spectators || [],
-    readyPlayers: table.readyPlayers || []
-  });
+  io.to(tableId).emit('table_players_update', getTablePlayersView(table));
   
   // Broadcast game state if game is active
   if (table.gameState) {
-    io.to(tableId).emit('state_sync', table.gameState);
+    emitGameState(io, tableId, 'state_sync', table.gameState);
   }
   
   // Broadcast leave event
   io.to(tableId).emit('player_left', {
     tableId: tableId,
     username: username,
-    players: table.players,
+    players: getTablePlayersView(table).players,
     isDisconnect: isDisconnect
   });
   
@@ -281,7 +307,7 @@ const handlePlayerReconnect = async ({ tableId, username, socketId, io = null })
       
       // Still send current game state to ensure sync
       if (io && table.gameState) {
-        io.to(socketId).emit('state_sync', table.gameState);
+        io.to(socketId).emit('state_sync', getSocketView(table.gameState, socketId));
       }
       
       return { success: true, message: 'Player already active' };
@@ -303,17 +329,21 @@ const handlePlayerReconnect = async ({ tableId, username, socketId, io = null })
       player.socketId = socketId;
       player.lastActive = new Date();
       
-      await saveTableWithRetry(table);
-      
-      // Update socketId in gameState.players as well
+      // Take the seat back from the autopilot
+      const autopilotRelease = autopilotService.release(table, username);
+
+      // Update socketId in gameState.players as well, before saving so it persists
       if (table.gameState && table.gameState.players) {
         const gameStatePlayerIndex = table.gameState.players.findIndex(p => p.username === username);
         if (gameStatePlayerIndex !== -1) {
           table.gameState.players[gameStatePlayerIndex].socketId = socketId;
+          table.markModified('gameState');
           console.log(`🎯 Updated gameState.players[${gameStatePlayerIndex}].socketId to ${socketId}`);
         }
       }
 
+      await saveTableWithRetry(table);
+
       console.log(`🔄 Player ${username} reconnected to table ${tableId} with new socket ID: ${socketId}`);
       
       if (io) {
@@ -326,15 +356,19 @@ const handlePlayerReconnect = async ({ tableId, username, socketId, io = null })
             status: p.status
           })) // Send simplified player info
         });
+        if (autopilotRelease) {
+          io.to(tableId).emit('autopilot_released', { tableId, username, timestamp: Date.now() });
+          emitStateDelta(io, tableId, autopilotRelease, table.gameState);
+        }
         
         // Send current game state to the reconnected player only
         if (table.gameState) {
           console.log(`Sending state_sync to reconnected player ${username} (socket ${socketId})`);
-          io.to(socketId).emit('state_sync', table.gameState);
+          io.to(socketId).emit('state_sync', getSocketView(table.gameState, socketId));
         } else {
           // If no game state, send waiting state
           io.to(socketId).emit('state_sync', {
-            players: table.players,
+            players: getTablePlayersView(table).players,
             stake: table.stake,
             message: 'Waiting for players to be ready...',
             gameStarted: false,
@@ -350,6 +384,13 @@ const handlePlayerReconnect = async ({ tableId, username, socketId, io = null })
             timestamp: Date.now()
           });
         }
+
+        // Back in control mid-turn: the autopilot was not timed, so the seat's clock starts now
+        const gameState = table.gameState;
+        if (autopilotRelease && gameState && !gameState.gameOver && gameState.players[gameState.currentTurn]?.username === username) {
+          turnTimerService.start(io, tableId, gameState);
+          emitAllowedActions(io, tableId, gameState);
+        }
       }
       
       return { success: true, message: 'Player reconnected successfully' };
@@ -447,9 +488,11 @@ const cleanupEmptyTables = async (io) => {
       console.log(`🧹 Reset empty preset table ${table.tableId} to clean state`);
     }
     
-    if ((emptyTables.length > 0 || emptyPresetTables.length > 0) && io) {
+    const abandonedPracticeTables = await practiceService.cleanupAbandonedTables();
+
+    if ((emptyTables.length > 0 || emptyPresetTables.length > 0 || abandonedPracticeTables > 0) && io) {
       const updatedTables = await Table.find();
-      io.emit('tables_update', { tables: updatedTables });
+      io.emit('tables_update', { tables: updatedTables.map(t => getTableView(t)) });
     }
     
   } catch (error) {
@@ -0,0 +1,104 @@
+/**
+ * Payout Schedules
+ * Declarative stake multipliers per win type, plus an optional house rake.
+ * Resolution order: Table.payoutSchedule > stake tier > default.
+ */
+
+const DEFAULT_PAYOUT_SCHEDULE = {
+  // Stakes each loser pays per win type (README 11.9.2), shared among the winners. The first stake
+  // is the one collected at the deal; settlement charges losers for the rest.
+  multipliers: {
+    REGULAR_WIN: 1,
+    STOCK_EMPTY: 1,
+    DROP_WIN: 1,
+    DROP_CAUGHT: 1,
+    FORFEIT_WIN: 1,
+    REEM: 2,
+    IMMEDIATE_50_WIN: 2,
+    SPECIAL_WIN: 3
+  },
+  defaultMultiplier: 1,
+  rakePercent: 0,
+  minimumPot: 0 // Rake is only taken from pots of at least this size
+};
+
+// Overrides keyed by stake; e.g. { 100: { rakePercent: 2, minimumPot: 200 } }
+const STAKE_TIER_SCHEDULES = {};
+
+// Mongoose Maps and subdocuments -> plain objects, dropping unset fields
+const plain = (value) => {
+  if (!value) return {};
+  const obj = typeof value.toObject === 'function' ? value.toObject() : value;
+  return Object.fromEntries(
+    Object.entries(obj instanceof Map ? Object.fromEntries(obj) : obj)
+      .filter(([, v]) => v !== undefined && v !== null)
+  );
+};
+
+const mergeSchedule = (base, override = {}) => {
+  const { multipliers, ...rest } = plain(override);
+  return {
+    ...base,
+    ...rest,
+    multipliers: { ...base.multipliers, ...plain(multipliers) }
+  };
+};
+
+/**
+ * Effective payout schedule for a table.
+ * @param {Object} table - Table document or plain object with stake / payoutSchedule
+ * @returns {Object} Plain schedule, safe to snapshot into the game state
+ */
+const resolvePayoutSchedule = (table = {}) => {
+  const tier = mergeSchedule(DEFAULT_PAYOUT_SCHEDULE, STAKE_TIER_SCHEDULES[table.stake]);
+  return mergeSchedule(tier, table.payoutSchedule);
+};
+
+/**
+ * Apply a schedule to a finished hand. Winners keep their own stake and take multiplier stakes
+ * from every loser, so the pot only ever holds what the table paid in.
+ * @param {Object} schedule - Resolved payout schedule
+ * @param {string} winType - Engine win type
+ * @param {number} stake - Stake per seat
+ * @param {number} playerCount - Seats dealt into the hand
+ * @param {number} winnerCount - Number of winners sharing the payout
+ * @returns {{ pot: number, rake: number, multiplier: number, lossPerLoser: number, payoutPerWinner: number }}
+ *   lossPerLoser is everything a loser pays into the pot, their deal stake included
+ */
+const calculatePayout = (schedule, winType, stake, playerCount, winnerCount) => {
+  const multiplier = schedule.multipliers[winType] ?? schedule.defaultMultiplier;
+  const lossPerLoser = winnerCount > 0 ? stake * multiplier : stake;
+  const pot = stake * winnerCount + lossPerLoser * (playerCount - winnerCount);
+  const rake = pot >= (schedule.minimumPot || 0)
+    ? Math.floor(pot * (schedule.rakePercent || 0)) / 100
+    : 0;
+  const payoutPerWinner = winnerCount > 0 ? (pot - rake) / winnerCount : 0;
+  return { pot, rake, multiplier, lossPerLoser, payoutPerWinner };
+};
+
+/**
+ * Caught-drop penalties of a finished hand (README 11.8.3): the dropper pays a stake to every
+ * seat that scored lower, for the final round and any drop that led to a tie-break. The same
+ * transfers wageringService.processDropPenalty books, without touching any accounts.
+ * @param {Object} gameState - Final game state
+ * @param {number} stake - Stake per seat
+ * @returns {Array<{ from: number, to: number, amount: number }>} Transfers by seat index
+ */
+const calculateDropPenalties = (gameState, stake) => {
+  const rounds = [...(gameState.tieBreak ? gameState.tieBreak.history : []), gameState];
+  return rounds.filter(round => round.winType === 'DROP_CAUGHT').flatMap(round => {
+    const dropperScore = round.roundScores[round.dropped];
+    return round.roundScores
+      .map((score, index) => ({ score, index }))
+      .filter(({ score }) => score !== null && score < dropperScore) // Seats that sat out a tie-break score null
+      .map(({ index }) => ({ from: round.dropped, to: index, amount: stake }));
+  });
+};
+
+module.exports = {
+  DEFAULT_PAYOUT_SCHEDULE,
+  STAKE_TIER_SCHEDULES,
+  resolvePayoutSchedule,
+  calculatePayout,
+  calculateDropPenalties
+};
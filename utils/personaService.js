@@ -0,0 +1,108 @@
+const { AiPersona, DEFAULT_PERSONAS } = require('../models/AiPersona');
+const { resolveAiDifficulty } = require('../models/gameLogic');
+
+class PersonaService {
+    constructor() {
+        this.defaultsSeeded = false;
+    }
+
+    /**
+     * Insert any default persona that is missing, once per process
+     */
+    async ensureDefaultPersonas() {
+        if (this.defaultsSeeded) return;
+        await AiPersona.bulkWrite(DEFAULT_PERSONAS.map(persona => ({
+            updateOne: { filter: { name: persona.name }, update: { $setOnInsert: persona }, upsert: true }
+        })));
+        this.defaultsSeeded = true;
+    }
+
+    /**
+     * Pick a persona for a new AI seat: one that plays this stake and is not already seated,
+     * preferring the table's AI difficulty
+     * @param {Object} table - Table document the AI is joining
+     * @returns {Promise<?Object>} AiPersona document, or null to fall back to an anonymous bot
+     */
+    async pickPersona(table) {
+        try {
+            await this.ensureDefaultPersonas();
+            const candidates = await AiPersona.find({
+                active: true,
+                name: { $nin: table.players.map(p => p.username) },
+                $or: [{ stakes: { $size: 0 } }, { stakes: table.stake }]
+            });
+            if (candidates.length === 0) return null;
+
+            const difficulty = resolveAiDifficulty(table);
+            const preferred = candidates.filter(persona => persona.difficulty === difficulty);
+            const pool = preferred.length > 0 ? preferred : candidates;
+            return pool[Math.floor(Math.random() * pool.length)];
+        } catch (error) {
+            console.error(`🚨 Failed to pick an AI persona for table ${table._id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Table seat for an AI player, carrying its persona so table_players_update shows it
+     * @param {?Object} persona - AiPersona document or null
+     * @param {string} fallbackName - Username when no persona is available
+     * @param {number} chips - Chips the AI sits down with
+     * @returns {Object} Entry for table.players
+     */
+    seatFor(persona, fallbackName, chips) {
+        return {
+            username: persona ? persona.name : fallbackName,
+            chips,
+            isHuman: false,
+            socketId: null,
+            joinedAt: new Date(),
+            status: 'active',
+            persona: persona ? {
+                personaId: persona._id,
+                name: persona.name,
+                avatarUrl: persona.avatarUrl,
+                difficulty: persona.difficulty,
+                aggression: persona.aggression,
+                riskTolerance: persona.riskTolerance,
+                tableTalk: persona.tableTalk
+            } : undefined
+        };
+    }
+
+    /**
+     * Add a settled hand to the lifetime stats of every persona that played it
+     * @param {Object} gameState - Final game state
+     * @param {Object} session - Mongo session of the settlement transaction
+     */
+    async recordHand(gameState, session = null) {
+        const rounds = [...(gameState.tieBreak ? gameState.tieBreak.history : []), gameState];
+        const updates = gameState.players
+            .map((player, index) => ({ player, index }))
+            .filter(({ player }) => !player.isHuman && player.persona?.personaId)
+            .map(({ player, index }) => {
+                const won = (gameState.winners || []).includes(index);
+                const drops = rounds.filter(round => round.dropped === index);
+                return {
+                    updateOne: {
+                        filter: { _id: player.persona.personaId },
+                        update: {
+                            $inc: {
+                                'stats.handsPlayed': 1,
+                                'stats.wins': won ? 1 : 0,
+                                'stats.reemWins': won && gameState.winType === 'REEM' ? 1 : 0,
+                                'stats.drops': drops.length,
+                                'stats.dropsCaught': drops.filter(round => round.winType === 'DROP_CAUGHT').length
+                            }
+                        }
+                    }
+                };
+            });
+
+        if (updates.length > 0) {
+            await AiPersona.bulkWrite(updates, { session });
+        }
+    }
+}
+
+module.exports = new PersonaService();
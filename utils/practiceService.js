@@ -0,0 +1,151 @@
+const Game = require('../models/Game');
+const User = require('../models/User');
+const { Table } = require('../models/Table');
+const gameRecorder = require('./gameRecorder');
+const personaService = require('./personaService');
+const { resolvePayoutSchedule, calculatePayout, calculateDropPenalties } = require('./payoutSchedule');
+
+// Play money a practice wallet is topped back up to when it can no longer cover a stake
+const PRACTICE_STARTING_CHIPS = 10000;
+// Practice tables play for this nominal stake so payouts still teach the multipliers
+const PRACTICE_STAKE = 5;
+const MAX_PRACTICE_OPPONENTS = 3;
+// A new practice table waits this long for its owner to sit down before it counts as abandoned
+const PRACTICE_JOIN_GRACE_MS = 2 * 60 * 1000;
+
+class PracticeService {
+    /**
+     * Practice tables move play money only: no real stakes, winnings or stats
+     * @param {Object} table - Table document
+     * @returns {boolean}
+     */
+    isPractice(table) {
+        return table?.mode === 'practice';
+    }
+
+    /**
+     * Create a private practice table for a player, seated with AI opponents. The player
+     * then sits down through the usual join_table event and the hand starts at once.
+     * @param {string} username - Owner of the table
+     * @param {Object} options - { opponents: 1-3, difficulty: easy|medium|hard }
+     * @returns {Promise<Object>} Saved Table document
+     */
+    async createPracticeTable(username, { opponents = 2, difficulty = 'easy' } = {}) {
+        const seats = Math.min(Math.max(parseInt(opponents, 10) || 1, 1), MAX_PRACTICE_OPPONENTS);
+        const table = new Table({
+            tableId: `practice-${username}-${Date.now()}`,
+            name: `Practice - ${username}`,
+            stake: PRACTICE_STAKE,
+            mode: 'practice',
+            owner: username,
+            aiDifficulty: difficulty,
+            turnTimer: { turnSeconds: 60, timeBankSeconds: 120 }, // Time to think while learning
+            players: []
+        });
+
+        // Only personas of the chosen difficulty; anonymous bots play at the table's level otherwise
+        for (let i = 0; i < seats; i++) {
+            const persona = await personaService.pickPersona(table);
+            const match = persona && persona.difficulty === difficulty ? persona : null;
+            table.players.push(personaService.seatFor(match, `Practice Bot ${i + 1}`, PRACTICE_STARTING_CHIPS));
+        }
+
+        await table.save();
+        console.log(`🎓 Created practice table ${table._id} for ${username} with ${seats} ${difficulty} AI opponent(s)`);
+        return table;
+    }
+
+    /**
+     * Take a practice stake from the play-money wallet, refilling it first if it has run dry
+     * @param {Object} user - User document (saved by the caller)
+     * @param {number} stake - Table stake
+     */
+    takeStake(user, stake) {
+        if ((user.practiceChips ?? 0) < stake) {
+            user.practiceChips = PRACTICE_STARTING_CHIPS;
+            console.log(`🎓 Refilled practice wallet for ${user.username} to ${PRACTICE_STARTING_CHIPS}`);
+        }
+        user.practiceChips -= stake;
+    }
+
+    /**
+     * Settle a practice hand inside the settlement transaction: pay the pot and caught-drop
+     * penalties in play money, update practiceStats and write the Game record
+     * @param {Object} table - Table document the hand was played on
+     * @param {Object} gameState - Final game state
+     * @param {Object} context - { gameId, settlementKey, fairness, session }
+     * @returns {Promise<Object>} Same shape as settlementService.settleHand
+     */
+    async settleHand(table, gameState, { gameId, settlementKey, fairness, session }) {
+        const { players, winners = [], winType, stake } = gameState;
+        const ledger = players.map(player => ({
+            username: player.username,
+            isHuman: player.isHuman,
+            stake,
+            payout: 0,
+            penalty: 0,
+            net: 0
+        }));
+
+        const payoutSchedule = gameState.payoutSchedule || resolvePayoutSchedule(table);
+        const share = calculatePayout(payoutSchedule, winType, stake, players.length, winners.length);
+        ledger.forEach((entry, index) => {
+            if (winners.includes(index)) entry.payout = share.payoutPerWinner;
+            else entry.stake = share.lossPerLoser; // A multi-stake loss costs more than the deal stake
+        });
+
+        // A caught dropper pays a stake to every lower scorer, as in a staked hand
+        calculateDropPenalties(gameState, stake).forEach(({ from, to, amount }) => {
+            ledger[from].penalty -= amount;
+            ledger[to].penalty += amount;
+        });
+
+        ledger.forEach(entry => {
+            entry.net = entry.payout + entry.penalty - entry.stake;
+        });
+
+        const humanNames = players.filter(p => p.isHuman).map(p => p.username);
+        const users = await User.find({ username: { $in: humanNames } }).session(session);
+        for (const user of users) {
+            const index = players.findIndex(p => p.isHuman && p.username === user.username);
+            const won = winners.includes(index);
+
+            // The deal stake already came out of the wallet in takeStake
+            const { payout, penalty, stake: staked } = ledger[index];
+            user.practiceChips = (user.practiceChips ?? 0) + payout + penalty - (staked - stake);
+            user.practiceStats.gamesPlayed += 1;
+            if (won && winType === 'REEM') user.practiceStats.reemWins += 1;
+            else if (won) user.practiceStats.wins += 1;
+            user.practiceStats.totalEarnings += ledger[index].net;
+
+            await user.save({ session });
+        }
+
+        await new Game(gameRecorder.buildGameRecord(table, gameState, users, {
+            _id: gameId,
+            handNumber: gameState.handNumber,
+            settlementKey,
+            ledger,
+            rake: share.rake,
+            fairness
+        })).save({ session });
+
+        return { success: true, alreadySettled: false, practice: true, gameId, ledger, rake: share.rake, fairness };
+    }
+
+    /**
+     * Delete practice tables their owner has left (or never sat down at)
+     * @returns {Promise<number>} Tables deleted
+     */
+    async cleanupAbandonedTables() {
+        const tables = await Table.find({ mode: 'practice', date: { $lt: new Date(Date.now() - PRACTICE_JOIN_GRACE_MS) } });
+        const abandoned = tables.filter(table => !table.players.some(p => p.isHuman && ['active', 'disconnected', 'sitting_out'].includes(p.status)));
+        for (const table of abandoned) {
+            await Table.findByIdAndDelete(table._id);
+            console.log(`🗑️ Deleted abandoned practice table ${table._id}`);
+        }
+        return abandoned.length;
+    }
+}
+
+module.exports = new PracticeService();
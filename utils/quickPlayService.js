@@ -0,0 +1,124 @@
+const Game = require('../models/Game');
+const User = require('../models/User');
+const gameRecorder = require('./gameRecorder');
+
+// Rating a new Quick Play player starts from (the User schema default)
+const QUICK_PLAY_STARTING_RATING = 1200;
+// Most rating a player can gain or lose in one hand
+const QUICK_PLAY_K_FACTOR = 32;
+// AI seats are rated by strength so beating a hard bot is worth more; their ratings never move
+const AI_RATINGS = { easy: 1000, medium: 1200, hard: 1400 };
+
+class QuickPlayService {
+    /**
+     * Quick Play tables wager nothing: no stakes, payouts, rake or chip stats
+     * @param {Object} table - Table document
+     * @returns {boolean}
+     */
+    isQuickPlay(table) {
+        return table?.mode === 'quick_play';
+    }
+
+    /**
+     * Finishing place of each seat: winners first, then everyone else by their score in the
+     * main hand (lower is better). Tie-break losers tied for the lowest score, so they come next.
+     * @param {Object} gameState - Final game state
+     * @returns {number[]} Place per seat, 0 = best; equal scores share a place
+     */
+    placesFor(gameState) {
+        const { winners = [] } = gameState;
+        const scores = gameState.tieBreak ? gameState.tieBreak.history[0].roundScores : gameState.roundScores;
+        const scoreOf = (index) => (typeof scores?.[index] === 'number' ? scores[index] : Infinity);
+
+        return gameState.players.map((_, index) => {
+            if (winners.includes(index)) return 0;
+            const better = gameState.players.filter((__, other) =>
+                other !== index && !winners.includes(other) && scoreOf(other) < scoreOf(index)).length;
+            return 1 + better;
+        });
+    }
+
+    /**
+     * Multiplayer ELO: each seat plays every other seat once, scoring 1 / 0.5 / 0 for
+     * finishing ahead / level / behind, against the ELO expectation. The K-factor is split
+     * over the opponents so a 4-player hand moves about as much as a heads-up one.
+     * @param {number[]} ratings - Rating per seat
+     * @param {number[]} places - Place per seat, see placesFor
+     * @returns {number[]} Rating change per seat
+     */
+    ratingChanges(ratings, places) {
+        const opponents = ratings.length - 1;
+        if (opponents < 1) return ratings.map(() => 0);
+
+        return ratings.map((rating, index) => {
+            let delta = 0;
+            ratings.forEach((other, otherIndex) => {
+                if (otherIndex === index) return;
+                const expected = 1 / (1 + 10 ** ((other - rating) / 400));
+                const actual = places[index] < places[otherIndex] ? 1 : places[index] === places[otherIndex] ? 0.5 : 0;
+                delta += actual - expected;
+            });
+            return Math.round(QUICK_PLAY_K_FACTOR * delta / opponents);
+        });
+    }
+
+    /**
+     * Settle a Quick Play hand inside the settlement transaction: no chips move, the
+     * human seats' ratings are updated and the Game record is written
+     * @param {Object} table - Table document the hand was played on
+     * @param {Object} gameState - Final game state
+     * @param {Object} context - { gameId, settlementKey, fairness, session }
+     * @returns {Promise<Object>} Same shape as settlementService.settleHand, plus ratings
+     */
+    async settleHand(table, gameState, { gameId, settlementKey, fairness, session }) {
+        const { players, winners = [] } = gameState;
+        const ledger = players.map(player => ({
+            username: player.username,
+            isHuman: player.isHuman,
+            stake: 0,
+            payout: 0,
+            penalty: 0,
+            net: 0
+        }));
+
+        const humanNames = players.filter(p => p.isHuman).map(p => p.username);
+        const users = await User.find({ username: { $in: humanNames } }).session(session);
+        const userFor = (player) => (player.isHuman ? users.find(u => u.username === player.username) : null);
+
+        const before = players.map(player => {
+            if (!player.isHuman) return AI_RATINGS[player.difficulty] || QUICK_PLAY_STARTING_RATING;
+            return userFor(player)?.quickPlay?.rating ?? QUICK_PLAY_STARTING_RATING;
+        });
+        const changes = this.ratingChanges(before, this.placesFor(gameState));
+
+        const ratings = [];
+        for (const [index, player] of players.entries()) {
+            const user = userFor(player);
+            if (!user) continue;
+
+            const after = before[index] + changes[index];
+            user.quickPlay.rating = after;
+            user.quickPlay.peakRating = Math.max(user.quickPlay.peakRating ?? QUICK_PLAY_STARTING_RATING, after);
+            user.quickPlay.gamesPlayed += 1;
+            if (winners.includes(index)) user.quickPlay.wins += 1;
+            await user.save({ session });
+
+            ratings.push({ username: user.username, before: before[index], after });
+        }
+
+        await new Game(gameRecorder.buildGameRecord(table, gameState, users, {
+            _id: gameId,
+            handNumber: gameState.handNumber,
+            settlementKey,
+            ledger,
+            rake: 0,
+            ratings,
+            fairness
+        })).save({ session });
+
+        console.log(`🏅 Quick Play ratings at table ${table._id}: ${ratings.map(r => `${r.username} ${r.before}→${r.after}`).join(', ')}`);
+        return { success: true, alreadySettled: false, quickPlay: true, gameId, ledger, rake: 0, ratings, fairness };
+    }
+}
+
+module.exports = new QuickPlayService();
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const User = require('../models/User');
+const { Table } = require('../models/Table');
+const { hashShuffleSeed } = require('../models/gameLogic');
+const wageringService = require('./wageringService');
+const gameRecorder = require('./gameRecorder');
+const personaService = require('./personaService');
+const practiceService = require('./practiceService');
+const quickPlayService = require('./quickPlayService');
+const { resolvePayoutSchedule } = require('./payoutSchedule');
+
+class SettlementService {
+    /**
+     * Idempotency key for a hand: one settlement per table and hand number
+     * @param {Object} table - Table document
+     * @param {Object} gameState - Game state of the hand
+     * @returns {string}
+     */
+    settlementKey(table, gameState) {
+        return `${table._id}:${gameState.handNumber ?? table.handNumber ?? 0}`;
+    }
+
+    /**
+     * Fairness proof of a hand with its seed revealed. The seed is only released if it
+     * matches the hash published at game_started, i.e. the table has not dealt again since.
+     * @param {Object} table - Table document the hand was played on
+     * @param {Object} gameState - Final game state
+     * @returns {Promise<?Object>} { algorithm, seedHash, seed, deals } or null
+     */
+    async revealFairness(table, gameState) {
+        const { fairness } = gameState;
+        if (!fairness) return null;
+
+        const seed = table.shuffleSeed
+            || (await Table.findById(table._id).select('+shuffleSeed'))?.shuffleSeed;
+        if (!seed || hashShuffleSeed(seed) !== fairness.seedHash) {
+            console.warn(`⚠️ Shuffle seed for table ${table._id} does not match the published hash`);
+            return { ...fairness, seed: null };
+        }
+        return { ...fairness, seed };
+    }
+
+    /**
+     * Settle a finished hand: pay the pot, charge caught drops, update stats and
+     * gameHistory, and write the Game record, all in one Mongo transaction.
+     * Every game-over path calls this; a second call for the same hand returns the
+     * stored result without moving any chips.
+     * @param {Object} table - Table document the hand was played on
+     * @param {Object} gameState - Final game state (gameOver === true)
+     * @returns {Promise<Object>} { success, alreadySettled, gameId, ledger, rake, fairness, error }
+     */
+    async settleHand(table, gameState) {
+        if (!gameState || !gameState.gameOver) {
+            return { success: false, error: 'Hand is not over' };
+        }
+
+        const settlementKey = this.settlementKey(table, gameState);
+        const fairness = await this.revealFairness(table, gameState);
+        const session = await mongoose.startSession();
+
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                const existing = await Game.findOne({ settlementKey }).session(session);
+                if (existing) {
+                    result = { success: true, alreadySettled: true, gameId: existing._id, ledger: existing.ledger, rake: existing.rake, fairness: existing.fairness, ratings: existing.ratings };
+                    return;
+                }
+
+                const gameId = new mongoose.Types.ObjectId();
+                if (gameState.mode === 'practice') {
+                    // Play money only: no wagering transactions, real stats or persona stats
+                    result = await practiceService.settleHand(table, gameState, { gameId, settlementKey, fairness, session });
+                    return;
+                }
+                if (gameState.mode === 'quick_play') {
+                    // No wager at all: only the Quick Play ratings move
+                    result = await quickPlayService.settleHand(table, gameState, { gameId, settlementKey, fairness, session });
+                    return;
+                }
+
+                const { players, winners = [], winType, stake } = gameState;
+                const ledger = players.map(player => ({
+                    username: player.username,
+                    isHuman: player.isHuman,
+                    stake,
+                    payout: 0,
+                    penalty: 0,
+                    net: 0
+                }));
+
+                // Hands snapshot their schedule at the deal; older states fall back to the table's
+                const payoutSchedule = gameState.payoutSchedule || resolvePayoutSchedule(table);
+                const distribution = await wageringService.distributeWinnings(
+                    players, winners, winType, stake, table._id, gameId, session, payoutSchedule
+                );
+                distribution.payouts.forEach(({ index, payout }) => {
+                    ledger[index].payout = payout;
+                });
+                // Losers of a multi-stake win paid more than their deal stake
+                ledger.forEach((entry, index) => {
+                    if (!winners.includes(index)) entry.stake = distribution.lossPerLoser;
+                });
+
+                // A caught dropper pays a stake to every lower scorer, including drops that led to a tie-break
+                const rounds = [...(gameState.tieBreak ? gameState.tieBreak.history : []), gameState];
+                for (const round of rounds.filter(r => r.winType === 'DROP_CAUGHT')) {
+                    const penalty = await wageringService.processDropPenalty(players, round.dropped, round.roundScores, stake, table._id, gameId, session);
+                    penalty.transfers.forEach(({ from, to, amount }) => {
+                        ledger[from].penalty -= amount;
+                        ledger[to].penalty += amount;
+                    });
+                }
+
+                ledger.forEach(entry => {
+                    entry.net = entry.payout + entry.penalty - entry.stake;
+                });
+
+                const humanNames = players.filter(p => p.isHuman).map(p => p.username);
+                const users = await User.find({ username: { $in: humanNames } }).session(session);
+                for (const user of users) {
+                    const index = players.findIndex(p => p.isHuman && p.username === user.username);
+                    const gameResult = !winners.includes(index) ? 'loss' : winType === 'REEM' ? 'reem' : 'win';
+
+                    if (!user.stats) {
+                        user.stats = { gamesPlayed: 0, wins: 0, reemWins: 0, totalEarnings: 0 };
+                    }
+                    user.stats.gamesPlayed += 1;
+                    if (gameResult === 'win') user.stats.wins += 1;
+                    if (gameResult === 'reem') user.stats.reemWins += 1;
+                    user.stats.totalEarnings += ledger[index].net;
+
+                    user.gameHistory.push({
+                        date: new Date(),
+                        stake,
+                        result: gameResult,
+                        earnings: ledger[index].net,
+                        opponents: players.filter((p, idx) => idx !== index).map(p => p.username)
+                    });
+
+                    await user.save({ session });
+                }
+
+                await personaService.recordHand(gameState, session);
+
+                await new Game(gameRecorder.buildGameRecord(table, gameState, users, {
+                    _id: gameId,
+                    handNumber: gameState.handNumber,
+                    settlementKey,
+                    ledger,
+                    rake: distribution.rake,
+                    fairness
+                })).save({ session });
+
+                result = { success: true, alreadySettled: false, gameId, ledger, rake: distribution.rake, fairness };
+            });
+
+            if (result.alreadySettled) {
+                console.log(`💰 Settlement ${settlementKey} already done, skipping`);
+            } else {
+                console.log(`💰 Settled ${settlementKey}: ${gameState.winType}, game ${result.gameId}`);
+            }
+            return result;
+        } catch (error) {
+            console.error(`🚨 Settlement ${settlementKey} failed: ${error.message}`, error);
+            return { success: false, error: error.message };
+        } finally {
+            session.endSession();
+        }
+    }
+}
+
+module.exports = new SettlementService();
@@ -3,6 +3,9 @@
  * Provides intelligent player queuing with priority handling and wait time estimation
  */
 
+// Quick Play has one queue of its own next to the per-stake queues, see utils/quickPlayService.js
+const QUICK_PLAY_QUEUE = 'quick_play';
+
 class SmartQueueManager {
   constructor() {
     this.queues = new Map();
@@ -13,10 +16,10 @@ class SmartQueueManager {
   }
 
   /**
-   * Initialize queues for stake levels
+   * Initialize queues for stake levels, plus the Quick Play queue
    */
   initializeQueues(stakes) {
-    stakes.forEach(stake => {
+    [...stakes, QUICK_PLAY_QUEUE].forEach(stake => {
       if (!this.queues.has(stake)) {
         this.queues.set(stake, []);
         this.queueLocks.set(stake, false);
@@ -25,6 +28,13 @@ class SmartQueueManager {
     });
   }
 
+  /**
+   * Queue a table is filled from: the Quick Play queue or its stake's queue
+   */
+  queueKeyFor(table) {
+    return table.mode === 'quick_play' ? QUICK_PLAY_QUEUE : table.stake;
+  }
+
   /**
    * Add player to queue with intelligent positioning
    */
@@ -281,6 +291,8 @@ const smartQueueManager = new SmartQueueManager();
 
 module.exports = {
   smartQueueManager,
+  QUICK_PLAY_QUEUE,
+  queueKeyFor: (table) => smartQueueManager.queueKeyFor(table),
   initializeQueues: (stakes) => smartQueueManager.initializeQueues(stakes),
   addToQueue: (stake, player, priority) => smartQueueManager.addToQueue(stake, player, priority),
   removeFromQueue: (stake, username) => smartQueueManager.removeFromQueue(stake, username),
@@ -0,0 +1,48 @@
+// Recent deltas kept per table, enough to catch a reconnecting client up on a few turns
+const STATE_DELTA_BUFFER_SIZE = 64;
+
+class StateDeltaService {
+    constructor() {
+        this.buffers = new Map(); // tableId -> ring buffer of the latest deltas, oldest first
+    }
+
+    /**
+     * Keep a published delta, dropping the oldest once the buffer is full
+     * @param {string} tableId - Table ID
+     * @param {Object} entry - { version, action, actor, publicDelta, hands, hints, timestamp }
+     */
+    record(tableId, entry) {
+        tableId = tableId.toString();
+        const buffer = this.buffers.get(tableId) || [];
+        buffer.push(entry);
+        if (buffer.length > STATE_DELTA_BUFFER_SIZE) buffer.shift();
+        this.buffers.set(tableId, buffer);
+    }
+
+    /**
+     * Deltas a client at lastVersion needs to reach currentVersion
+     * @param {string} tableId - Table ID
+     * @param {number} lastVersion - Last version the client applied
+     * @param {number} currentVersion - Table.stateVersion
+     * @returns {?Object[]} The deltas in order, or null when the buffer cannot bridge the gap
+     *   (too far behind, or a new hand was dealt since) and the client needs a snapshot
+     */
+    since(tableId, lastVersion, currentVersion) {
+        if (!Number.isInteger(lastVersion) || lastVersion > currentVersion) return null;
+
+        const buffer = this.buffers.get(tableId.toString()) || [];
+        const deltas = buffer.filter(entry => entry.version > lastVersion);
+        const contiguous = deltas.every((entry, i) => entry.version === lastVersion + i + 1);
+        if (!contiguous || lastVersion + deltas.length !== currentVersion) return null;
+        return deltas;
+    }
+
+    /**
+     * Forget a table's deltas once its hand is over
+     */
+    clearTable(tableId) {
+        this.buffers.delete(tableId.toString());
+    }
+}
+
+module.exports = new StateDeltaService();
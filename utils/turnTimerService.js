@@ -0,0 +1,206 @@
+const { Table } = require('../models/Table');
+const { TURN_PHASES, appendHandEvent } = require('../models/gameLogic');
+const { currentPhase } = require('../models/gameEngine');
+const { isAiControlled } = require('../models/AiPlayer');
+const { CARD_VALUES } = require('../models/aiStrategies');
+
+// How often the remaining time is broadcast while a turn clock runs
+const TURN_TIMER_TICK_MS = 1000;
+// Times an expired clock's auto-play is worked out again after losing to another write
+const AUTO_PLAY_ATTEMPTS = 3;
+
+class TurnTimerService {
+    constructor() {
+        this.gameStateManager = null;
+        this.clocks = new Map(); // tableId -> running clock of the human seat on turn
+        this.timeBanks = new Map(); // tableId -> { handNumber, remaining: { username: ms } }
+    }
+
+    /**
+     * Wire up the AI turn runner, needed when an auto-play hands the turn to an AI seat
+     * @param {Object} gameStateManager - GameStateManager instance
+     */
+    init(gameStateManager) {
+        this.gameStateManager = gameStateManager;
+    }
+
+    // Identifies one turn, so a clock never acts on a later turn of the same seat
+    turnKey(gameState) {
+        const player = gameState.players[gameState.currentTurn];
+        return `${gameState.handNumber}:${gameState.tieBreak?.round || 0}:${gameState.currentTurn}:${player?.turnsTaken || 0}`;
+    }
+
+    /**
+     * Time bank left for a player this hand; banks refill when a new hand is dealt
+     */
+    timeBankFor(tableId, gameState, username) {
+        let banks = this.timeBanks.get(tableId);
+        if (!banks || banks.handNumber !== gameState.handNumber) {
+            banks = { handNumber: gameState.handNumber, remaining: {} };
+            this.timeBanks.set(tableId, banks);
+        }
+        if (banks.remaining[username] === undefined) {
+            banks.remaining[username] = gameState.turnTimer.timeBankSeconds * 1000;
+        }
+        return banks.remaining[username];
+    }
+
+    /**
+     * Start the clock for the seat on turn (called at every turn_start). AI seats and
+     * seats on autopilot are not timed.
+     * @param {Object} io - Socket.IO server
+     * @param {string} tableId - Table ID
+     * @param {Object} gameState - State at the start of the turn
+     */
+    start(io, tableId, gameState) {
+        tableId = tableId.toString();
+        this.stop(tableId);
+
+        const player = gameState.players[gameState.currentTurn];
+        if (!io || !gameState.turnTimer || gameState.gameOver || isAiControlled(player)) return;
+
+        const clock = {
+            io,
+            turnKey: this.turnKey(gameState),
+            username: player.username,
+            playerIndex: gameState.currentTurn,
+            startedAt: Date.now(),
+            turnMs: gameState.turnTimer.turnSeconds * 1000,
+            bankMs: this.timeBankFor(tableId, gameState, player.username)
+        };
+        clock.deadline = clock.startedAt + clock.turnMs + clock.bankMs;
+        clock.timeout = setTimeout(() => {
+            this.expire(tableId, clock).catch(error => {
+                console.error(`🚨 Turn timer auto-play failed at table ${tableId}:`, error);
+            });
+        }, clock.turnMs + clock.bankMs);
+        clock.ticker = setInterval(() => this.broadcast(tableId, clock), TURN_TIMER_TICK_MS);
+
+        this.clocks.set(tableId, clock);
+        this.broadcast(tableId, clock);
+    }
+
+    /**
+     * Stop the running clock and charge any time bank the player used
+     * @param {string} tableId - Table ID
+     */
+    stop(tableId) {
+        tableId = tableId.toString();
+        const clock = this.clocks.get(tableId);
+        if (!clock) return;
+
+        clearTimeout(clock.timeout);
+        clearInterval(clock.ticker);
+        this.clocks.delete(tableId);
+
+        const banks = this.timeBanks.get(tableId);
+        if (banks) {
+            const overtime = Math.max(0, Date.now() - clock.startedAt - clock.turnMs);
+            banks.remaining[clock.username] = Math.max(0, clock.bankMs - overtime);
+        }
+    }
+
+    /**
+     * Forget a table's clock and time banks once its hand is over
+     */
+    clearTable(tableId) {
+        this.stop(tableId);
+        this.timeBanks.delete(tableId.toString());
+    }
+
+    // Remaining time for the seat on turn, sent to the whole table
+    broadcast(tableId, clock) {
+        const now = Date.now();
+        const overtime = Math.max(0, now - clock.startedAt - clock.turnMs);
+        clock.io.to(tableId).emit('turn_timer', {
+            tableId,
+            username: clock.username,
+            playerIndex: clock.playerIndex,
+            remainingMs: Math.max(0, clock.deadline - now),
+            turnRemainingMs: Math.max(0, clock.startedAt + clock.turnMs - now),
+            timeBankMs: Math.max(0, clock.bankMs - overtime),
+            usingTimeBank: overtime > 0,
+            deadline: clock.deadline
+        });
+    }
+
+    /**
+     * The clock ran out: count the timeout, apply the penalty once the tier's limit is
+     * reached, then play for the seat - draw from the stock and discard the highest card.
+     * The auto-play is only saved onto the table as it was loaded; when another write got
+     * there first it is worked out again on the fresh table, which also notices a move the
+     * player made in time.
+     */
+    async expire(tableId, clock) {
+        if (this.clocks.get(tableId) !== clock) return;
+        this.stop(tableId);
+
+        for (let attempt = 1; attempt <= AUTO_PLAY_ATTEMPTS; attempt++) {
+            if (await this.autoPlay(tableId, clock)) return;
+            console.log(`🔁 Turn timer auto-play at table ${tableId} lost to another write, retrying`);
+        }
+        console.error(`🚨 Turn timer auto-play at table ${tableId} gave up after ${AUTO_PLAY_ATTEMPTS} attempts`);
+    }
+
+    // One attempt at the auto-play of an expired clock; false when a write conflict refused it
+    async autoPlay(tableId, clock) {
+        const table = await Table.findById(tableId).select('+shuffleSeed');
+        const gameState = table?.gameState;
+        if (!gameState || gameState.gameOver || this.turnKey(gameState) !== clock.turnKey) return true;
+        const { playerIndex } = clock;
+        if (isAiControlled(gameState.players[playerIndex])) return true;
+
+        // Counted with the first auto-play move that is saved; a retry after that only finishes the turn
+        if (!clock.timeoutRecorded) {
+            const timeouts = (gameState.players[playerIndex].timeouts || 0) + 1;
+            const { maxTimeouts, sitOutHands } = gameState.turnTimer;
+            const seat = table.players.find(p => p.username === clock.username);
+            const sittingOut = timeouts >= maxTimeouts && sitOutHands > 0 && seat?.status === 'active';
+            if (sittingOut) {
+                seat.status = 'sitting_out';
+                seat.sitOutHands = sitOutHands;
+            }
+            table.gameState = appendHandEvent({
+                ...gameState,
+                players: gameState.players.map((p, i) => (i === playerIndex ? { ...p, timeouts } : p))
+            }, { type: 'timeout', playerIndex, username: clock.username, timeouts, sittingOut });
+
+            if (!clock.timeoutAnnounced) {
+                clock.timeoutAnnounced = true;
+                console.log(`⏰ ${clock.username} ran out of time at table ${tableId} (timeout ${timeouts}/${maxTimeouts})${sittingOut ? `, sitting out ${sitOutHands} hand(s)` : ''}`);
+                clock.io.to(tableId).emit('turn_timeout', {
+                    tableId,
+                    username: clock.username,
+                    timeouts,
+                    maxTimeouts,
+                    sittingOut,
+                    sitOutHands: sittingOut ? sitOutHands : 0
+                });
+            }
+        }
+
+        // Loaded here: routes/gameActions.js requires gameSync, which requires this service
+        const { applyGameAction, STATE_CONFLICT } = require('../routes/gameActions');
+        const play = async (action, payload = {}) => {
+            const result = await applyGameAction(clock.io, table, action, payload, this.gameStateManager, 'timeout');
+            if (result.ok) clock.timeoutRecorded = true;
+            return result;
+        };
+
+        if (currentPhase(table.gameState) === TURN_PHASES.DRAW) {
+            let drawn = await play('DRAW_CARD');
+            if (drawn.error?.code === STATE_CONFLICT) return false;
+            if (!drawn.ok) drawn = await play('DRAW_DISCARD');
+            if (drawn.error?.code === STATE_CONFLICT) return false;
+        }
+        const state = table.gameState;
+        if (state.gameOver || this.turnKey(state) !== clock.turnKey) return true;
+
+        const hand = state.playerHands[playerIndex];
+        const highest = hand.reduce((maxIdx, card, i) => (CARD_VALUES[card.rank] > CARD_VALUES[hand[maxIdx].rank] ? i : maxIdx), 0);
+        const discarded = await play('DISCARD', { cardIndex: highest });
+        return discarded.error?.code !== STATE_CONFLICT;
+    }
+}
+
+module.exports = new TurnTimerService();
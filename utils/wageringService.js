@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const { v4: uuidv4 } = require('uuid');
+const { WIN_TYPES } = require('./gameRecorder');
+const { resolvePayoutSchedule, calculatePayout } = require('./payoutSchedule');
 
 class WageringService {
     /**
@@ -12,17 +14,24 @@ class WageringService {
      * @param {number} stake - Game stake amount
      * @param {string} tableId - Table ID
      * @param {string} gameId - Game record ID
-     * @returns {Promise<Object>} Result with success status and details
+     * @param {Object} externalSession - Optional Mongo session to run inside; errors are rethrown
+     * @param {Object} payoutSchedule - Resolved schedule (see utils/payoutSchedule.js)
+     * @returns {Promise<Object>} Result with success status, details and per-seat payouts
+     *   and lossPerLoser, everything each loser paid into the pot
      */
-    async distributeWinnings(players, winners, winType, stake, tableId, gameId) {
-        const session = await mongoose.startSession();
-        session.startTransaction();
+    async distributeWinnings(players, winners, winType, stake, tableId, gameId, externalSession = null, payoutSchedule = resolvePayoutSchedule({ stake })) {
+        // Join the caller's transaction when given one, otherwise run in our own
+        const ownsSession = !externalSession;
+        const session = externalSession || await mongoose.startSession();
+        if (ownsSession) session.startTransaction();
 
         try {
             console.log(`💰 Starting wagering transaction for ${players.length} players, winners: [${winners.join(',')}], type: ${winType}, stake: ${stake}`);
 
-            const pot = stake * players.length;
+            const share = calculatePayout(payoutSchedule, winType, stake, players.length, winners.length);
+            const { pot } = share;
             const transactions = [];
+            const payouts = [];
             let totalDistributed = 0;
 
             // Process each human player
@@ -35,41 +44,23 @@ class WageringService {
                     throw new Error(`User ${player.username} not found`);
                 }
 
+                const multiplier = share.multiplier;
                 let payout = 0;
-                let multiplier = 1;
+                let charge = 0;
                 let description = '';
                 let transactionType = 'WINNINGS';
 
                 if (winners.includes(i)) {
-                    // Winner calculations
-                    switch (winType) {
-                        case 'REEM':
-                            payout = pot;
-                            multiplier = 2; // Double stake payout
-                            description = `REEM win - collected entire pot of $${pot}`;
-                            break;
-                        case 'IMMEDIATE_50_WIN':
-                            payout = pot * 2;
-                            multiplier = 2;
-                            description = `Immediate 50-point win - double payout of $${pot * 2}`;
-                            break;
-                        case 'SPECIAL_WIN':
-                            payout = pot * 3;
-                            multiplier = 3;
-                            description = `Special milestone win (41 or ≤11 points) - triple payout of $${pot * 3}`;
-                            break;
-                        case 'DROP_WIN':
-                            payout = pot;
-                            multiplier = 1;
-                            description = `Drop win - collected entire pot of $${pot}`;
-                            break;
-                        default:
-                            // Regular win or STOCK_EMPTY win - split among winners
-                            payout = pot / winners.length;
-                            multiplier = 1;
-                            description = `Regular win - split pot $${payout.toFixed(2)} of $${pot}`;
-                            break;
-                    }
+                    payout = share.payoutPerWinner;
+                    description = `${winType} win - ${multiplier}x stake from each loser, pot of $${pot}` +
+                        (share.rake > 0 ? ` after $${share.rake} rake` : '') +
+                        (winners.length > 1 ? `, split ${winners.length} ways` : '') +
+                        ` - payout $${payout.toFixed(2)}`;
+                } else if (share.lossPerLoser > stake) {
+                    // A multi-stake win: the loser owes the stakes beyond the one deducted at game start
+                    charge = share.lossPerLoser - stake;
+                    description = `${winType} loss - ${multiplier}x stake, $${charge} on top of the $${stake} already deducted`;
+                    transactionType = 'PENALTY';
                 } else {
                     // Losers get nothing additional (stake already deducted at game start)
                     payout = 0;
@@ -78,6 +69,7 @@ class WageringService {
                 }
 
                 // Create transaction record
+                const amount = payout - charge;
                 const transactionId = `txn_${uuidv4()}`;
                 const transaction = new Transaction({
                     playerId: user._id,
@@ -85,11 +77,11 @@ class WageringService {
                     gameId: gameId,
                     tableId: tableId,
                     type: transactionType,
-                    amount: payout,
-                    balanceBefore: user.cashBalance,
-                    balanceAfter: user.cashBalance + payout,
+                    amount,
+                    balanceBefore: user.chips,
+                    balanceAfter: user.chips + amount,
                     description: description,
-                    winType: winType.toLowerCase().replace('_', '_'),
+                    winType: WIN_TYPES[winType],
                     stake: stake,
                     multiplier: multiplier,
                     status: 'completed',
@@ -97,38 +89,33 @@ class WageringService {
                 });
 
                 // Update user balance
-                user.cashBalance += payout;
+                user.chips += amount;
 
                 // Log transaction in user's transaction history
                 if (!user.transactions) {
                     user.transactions = [];
                 }
                 user.transactions.push({
-                    amount: payout,
-                    type: transactionType === 'WINNINGS' ? (payout > 0 ? 'WIN' : 'LOSS') : transactionType,
-                    gameId: gameId.toString(),
+                    amount,
+                    type: amount > 0 ? 'WIN' : 'LOSS',
+                    gameId: gameId?.toString(),
                     reason: description,
                     transactionId: transactionId,
                     timestamp: new Date()
                 });
 
-                // Update game history earnings
-                const latestGameHistory = user.gameHistory[user.gameHistory.length - 1];
-                if (latestGameHistory && latestGameHistory.earnings === 0) {
-                    latestGameHistory.earnings = payout;
-                }
-
                 await transaction.save({ session });
                 await user.save({ session });
 
                 transactions.push(transaction);
+                payouts.push({ index: i, payout, multiplier, description });
                 totalDistributed += payout;
 
-                console.log(`💰 Player ${user.username}: ${description}, balance: $${user.cashBalance}`);
+                console.log(`💰 Player ${user.username}: ${description}, balance: $${user.chips}`);
             }
 
             // Commit the transaction
-            await session.commitTransaction();
+            if (ownsSession) await session.commitTransaction();
             console.log(`💰 Wagering transaction completed successfully. Total distributed: $${totalDistributed}`);
 
             return {
@@ -136,10 +123,14 @@ class WageringService {
                 totalDistributed,
                 transactionsCount: transactions.length,
                 pot,
-                winnersCount: winners.length
+                lossPerLoser: share.lossPerLoser,
+                rake: share.rake,
+                winnersCount: winners.length,
+                payouts
             };
 
         } catch (error) {
+            if (!ownsSession) throw error;
             // Rollback transaction on error
             await session.abortTransaction();
             console.error(`💰 Wagering transaction failed: ${error.message}`, error);
@@ -160,7 +151,7 @@ class WageringService {
                 totalDistributed: 0
             };
         } finally {
-            session.endSession();
+            if (ownsSession) session.endSession();
         }
     }
 
@@ -172,129 +163,151 @@ class WageringService {
      * @param {number} stake - Game stake amount
      * @param {string} tableId - Table ID
      * @param {string} gameId - Game record ID
+     * @param {Object} externalSession - Optional Mongo session to run inside; errors are rethrown
+     * @returns {Promise<Object>} Result with penaltyPaid and transfers [{ from, to, amount }] by seat index
      */
-    async processDropPenalty(players, dropperIndex, roundScores, stake, tableId, gameId) {
-        const session = await mongoose.startSession();
-        session.startTransaction();
+    async processDropPenalty(players, dropperIndex, roundScores, stake, tableId, gameId, externalSession = null) {
+        // Join the caller's transaction when given one, otherwise run in our own
+        const ownsSession = !externalSession;
+        const session = externalSession || await mongoose.startSession();
+        if (ownsSession) session.startTransaction();
 
         try {
             console.log(`💰 Processing drop penalty for player ${players[dropperIndex].username}`);
 
             const dropper = players[dropperIndex];
             const dropperScore = roundScores[dropperIndex];
+            const transfers = [];
             let penaltyPaid = 0;
 
-            // Find players with lower scores (winners)
-            const winners = roundScores
+            // Find players with lower scores (winners); seats that sat out a tie-break score null
+            const winnerIndices = roundScores
                 .map((score, index) => ({ score, index }))
-                .filter(({ score }) => score < dropperScore)
-                .map(({ index }) => players[index]);
+                .filter(({ score }) => score !== null && score < dropperScore)
+                .map(({ index }) => index);
 
-            if (winners.length === 0) {
+            if (winnerIndices.length === 0) {
                 console.log(`💰 No drop penalty - dropper had the lowest score`);
-                await session.commitTransaction();
-                return { success: true, penaltyPaid: 0 };
+                if (ownsSession) await session.commitTransaction();
+                return { success: true, penaltyPaid: 0, transfers };
             }
 
-            // Process penalty payment to each winner
-            for (const winner of winners) {
-                if (!winner.isHuman) continue;
-
-                const winnerUser = await User.findOne({ username: winner.username }).session(session);
-                const dropperUser = await User.findOne({ username: dropper.username }).session(session);
+            // AI seats have no account, so only the human side of each transfer is booked
+            const dropperUser = dropper.isHuman
+                ? await User.findOne({ username: dropper.username }).session(session)
+                : null;
+            if (dropper.isHuman && !dropperUser) {
+                throw new Error(`User not found: ${dropper.username}`);
+            }
 
-                if (!winnerUser || !dropperUser) {
-                    throw new Error(`User not found: ${winner.username} or ${dropper.username}`);
+            // Process penalty payment to each winner
+            for (const winnerIndex of winnerIndices) {
+                const winner = players[winnerIndex];
+                const winnerUser = winner.isHuman
+                    ? await User.findOne({ username: winner.username }).session(session)
+                    : null;
+                if (winner.isHuman && !winnerUser) {
+                    throw new Error(`User not found: ${winner.username}`);
                 }
 
-                // Transfer stake from dropper to winner
-                dropperUser.cashBalance -= stake;
-                winnerUser.cashBalance += stake;
-                penaltyPaid += stake;
-
-                // Create transaction records
                 const dropperTxnId = `txn_${uuidv4()}`;
                 const winnerTxnId = `txn_${uuidv4()}`;
 
-                const dropperTransaction = new Transaction({
-                    playerId: dropperUser._id,
-                    username: dropperUser.username,
-                    gameId: gameId,
-                    tableId: tableId,
-                    type: 'PENALTY',
-                    amount: -stake,
-                    balanceBefore: dropperUser.cashBalance + stake,
-                    balanceAfter: dropperUser.cashBalance,
-                    description: `Drop penalty paid to ${winner.username} (score ${dropperScore} vs ${roundScores[players.indexOf(winner)]})`,
-                    winType: 'drop_penalty',
-                    stake: stake,
-                    status: 'completed',
-                    transactionId: dropperTxnId
-                });
-
-                const winnerTransaction = new Transaction({
-                    playerId: winnerUser._id,
-                    username: winnerUser.username,
-                    gameId: gameId,
-                    tableId: tableId,
-                    type: 'WINNINGS',
-                    amount: stake,
-                    balanceBefore: winnerUser.cashBalance - stake,
-                    balanceAfter: winnerUser.cashBalance,
-                    description: `Drop penalty collected from ${dropper.username}`,
-                    winType: 'drop_penalty',
-                    stake: stake,
-                    status: 'completed',
-                    transactionId: winnerTxnId
-                });
+                // Transfer stake from dropper to winner
+                if (dropperUser) {
+                    dropperUser.chips -= stake;
+                    penaltyPaid += stake;
+
+                    await new Transaction({
+                        playerId: dropperUser._id,
+                        username: dropperUser.username,
+                        gameId: gameId,
+                        tableId: tableId,
+                        type: 'PENALTY',
+                        amount: -stake,
+                        balanceBefore: dropperUser.chips + stake,
+                        balanceAfter: dropperUser.chips,
+                        description: `Drop penalty paid to ${winner.username} (score ${dropperScore} vs ${roundScores[winnerIndex]})`,
+                        winType: 'drop_penalty',
+                        stake: stake,
+                        status: 'completed',
+                        transactionId: dropperTxnId,
+                        relatedTransactionId: winnerUser ? winnerTxnId : undefined
+                    }).save({ session });
+
+                    // Log in user transaction history
+                    dropperUser.transactions.push({
+                        amount: -stake,
+                        type: 'LOSS',
+                        gameId: gameId?.toString(),
+                        reason: `Drop penalty to ${winner.username}`,
+                        transactionId: dropperTxnId,
+                        timestamp: new Date()
+                    });
+                }
 
-                // Log in user transaction history
-                dropperUser.transactions.push({
-                    amount: -stake,
-                    type: 'LOSS',
-                    gameId: gameId.toString(),
-                    reason: `Drop penalty to ${winner.username}`,
-                    transactionId: dropperTxnId,
-                    timestamp: new Date()
-                });
+                if (winnerUser) {
+                    winnerUser.chips += stake;
+
+                    await new Transaction({
+                        playerId: winnerUser._id,
+                        username: winnerUser.username,
+                        gameId: gameId,
+                        tableId: tableId,
+                        type: 'WINNINGS',
+                        amount: stake,
+                        balanceBefore: winnerUser.chips - stake,
+                        balanceAfter: winnerUser.chips,
+                        description: `Drop penalty collected from ${dropper.username}`,
+                        winType: 'drop_penalty',
+                        stake: stake,
+                        status: 'completed',
+                        transactionId: winnerTxnId,
+                        relatedTransactionId: dropperUser ? dropperTxnId : undefined
+                    }).save({ session });
+
+                    winnerUser.transactions.push({
+                        amount: stake,
+                        type: 'WIN',
+                        gameId: gameId?.toString(),
+                        reason: `Drop penalty from ${dropper.username}`,
+                        transactionId: winnerTxnId,
+                        timestamp: new Date()
+                    });
+                    await winnerUser.save({ session });
+                }
 
-                winnerUser.transactions.push({
-                    amount: stake,
-                    type: 'WIN',
-                    gameId: gameId.toString(),
-                    reason: `Drop penalty from ${dropper.username}`,
-                    transactionId: winnerTxnId,
-                    timestamp: new Date()
-                });
+                transfers.push({ from: dropperIndex, to: winnerIndex, amount: stake });
+                console.log(`💰 Drop penalty: ${dropper.username} paid $${stake} to ${winner.username}`);
+            }
 
-                await dropperTransaction.save({ session });
-                await winnerTransaction.save({ session });
+            if (dropperUser) {
                 await dropperUser.save({ session });
-                await winnerUser.save({ session });
-
-                console.log(`💰 Drop penalty: ${dropperUser.username} paid $${stake} to ${winnerUser.username}`);
             }
 
-            await session.commitTransaction();
+            if (ownsSession) await session.commitTransaction();
             console.log(`💰 Drop penalty processed successfully. Total penalty: $${penaltyPaid}`);
 
             return {
                 success: true,
                 penaltyPaid,
-                winnersCount: winners.length
+                winnersCount: winnerIndices.length,
+                transfers
             };
 
         } catch (error) {
+            if (!ownsSession) throw error;
             await session.abortTransaction();
             console.error(`💰 Drop penalty transaction failed: ${error.message}`, error);
 
             return {
                 success: false,
                 error: error.message,
-                penaltyPaid: 0
+                penaltyPaid: 0,
+                transfers: []
             };
         } finally {
-            session.endSession();
+            if (ownsSession) session.endSession();
         }
     }
 
@@ -322,8 +335,8 @@ class WageringService {
                     throw new Error(`User ${player.username} not found`);
                 }
 
-                if (user.cashBalance < stake) {
-                    throw new Error(`Insufficient balance for ${player.username}: has $${user.cashBalance}, needs $${stake}`);
+                if (user.chips < stake) {
+                    throw new Error(`Insufficient balance for ${player.username}: has $${user.chips}, needs $${stake}`);
                 }
 
                 const transactionId = `stake_${uuidv4()}`;
@@ -333,15 +346,15 @@ class WageringService {
                     tableId: tableId,
                     type: 'STAKE_DEDUCTION',
                     amount: -stake,
-                    balanceBefore: user.cashBalance,
-                    balanceAfter: user.cashBalance - stake,
+                    balanceBefore: user.chips,
+                    balanceAfter: user.chips - stake,
                     description: `Initial stake deduction for game start`,
                     stake: stake,
                     status: 'completed',
                     transactionId: transactionId
                 });
 
-                user.cashBalance -= stake;
+                user.chips -= stake;
 
                 user.transactions.push({
                     amount: -stake,
@@ -356,7 +369,7 @@ class WageringService {
                 await user.save({ session });
 
                 transactions.push(transaction);
-                console.log(`💰 Stake deducted from ${user.username}: $${stake}, balance: $${user.cashBalance}`);
+                console.log(`💰 Stake deducted from ${user.username}: $${stake}, balance: $${user.chips}`);
             }
 
             await session.commitTransaction();
@@ -418,8 +431,8 @@ class WageringService {
      * @returns {Promise<number>} Current balance
      */
     async getPlayerBalance(username) {
-        const user = await User.findOne({ username }).select('cashBalance');
-        return user ? user.cashBalance : 0;
+        const user = await User.findOne({ username }).select('chips');
+        return user ? user.chips : 0;
     }
 }
 